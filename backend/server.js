@@ -13,11 +13,20 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Import custom modules
-import ltiRoutes, { createSession } from './src/lti/routes.js';
+import ltiRoutes, { createSession, setSessionStore } from './src/lti/routes.js';
+import { createSessionStore, startSessionCleanup } from './src/lti/session-store.js';
+import { DatabaseStateStore } from './src/lti/state-store.js';
+import { DatabasePlatformStore } from './src/lti/platform-store.js';
+import { LtiState, Platform } from './src/db/models.js';
 import ltiHandler from './src/lti/handler.js';
+import adminApi from './src/api/admin.js';
+import deepLinkingApi from './src/api/deep-linking.js';
+import gradingApi from './src/api/grading.js';
+import rosterApi from './src/api/roster.js';
 import projectsApi from './src/api/projects.js';
+import versionsApi from './src/api/versions.js';
 import yjsServer from './src/websocket/yjs-server.js';
-import { testConnection, syncDatabase } from './src/db/connection.js';
+import { sequelize, testConnection, syncDatabase } from './src/db/connection.js';
 
 // Load environment variables
 dotenv.config();
@@ -116,7 +125,7 @@ const DEMO_MODE = process.env.DEMO_MODE === 'true';
 if (NODE_ENV === 'development' || DEMO_MODE) {
   if (DEMO_MODE) console.log('🎭 DEMO MODE active — mock sessions available without Moodle');
 
-  app.post('/dev/mock-session', (req, res) => {
+  app.post('/dev/mock-session', async (req, res) => {
     try {
       const mockValidation = {
         userId: `demo_user_${Date.now()}`,
@@ -129,7 +138,7 @@ if (NODE_ENV === 'development' || DEMO_MODE) {
         },
       };
 
-      const sessionId = createSession(mockValidation);
+      const sessionId = await createSession(mockValidation);
 
       res.cookie('session_id', sessionId, {
         path: '/',
@@ -163,7 +172,13 @@ if (NODE_ENV === 'development' || DEMO_MODE) {
 }
 
 
+// Admin and Deep Linking APIs — before the catch-all /api router
+app.use('/api/admin', adminApi);
+app.use('/api/deep-link', deepLinkingApi);
 app.use('/api', projectsApi);
+app.use('/api', gradingApi);
+app.use('/api', rosterApi);
+app.use('/api', versionsApi);
 
 // TEST ENDPOINT
 app.get('/api/test', (req, res) => {
@@ -241,6 +256,21 @@ async function startup() {
       await syncDatabase();
     }
 
+    // Session store (database by default, in-memory without a database)
+    const sessionStore = await createSessionStore({ dbConnected });
+    setSessionStore(sessionStore);
+    startSessionCleanup(sessionStore);
+
+    // Pending OIDC states shared across instances
+    if (dbConnected) {
+      const stateStore = new DatabaseStateStore(LtiState);
+      ltiHandler.setStateStore(stateStore);
+      setInterval(() => stateStore.cleanup().catch(() => {}), 10 * 60 * 1000).unref();
+
+      // Platform registrations from the database, env platform as fallback
+      ltiHandler.setPlatformStore(new DatabasePlatformStore(Platform));
+    }
+
     // Start HTTP/WebSocket server
     httpServer.listen(PORT, () => {
       console.log('');
@@ -258,11 +288,15 @@ async function startup() {
       console.log('  GET  /health                 - Health check');
       console.log('  GET  /.well-known/openid-configuration - OIDC Discovery');
       console.log('  POST /lti/launch             - LTI 1.3 Launch');
+      console.log('  GET  /lti/register           - LTI Dynamic Registration');
       console.log('  GET  /api/projects           - List projects');
       console.log('  POST /api/projects           - Create project');
       console.log('  GET  /api/projects/:id       - Get project');
       console.log('  PUT  /api/projects/:id       - Update project');
       console.log('  DELETE /api/projects/:id     - Delete project');
+      console.log('  GET  /api/projects/:id/grading - Grading (LTI AGS)');
+      console.log('  POST /api/course/roster/sync - Import course roster (LTI NRPS)');
+      console.log('  *    /api/admin/platforms    - Manage LTI platform registrations');
       console.log('');
     });
   } catch (error) {
@@ -271,14 +305,32 @@ async function startup() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n\n🛑 Shutting down gracefully...');
-  httpServer.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
-  });
-});
+// Handle graceful shutdown: save open boards before exiting
+const SHUTDOWN_TIMEOUT = 15 * 1000;
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n\n🛑 ${signal} received, shutting down gracefully...`);
+
+  // Don't hang forever on a stuck database
+  setTimeout(() => {
+    console.error('❌ Shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+
+  // Disconnect clients and stop accepting connections, then flush documents
+  io.close();
+  await yjsServer.shutdown();
+  await sequelize.close().catch(() => {});
+
+  console.log('✅ Server closed');
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Prevent crashes from unhandled errors
 process.on('unhandledRejection', (reason, promise) => {
@@ -0,0 +1,188 @@
+import express from 'express';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { requireLTISession } from '../lti/routes.js';
+import ltiHandler from '../lti/handler.js';
+import { Platform } from '../db/models.js';
+
+const router = express.Router();
+
+/**
+ * Middleware: Moodle admins (LTI session) or a bearer token
+ * matching ADMIN_API_TOKEN (for scripts / provisioning)
+ */
+export function requireAdmin(req, res, next) {
+  const header = req.headers.authorization || '';
+  const adminToken = process.env.ADMIN_API_TOKEN;
+
+  if (header.startsWith('Bearer ')) {
+    const token = Buffer.from(header.slice(7));
+    const expected = Buffer.from(adminToken || '');
+
+    if (adminToken && token.length === expected.length && crypto.timingSafeEqual(token, expected)) {
+      return next();
+    }
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  requireLTISession(req, res, () => {
+    if (req.session.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  });
+}
+
+router.use(requireAdmin);
+
+const PLATFORM_FIELDS = [
+  'name', 'issuer', 'clientId', 'deploymentIds',
+  'authEndpoint', 'tokenEndpoint', 'jwksEndpoint', 'active',
+];
+
+const REQUIRED_FIELDS = ['name', 'issuer', 'clientId', 'authEndpoint', 'jwksEndpoint'];
+
+function pickPlatformFields(body) {
+  const data = {};
+  for (const field of PLATFORM_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+}
+
+function validatePlatform(data) {
+  if (data.deploymentIds !== undefined &&
+      (!Array.isArray(data.deploymentIds) || data.deploymentIds.some((d) => typeof d !== 'string'))) {
+    return 'deploymentIds must be an array of strings';
+  }
+
+  for (const field of ['issuer', 'authEndpoint', 'tokenEndpoint', 'jwksEndpoint']) {
+    if (data[field]) {
+      try {
+        new URL(data[field]);
+      } catch {
+        return `${field} must be a URL`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /api/admin/platforms
+ * List all platform registrations
+ */
+router.get('/platforms', async (req, res) => {
+  try {
+    const platforms = await Platform.findAll({ order: [['name', 'ASC']] });
+    res.json(platforms);
+  } catch (error) {
+    console.error('GET /admin/platforms error:', error);
+    res.status(500).json({ error: 'Failed to fetch platforms' });
+  }
+});
+
+/**
+ * POST /api/admin/platforms
+ * Register a platform (Moodle site + client id)
+ */
+router.post('/platforms', async (req, res) => {
+  try {
+    const data = pickPlatformFields(req.body);
+
+    const missing = REQUIRED_FIELDS.filter((field) => !data[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `Missing fields: ${missing.join(', ')}` });
+    }
+
+    const invalid = validatePlatform(data);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const existing = await Platform.findOne({ where: { issuer: data.issuer, clientId: data.clientId } });
+    if (existing) {
+      return res.status(409).json({ error: 'Platform with this issuer and client id already exists' });
+    }
+
+    const platform = await Platform.create({ id: uuidv4(), ...data });
+    res.status(201).json(platform);
+  } catch (error) {
+    console.error('POST /admin/platforms error:', error);
+    res.status(500).json({ error: 'Failed to create platform' });
+  }
+});
+
+/**
+ * POST /api/admin/platforms/registration-link
+ * One-time Dynamic Registration link to paste into Moodle
+ */
+router.post('/platforms/registration-link', async (req, res) => {
+  try {
+    const toolUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+    const { secret, expiresAt } = await ltiHandler.createRegistrationSecret();
+
+    res.status(201).json({
+      registerUrl: `${toolUrl}/lti/register?secret=${secret}`,
+      expiresAt,
+    });
+  } catch (error) {
+    console.error('POST /admin/platforms/registration-link error:', error);
+    res.status(500).json({ error: 'Failed to create registration link' });
+  }
+});
+
+/**
+ * PUT /api/admin/platforms/:id
+ * Update a platform registration
+ */
+router.put('/platforms/:id', async (req, res) => {
+  try {
+    const platform = await Platform.findByPk(req.params.id);
+
+    if (!platform) {
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+
+    const data = pickPlatformFields(req.body);
+    const empty = REQUIRED_FIELDS.filter((field) => field in data && !data[field]);
+    if (empty.length > 0) {
+      return res.status(400).json({ error: `Fields cannot be empty: ${empty.join(', ')}` });
+    }
+
+    const invalid = validatePlatform(data);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await platform.update(data);
+    res.json(platform);
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'Platform with this issuer and client id already exists' });
+    }
+    console.error('PUT /admin/platforms/:id error:', error);
+    res.status(500).json({ error: 'Failed to update platform' });
+  }
+});
+
+/**
+ * DELETE /api/admin/platforms/:id
+ * Remove a platform registration
+ */
+router.delete('/platforms/:id', async (req, res) => {
+  try {
+    const deleted = await Platform.destroy({ where: { id: req.params.id } });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('DELETE /admin/platforms/:id error:', error);
+    res.status(500).json({ error: 'Failed to delete platform' });
+  }
+});
+
+export default router;
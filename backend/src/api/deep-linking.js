@@ -0,0 +1,112 @@
+import express from 'express';
+import { requireLTISession } from '../lti/routes.js';
+import ltiHandler from '../lti/handler.js';
+import { getProjectRole, hasRole, isInstructor } from './permissions.js';
+import { createProjectForSession, ACTIVITY_STUDENT_ROLE } from './project-service.js';
+
+const router = express.Router();
+
+/**
+ * Middleware: Deep Linking sessions of instructors only
+ */
+router.use(requireLTISession);
+router.use((req, res, next) => {
+  if (!req.session.deepLinking) {
+    return res.status(404).json({ error: 'No Deep Linking request in this session' });
+  }
+  if (!isInstructor(req.session)) {
+    return res.status(403).json({ error: 'Only instructors can add boards to a course' });
+  }
+  next();
+});
+
+const BOARD_TYPES = ['mindmap', 'whiteboard'];
+
+/**
+ * Resource link content item that launches straight into the board
+ */
+function boardContentItem(project) {
+  const toolUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+  return {
+    type: 'ltiResourceLink',
+    title: project.name,
+    text: project.description || undefined,
+    url: `${toolUrl}/lti/launch`,
+    custom: {
+      project_id: project.id,
+    },
+  };
+}
+
+/**
+ * GET /api/deep-link
+ * Settings of the pending Deep Linking request (for the picker)
+ */
+router.get('/', (req, res) => {
+  const { acceptMultiple } = req.session.deepLinking;
+  res.json({ acceptMultiple, courseId: req.session.courseId, courseName: req.session.courseName });
+});
+
+/**
+ * POST /api/deep-link
+ * Pick an existing board ({ projectId }) or create one ({ name, boardType })
+ * Returns the signed LtiDeepLinkingResponse for the frontend to post to Moodle
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { projectId, name, description, boardType = 'mindmap' } = req.body;
+    let project;
+
+    if (projectId) {
+      const access = await getProjectRole(projectId, req.session);
+
+      if (!access.project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (!hasRole(access.role, 'editor')) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      project = access.project;
+
+      // The activity must open for the course's students: a board of another
+      // course, or one only its owner may open up, would greet them with a 403
+      const { courseId } = req.session;
+      const openToCourse = project.visibility === 'course' && project.courseId === courseId;
+      if (courseId && !openToCourse) {
+        if (project.courseId && project.courseId !== courseId) {
+          return res.status(409).json({ error: 'This board belongs to another course' });
+        }
+        if (!hasRole(access.role, 'owner')) {
+          return res.status(403).json({ error: 'Only the owner can add this board to the course' });
+        }
+        await project.update({ visibility: 'course', courseId });
+      }
+    } else {
+      if (!BOARD_TYPES.includes(boardType)) {
+        return res.status(400).json({ error: 'Invalid boardType' });
+      }
+
+      // New boards are for the activity that is being created, so everyone in the course may open them
+      project = await createProjectForSession(req.session, {
+        name,
+        description,
+        boardType,
+        visibility: req.session.courseId ? 'course' : 'private',
+        studentRole: ACTIVITY_STUDENT_ROLE,
+      });
+    }
+
+    const jwt = await ltiHandler.createDeepLinkingResponse(req.session.deepLinking, [boardContentItem(project)]);
+
+    res.json({
+      returnUrl: req.session.deepLinking.returnUrl,
+      jwt,
+    });
+  } catch (error) {
+    console.error('POST /deep-link error:', error);
+    res.status(500).json({ error: 'Failed to create Deep Linking response' });
+  }
+});
+
+export default router;
@@ -0,0 +1,483 @@
+import express from 'express';
+import { Op, fn, col } from 'sequelize';
+import { requireLTISession } from '../lti/routes.js';
+import ltiHandler from '../lti/handler.js';
+import ags from '../lti/ags.js';
+import { ProjectMember, AuditLog, User, LineItem, Grade, CourseMembership } from '../db/models.js';
+import { getProjectRole, hasRole, isInstructor } from './permissions.js';
+import {
+  METRICS,
+  DEFAULT_RUBRIC,
+  emptyMetrics,
+  computeMetrics,
+  validateRubric,
+  scoreParticipation,
+  describeParticipation,
+} from '../participation/scoring.js';
+
+const router = express.Router();
+
+/**
+ * Middleware: Ensure LTI session is authenticated
+ */
+router.use(requireLTISession);
+
+/**
+ * Resolve the project for instructors who can edit it, or send an error
+ */
+async function getGradableProject(req, res) {
+  const { project, role } = await getProjectRole(req.params.id, req.session);
+
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+
+  if (!isInstructor(req.session) || !hasRole(role, 'editor')) {
+    res.status(403).json({ error: 'Only instructors can grade this board' });
+    return null;
+  }
+
+  return project;
+}
+
+/**
+ * Per-user edit/join counts and last activity from the audit log
+ */
+async function getContributions(projectId) {
+  const rows = await AuditLog.findAll({
+    attributes: [
+      'userId',
+      'action',
+      [fn('COUNT', col('id')), 'count'],
+      [fn('MAX', col('createdAt')), 'lastAt'],
+    ],
+    where: { projectId, action: { [Op.in]: ['edited', 'joined'] } },
+    group: ['userId', 'action'],
+    raw: true,
+  });
+
+  const byUser = new Map();
+  for (const row of rows) {
+    const entry = byUser.get(row.userId) || { edits: 0, joins: 0, lastActivityAt: null };
+    if (row.action === 'edited') entry.edits = Number(row.count);
+    if (row.action === 'joined') entry.joins = Number(row.count);
+    const lastAt = new Date(row.lastAt);
+    if (!entry.lastActivityAt || lastAt > entry.lastActivityAt) entry.lastActivityAt = lastAt;
+    byUser.set(row.userId, entry);
+  }
+  return byUser;
+}
+
+/**
+ * Learners among the given users
+ * Their role in the board's course (roster sync) decides; users the roster
+ * does not list count by the role of their last launch. Instructors, TAs
+ * and admins are never graded.
+ */
+async function getLearners(project, userIds) {
+  const ids = [...userIds];
+  const [memberships, users] = await Promise.all([
+    project.courseId
+      ? CourseMembership.findAll({ where: { courseId: project.courseId, userId: ids } })
+      : [],
+    User.findAll({ where: { id: ids } }),
+  ]);
+  const courseRoles = new Map(memberships.map((m) => [m.userId, m.role]));
+
+  return users.filter((user) => (courseRoles.has(user.id)
+    ? courseRoles.get(user.id) === 'student'
+    : user.role === 'student'));
+}
+
+/**
+ * Students of a board: learners among its members and everyone who worked on it
+ * Returns [{ userId, name, email }] sorted by name
+ */
+async function getStudents(project, graderId, extraUserIds = []) {
+  const members = await ProjectMember.findAll({ where: { projectId: project.id } });
+
+  const userIds = new Set([...members.map((m) => m.userId), ...extraUserIds]);
+  userIds.delete(graderId);
+
+  const learners = await getLearners(project, userIds);
+
+  return learners.map((user) => ({
+    userId: user.id,
+    name: user.name || null,
+    email: user.email || null,
+  })).sort((a, b) => (a.name || a.userId).localeCompare(b.name || b.userId));
+}
+
+/**
+ * Participation metrics and rubric scores for every student of a board
+ */
+async function getParticipation(project, graderId) {
+  const [logs, lineItem] = await Promise.all([
+    AuditLog.findAll({
+      attributes: ['userId', 'action', 'createdAt', 'details'],
+      where: { projectId: project.id, action: { [Op.in]: ['edited', 'joined'] } },
+      raw: true,
+    }),
+    LineItem.findOne({ where: { projectId: project.id } }),
+  ]);
+
+  const metrics = computeMetrics(logs);
+  const rubric = project.participationRubric || DEFAULT_RUBRIC;
+  const scoreMaximum = lineItem?.scoreMaximum || 100;
+  const students = await getStudents(project, graderId, metrics.keys());
+
+  return {
+    rubric,
+    scoreMaximum,
+    lineItem,
+    students: students.map((student) => {
+      const studentMetrics = metrics.get(student.userId) || emptyMetrics();
+      const { score, breakdown } = scoreParticipation(studentMetrics, rubric, scoreMaximum);
+      return { ...student, metrics: studentMetrics, score, breakdown };
+    }),
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeGrade(grade) {
+  if (!grade) return null;
+  return {
+    score: grade.score,
+    comment: grade.comment,
+    status: grade.status,
+    source: grade.source,
+    postedAt: grade.postedAt,
+    error: grade.error,
+  };
+}
+
+/**
+ * Send one grade to the platform gradebook and record the outcome
+ * AGS wants the platform's own user id, not the issuer-scoped one
+ */
+async function publishGrade(grade, lineItem, session) {
+  try {
+    const user = await User.findByPk(grade.userId);
+    if (!user || user.issuer !== lineItem.issuer) {
+      throw new Error('Student is not known on the gradebook platform');
+    }
+
+    const platform = await ltiHandler.findPlatform(lineItem.issuer, lineItem.clientId);
+    await ags.postScore(platform, lineItem.lineItemUrl, {
+      userId: user.moodleUserId,
+      scoreGiven: grade.score,
+      scoreMaximum: lineItem.scoreMaximum,
+      comment: grade.comment,
+    });
+    await grade.update({ status: 'posted', postedAt: new Date(), error: null });
+
+    await AuditLog.create({
+      projectId: grade.projectId,
+      userId: session.userId,
+      action: 'graded',
+      details: { studentId: grade.userId, score: grade.score },
+    });
+  } catch (error) {
+    console.warn('AGS score post failed:', error.message);
+    await grade.update({ status: 'failed', error: error.message });
+  }
+  return grade;
+}
+
+/**
+ * GET /api/projects/:id/grading
+ * Line item, each student's contributions and their grade
+ */
+router.get('/projects/:id/grading', async (req, res) => {
+  try {
+    const project = await getGradableProject(req, res);
+    if (!project) return;
+
+    const [lineItem, grades, contributions] = await Promise.all([
+      LineItem.findOne({ where: { projectId: project.id } }),
+      Grade.findAll({ where: { projectId: project.id } }),
+      getContributions(project.id),
+    ]);
+
+    const gradesByUser = new Map(grades.map((g) => [g.userId, g]));
+    const students = (await getStudents(project, req.session.userId, contributions.keys()))
+      .map((student) => ({
+        ...student,
+        ...(contributions.get(student.userId) || { edits: 0, joins: 0, lastActivityAt: null }),
+        grade: serializeGrade(gradesByUser.get(student.userId)),
+      }));
+
+    const { ags: agsClaim } = req.session;
+
+    res.json({
+      lineItem: lineItem
+        ? { label: lineItem.label, scoreMaximum: lineItem.scoreMaximum }
+        : null,
+      canCreateLineItem: Boolean(agsClaim?.lineitem || agsClaim?.lineitems),
+      students,
+    });
+  } catch (error) {
+    console.error('GET /projects/:id/grading error:', error);
+    res.status(500).json({ error: 'Failed to fetch grading' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/grading/line-item
+ * Turn the board into a graded activity (AGS line item)
+ */
+router.post('/projects/:id/grading/line-item', async (req, res) => {
+  try {
+    const project = await getGradableProject(req, res);
+    if (!project) return;
+
+    const { label = project.name, scoreMaximum = 100 } = req.body;
+    const maximum = Number(scoreMaximum);
+
+    if (!(maximum > 0)) {
+      return res.status(400).json({ error: 'scoreMaximum must be a positive number' });
+    }
+
+    if (await LineItem.findOne({ where: { projectId: project.id } })) {
+      return res.status(409).json({ error: 'This board is already graded' });
+    }
+
+    const agsClaim = req.session.ags;
+    if (!agsClaim?.lineitem && !agsClaim?.lineitems) {
+      return res.status(400).json({ error: 'Launch from a graded Moodle activity to enable grading' });
+    }
+
+    const platform = await ltiHandler.findPlatform(req.session.issuer, req.session.clientId);
+
+    // Moodle already created a column for activities with "Accept grades"; otherwise create one
+    let lineItemUrl = agsClaim.lineitem;
+    if (!lineItemUrl) {
+      const created = await ags.createLineItem(platform, agsClaim.lineitems, {
+        label,
+        scoreMaximum: maximum,
+        resourceLinkId: req.session.lmsResourceLinkId,
+        tag: `moodboard:${project.id}`,
+      });
+      lineItemUrl = created.id;
+    }
+
+    const lineItem = await LineItem.create({
+      projectId: project.id,
+      lineItemUrl,
+      label,
+      scoreMaximum: maximum,
+      issuer: platform.issuer,
+      clientId: platform.clientId,
+      createdBy: req.session.userId,
+    });
+
+    res.status(201).json({ label: lineItem.label, scoreMaximum: lineItem.scoreMaximum });
+  } catch (error) {
+    console.error('POST /projects/:id/grading/line-item error:', error);
+    res.status(502).json({ error: `Failed to create grade item: ${error.message}` });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/grades/:userId
+ * Save a student's score and comment; { publish: true } also sends it to Moodle
+ */
+router.put('/projects/:id/grades/:userId', async (req, res) => {
+  try {
+    const project = await getGradableProject(req, res);
+    if (!project) return;
+
+    const lineItem = await LineItem.findOne({ where: { projectId: project.id } });
+    if (!lineItem) {
+      return res.status(400).json({ error: 'Create a grade item first' });
+    }
+
+    const { comment = null, publish = false } = req.body;
+    const score = Number(req.body.score);
+
+    if (req.body.score === undefined || Number.isNaN(score) || score < 0 || score > lineItem.scoreMaximum) {
+      return res.status(400).json({ error: `Score must be between 0 and ${lineItem.scoreMaximum}` });
+    }
+
+    // Only the students listed for grading: not co-instructors, not strangers
+    const contributions = await getContributions(project.id);
+    const students = await getStudents(project, req.session.userId, contributions.keys());
+    if (!students.some((student) => student.userId === req.params.userId)) {
+      return res.status(400).json({ error: 'Only students of this board can be graded' });
+    }
+
+    const [grade] = await Grade.findOrCreate({
+      where: { projectId: project.id, userId: req.params.userId },
+      defaults: { score, comment, gradedBy: req.session.userId, source: 'manual' },
+    });
+    await grade.update({ score, comment, gradedBy: req.session.userId, source: 'manual', status: 'draft', error: null });
+
+    if (publish) {
+      await publishGrade(grade, lineItem, req.session);
+    }
+
+    res.json(serializeGrade(grade));
+  } catch (error) {
+    console.error('PUT /projects/:id/grades/:userId error:', error);
+    res.status(500).json({ error: 'Failed to save grade' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/grades/publish
+ * Send all unsent (draft or failed) grades to the Moodle gradebook
+ */
+router.post('/projects/:id/grades/publish', async (req, res) => {
+  try {
+    const project = await getGradableProject(req, res);
+    if (!project) return;
+
+    const lineItem = await LineItem.findOne({ where: { projectId: project.id } });
+    if (!lineItem) {
+      return res.status(400).json({ error: 'Create a grade item first' });
+    }
+
+    const pending = await Grade.findAll({
+      where: { projectId: project.id, status: { [Op.in]: ['draft', 'failed'] } },
+    });
+
+    for (const grade of pending) {
+      await publishGrade(grade, lineItem, req.session);
+    }
+
+    res.json({
+      posted: pending.filter((g) => g.status === 'posted').length,
+      failed: pending.filter((g) => g.status === 'failed').length,
+    });
+  } catch (error) {
+    console.error('POST /projects/:id/grades/publish error:', error);
+    res.status(500).json({ error: 'Failed to publish grades' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/participation
+ * Per-student metrics and the score the rubric gives them
+ * ?format=csv downloads the table
+ */
+router.get('/projects/:id/participation', async (req, res) => {
+  try {
+    const project = await getGradableProject(req, res);
+    if (!project) return;
+
+    const { rubric, scoreMaximum, students } = await getParticipation(project, req.session.userId);
+
+    if (req.query.format === 'csv') {
+      const metricKeys = Object.keys(METRICS);
+      const rows = [
+        ['Name', 'Email', ...metricKeys.map((m) => METRICS[m]), `Score (max ${scoreMaximum})`],
+        ...students.map((s) => [s.name || s.userId, s.email, ...metricKeys.map((m) => s.metrics[m] || 0), s.score]),
+      ];
+      const csv = rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+
+      res.attachment(`${project.name || 'board'} - participation.csv`);
+      res.type('text/csv');
+      return res.send(`\uFEFF${csv}`); // BOM so Excel reads UTF-8 umlauts
+    }
+
+    res.json({ rubric, scoreMaximum, metrics: METRICS, students });
+  } catch (error) {
+    console.error('GET /projects/:id/participation error:', error);
+    res.status(500).json({ error: 'Failed to compute participation' });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/participation/rubric
+ * Set the rubric ({ criteria: [{ metric, target, weight }] })
+ */
+router.put('/projects/:id/participation/rubric', async (req, res) => {
+  try {
+    const project = await getGradableProject(req, res);
+    if (!project) return;
+
+    const invalid = validateRubric(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const rubric = {
+      criteria: req.body.criteria.map(({ metric, target, weight = 1 }) => ({
+        metric,
+        target: Number(target),
+        weight: Number(weight),
+      })),
+    };
+    await project.update({ participationRubric: rubric });
+
+    res.json(rubric);
+  } catch (error) {
+    console.error('PUT /projects/:id/participation/rubric error:', error);
+    res.status(500).json({ error: 'Failed to save rubric' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/participation/apply
+ * Store the rubric scores as grades; { publish: true } also sends them to Moodle
+ * Grades set by hand or already posted are skipped unless { overwrite: true }
+ */
+router.post('/projects/:id/participation/apply', async (req, res) => {
+  try {
+    const project = await getGradableProject(req, res);
+    if (!project) return;
+
+    const { lineItem, students } = await getParticipation(project, req.session.userId);
+    if (!lineItem) {
+      return res.status(400).json({ error: 'Create a grade item first' });
+    }
+
+    const { publish, overwrite } = req.body;
+    let graded = 0;
+    let skipped = 0;
+    let posted = 0;
+    let failed = 0;
+
+    for (const student of students) {
+      const values = {
+        score: student.score,
+        comment: describeParticipation(student.breakdown),
+        gradedBy: req.session.userId,
+        source: 'participation',
+        status: 'draft',
+        error: null,
+      };
+      const [grade, created] = await Grade.findOrCreate({
+        where: { projectId: project.id, userId: student.userId },
+        defaults: values,
+      });
+      if (!created) {
+        // Keep grades set by hand or already in the gradebook unless asked
+        if (!overwrite && (grade.source === 'manual' || grade.status === 'posted')) {
+          skipped++;
+          continue;
+        }
+        await grade.update(values);
+      }
+      graded++;
+
+      if (publish) {
+        await publishGrade(grade, lineItem, req.session);
+        if (grade.status === 'posted') posted++;
+        else failed++;
+      }
+    }
+
+    res.json({ graded, skipped, posted, failed });
+  } catch (error) {
+    console.error('POST /projects/:id/participation/apply error:', error);
+    res.status(500).json({ error: 'Failed to apply participation grades' });
+  }
+});
+
+export default router;
@@ -0,0 +1,76 @@
+import { Project, ProjectMember } from '../db/models.js';
+
+/**
+ * Project Permissions
+ *
+ * A user's role on a project is the stronger of
+ *  - their explicit ProjectMember row, and
+ *  - the automatic course role for course / resource-link scoped boards.
+ */
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+/**
+ * LTI session role → is this person teaching the course?
+ */
+export function isInstructor(session) {
+  const role = (session?.role || '').toLowerCase();
+  return role === 'instructor' || role === 'admin' || role === 'teacher';
+}
+
+/**
+ * LTI session role → User.role enum value
+ */
+export function toUserRole(sessionRole) {
+  const role = (sessionRole || '').toLowerCase();
+  if (role === 'admin') return 'admin';
+  if (role === 'instructor' || role === 'teacher') return 'teacher';
+  return 'student';
+}
+
+/**
+ * True if `role` is at least `required` (viewer < editor < owner)
+ */
+export function hasRole(role, required) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+}
+
+/**
+ * The stronger of two roles (either may be null)
+ */
+export function strongerRole(a, b) {
+  return (ROLE_RANK[a] || 0) >= (ROLE_RANK[b] || 0) ? a : b;
+}
+
+/**
+ * Role granted by launching from the board's course or activity, or null
+ */
+export function courseRole(project, session) {
+  if (!project || !session) return null;
+
+  const inScope =
+    (project.visibility === 'course' && project.courseId && project.courseId === session.courseId) ||
+    (project.visibility === 'resource_link' && project.resourceLinkId && project.resourceLinkId === session.resourceLinkId);
+
+  if (!inScope) return null;
+  return isInstructor(session) ? 'editor' : (project.studentRole || 'viewer');
+}
+
+/**
+ * Resolve the current user's access to a project
+ * Returns { project, role } — project is null if it doesn't exist,
+ * role is null if the user has no access
+ */
+export async function getProjectRole(projectId, session) {
+  const [project, member] = await Promise.all([
+    Project.findByPk(projectId),
+    ProjectMember.findOne({ where: { projectId, userId: session.userId } }),
+  ]);
+
+  if (!project) {
+    return { project: null, role: null };
+  }
+
+  const role = strongerRole(member?.role || null, courseRole(project, session));
+  return { project, role: role || null };
+}
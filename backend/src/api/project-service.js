@@ -0,0 +1,120 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Project, ProjectMember, AuditLog, User } from '../db/models.js';
+import { toUserRole, isInstructor } from './permissions.js';
+
+/**
+ * Students' role on boards made for a Moodle activity (first launch or
+ * Deep Linking): they are for working together unless the teacher says otherwise
+ */
+export const ACTIVITY_STUDENT_ROLE = 'editor';
+
+/**
+ * Make sure the session's user has a User row (foreign keys, AGS)
+ * moodleUserId keeps the platform's own id; the row is keyed by the
+ * issuer-scoped session.userId
+ */
+export async function ensureUser(session) {
+  const [user, created] = await User.findOrCreate({
+    where: { id: session.userId },
+    defaults: {
+      moodleUserId: session.lmsUserId || session.userId,
+      issuer: session.issuer || null,
+      name: session.name || 'User',
+      email: session.email || null,
+      role: toUserRole(session.role),
+    },
+  });
+  if (!created) {
+    // Role of the latest launch: grading tells learners from staff by it
+    const changes = { role: toUserRole(session.role) };
+    if (session.issuer && !user.issuer) {
+      Object.assign(changes, { issuer: session.issuer, moodleUserId: session.lmsUserId || user.moodleUserId });
+    }
+    await user.update(changes);
+  }
+  return user;
+}
+
+/**
+ * Create a project owned by the session's user
+ * Shared by the projects API, Deep Linking and first-launch board creation
+ */
+export async function createProjectForSession(session, {
+  name,
+  description,
+  boardType,
+  visibility = 'private',
+  studentRole = 'viewer',
+  resourceLinkId = session.resourceLinkId || null,
+}) {
+  const userId = session.userId;
+
+  // Ensure user exists in database (required for foreign key)
+  await ensureUser(session);
+
+  const projectId = uuidv4();
+
+  const project = await Project.create({
+    id: projectId,
+    name: name || 'New Board',
+    description: description || '',
+    boardType: boardType || 'mindmap',
+    courseId: session.courseId || null,
+    resourceLinkId,
+    visibility,
+    studentRole,
+    createdBy: userId,
+  });
+
+  // Add creator as owner
+  await ProjectMember.create({
+    projectId,
+    userId,
+    role: 'owner',
+  });
+
+  // Log action
+  await AuditLog.create({
+    projectId,
+    userId,
+    action: 'created',
+    details: { name },
+  });
+
+  return project;
+}
+
+/**
+ * Find the board a resource link launch should open
+ *  1. `project_id` custom parameter (set by Deep Linking)
+ *  2. the activity board of this resource link
+ *  3. first launch by an instructor: create the activity board
+ * Returns null if there is nothing to open (e.g. a student before the teacher)
+ */
+export async function resolveLaunchProject(session, custom = {}) {
+  if (custom.project_id) {
+    const project = await Project.findByPk(String(custom.project_id));
+    if (project) return project;
+  }
+
+  if (!session.resourceLinkId) {
+    return null;
+  }
+
+  const existing = await Project.findOne({
+    where: { resourceLinkId: session.resourceLinkId, visibility: 'resource_link' },
+    order: [['createdAt', 'ASC']],
+  });
+  if (existing) return existing;
+
+  if (!isInstructor(session)) {
+    return null;
+  }
+
+  return createProjectForSession(session, {
+    name: session.resourceLinkTitle || session.courseName || 'New Board',
+    boardType: custom.board_type === 'whiteboard' ? 'whiteboard' : 'mindmap',
+    visibility: 'resource_link',
+    studentRole: custom.student_role === 'viewer' ? 'viewer' : ACTIVITY_STUDENT_ROLE,
+  });
+}
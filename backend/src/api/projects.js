@@ -1,7 +1,11 @@
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
+import { Op, fn, col, where as sequelizeWhere } from 'sequelize';
 import { requireLTISession } from '../lti/routes.js';
 import { Project, ProjectState, ProjectMember, AuditLog, User } from '../db/models.js';
+import { getProjectRole, courseRole, hasRole } from './permissions.js';
+import { createProjectForSession } from './project-service.js';
+import yjsServer from '../websocket/yjs-server.js';
+import { EXPORT_FORMATS, docFromState, exportBoard } from '../export/exporter.js';
 
 const router = express.Router();
 
@@ -10,31 +14,72 @@ const router = express.Router();
  */
 router.use(requireLTISession);
 
+const PROJECT_ATTRIBUTES = [
+  'id', 'name', 'description', 'boardType', 'courseId', 'resourceLinkId',
+  'visibility', 'studentRole', 'createdBy', 'createdAt', 'updatedAt',
+];
+
+const VISIBILITIES = ['private', 'course', 'resource_link'];
+const STUDENT_ROLES = ['viewer', 'editor'];
+
 /**
  * GET /api/projects
- * Get all projects for current user
+ * Get all projects the current user can access, with their role:
+ * own and shared boards (ProjectMember) plus boards of their course/activity
  */
 router.get('/projects', async (req, res) => {
   try {
     const userId = req.session.userId;
+    const { courseId, resourceLinkId } = req.session;
 
-    // Get projects where user is a member or creator
-    const projects = await Project.findAll({
+    // Membership rows cover both own boards (owner) and shared ones
+    const memberProjects = await Project.findAll({
       include: [
         {
           model: ProjectMember,
           where: { userId },
-          required: false,
+          required: true,
+          attributes: ['role'],
         },
       ],
-      where: {
-        createdBy: userId,
-      },
-      order: [['updatedAt', 'DESC']],
-      attributes: ['id', 'name', 'description', 'boardType', 'courseId', 'createdBy', 'createdAt', 'updatedAt'],
+      attributes: PROJECT_ATTRIBUTES,
+    });
+
+    const result = memberProjects.map((project) => {
+      const { ProjectMembers, ...data } = project.toJSON();
+      const memberRole = ProjectMembers[0]?.role || 'viewer';
+      const scopedRole = courseRole(project, req.session);
+      return {
+        ...data,
+        role: scopedRole && !hasRole(memberRole, scopedRole) ? scopedRole : memberRole,
+        shared: project.createdBy !== userId,
+      };
     });
 
-    res.json(projects);
+    // Course and activity boards the user isn't an explicit member of
+    const scopes = [];
+    if (courseId) scopes.push({ visibility: 'course', courseId });
+    if (resourceLinkId) scopes.push({ visibility: 'resource_link', resourceLinkId });
+
+    if (scopes.length > 0) {
+      const seen = new Set(result.map((p) => p.id));
+      const scopedProjects = await Project.findAll({
+        where: { [Op.or]: scopes },
+        attributes: PROJECT_ATTRIBUTES,
+      });
+
+      for (const project of scopedProjects) {
+        if (seen.has(project.id)) continue;
+        result.push({
+          ...project.toJSON(),
+          role: courseRole(project, req.session),
+          shared: true,
+        });
+      }
+    }
+
+    result.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    res.json(result);
   } catch (error) {
     console.error('GET /projects error:', error);
     res.status(500).json({ error: 'Failed to fetch projects' });
@@ -47,47 +92,29 @@ router.get('/projects', async (req, res) => {
  */
 router.post('/projects', async (req, res) => {
   try {
-    const { name, description, boardType } = req.body;
-    const userId = req.session.userId;
-
-    // Ensure user exists in database (required for foreign key)
-    await User.findOrCreate({
-      where: { id: userId },
-      defaults: {
-        moodleUserId: userId,
-        name: req.session.name || 'User',
-        email: req.session.email || null,
-        role: req.session.role || 'student',
-      },
-    });
+    const { name, description, boardType, visibility = 'private', studentRole = 'viewer' } = req.body;
 
-    const projectId = uuidv4();
+    if (!VISIBILITIES.includes(visibility) || !STUDENT_ROLES.includes(studentRole)) {
+      return res.status(400).json({ error: 'Invalid visibility or studentRole' });
+    }
 
-    const project = await Project.create({
-      id: projectId,
-      name: name || 'New Board',
-      description: description || '',
-      boardType: boardType || 'mindmap',
-      courseId: req.session.courseId || null,
-      createdBy: userId,
-    });
+    if (visibility === 'course' && !req.session.courseId) {
+      return res.status(400).json({ error: 'Course boards need a launch from a Moodle course' });
+    }
 
-    // Add creator as owner
-    await ProjectMember.create({
-      projectId: projectId,
-      userId: userId,
-      role: 'owner',
-    });
+    if (visibility === 'resource_link' && !req.session.resourceLinkId) {
+      return res.status(400).json({ error: 'Activity boards need a launch from a Moodle activity' });
+    }
 
-    // Log action
-    await AuditLog.create({
-      projectId,
-      userId,
-      action: 'created',
-      details: { name },
+    const project = await createProjectForSession(req.session, {
+      name,
+      description,
+      boardType,
+      visibility,
+      studentRole,
     });
 
-    res.status(201).json(project);
+    res.status(201).json({ ...project.toJSON(), role: 'owner', shared: false });
   } catch (error) {
     console.error('POST /projects error:', error);
     res.status(500).json({ error: 'Failed to create project' });
@@ -96,38 +123,37 @@ router.post('/projects', async (req, res) => {
 
 /**
  * GET /api/projects/:id
- * Get project details + latest Yjs state
+ * Get project details + current Yjs state (snapshot + update log)
  */
 router.get('/projects/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.session.userId;
 
     // Check access
-    const member = await ProjectMember.findOne({
-      where: { projectId: id, userId },
-    });
-
-    if (!member) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const project = await Project.findByPk(id);
+    const { project, role } = await getProjectRole(id, req.session);
 
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Get latest Yjs state
-    const latestState = await ProjectState.findOne({
-      where: { projectId: id },
-      order: [['version', 'DESC']],
-      limit: 1,
-    });
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const [yjsState, latestState] = await Promise.all([
+      yjsServer.getCurrentState(id),
+      ProjectState.findOne({
+        attributes: ['version'],
+        where: { projectId: id },
+        order: [['version', 'DESC']],
+        limit: 1,
+      }),
+    ]);
 
     res.json({
       project,
-      yjsState: latestState ? latestState.yjsState : null,
+      role,
+      yjsState,
       stateVersion: latestState ? latestState.version : 0,
     });
   } catch (error) {
@@ -143,27 +169,38 @@ router.get('/projects/:id', async (req, res) => {
 router.put('/projects/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description } = req.body;
+    const { name, description, visibility, studentRole } = req.body;
     const userId = req.session.userId;
 
     // Check access (owner only)
-    const member = await ProjectMember.findOne({
-      where: { projectId: id, userId, role: 'owner' },
-    });
+    const { project, role } = await getProjectRole(id, req.session);
 
-    if (!member) {
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!hasRole(role, 'owner')) {
       return res.status(403).json({ error: 'Only owner can modify project' });
     }
 
-    const project = await Project.findByPk(id);
+    if ((visibility !== undefined && !VISIBILITIES.includes(visibility)) ||
+        (studentRole !== undefined && !STUDENT_ROLES.includes(studentRole))) {
+      return res.status(400).json({ error: 'Invalid visibility or studentRole' });
+    }
 
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    if (visibility === 'course' && !project.courseId) {
+      return res.status(400).json({ error: 'This board is not linked to a Moodle course' });
+    }
+
+    if (visibility === 'resource_link' && !project.resourceLinkId) {
+      return res.status(400).json({ error: 'This board is not linked to a Moodle activity' });
     }
 
     await project.update({
       name: name !== undefined ? name : project.name,
       description: description !== undefined ? description : project.description,
+      visibility: visibility !== undefined ? visibility : project.visibility,
+      studentRole: studentRole !== undefined ? studentRole : project.studentRole,
     });
 
     // Log action
@@ -171,8 +208,9 @@ router.put('/projects/:id', async (req, res) => {
       projectId: id,
       userId,
       action: 'updated',
-      details: { name, description },
+      details: { name, description, visibility, studentRole },
     });
+    refreshOpenBoard(id);
 
     res.json(project);
   } catch (error) {
@@ -191,20 +229,16 @@ router.delete('/projects/:id', async (req, res) => {
     const userId = req.session.userId;
 
     // Check access (owner only)
-    const member = await ProjectMember.findOne({
-      where: { projectId: id, userId, role: 'owner' },
-    });
-
-    if (!member) {
-      return res.status(403).json({ error: 'Only owner can delete project' });
-    }
-
-    const project = await Project.findByPk(id);
+    const { project, role } = await getProjectRole(id, req.session);
 
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    if (!hasRole(role, 'owner')) {
+      return res.status(403).json({ error: 'Only owner can delete project' });
+    }
+
     // Log action before deletion
     await AuditLog.create({
       projectId: id,
@@ -213,6 +247,7 @@ router.delete('/projects/:id', async (req, res) => {
     });
 
     await project.destroy();
+    refreshOpenBoard(id);
 
     res.json({ success: true, message: 'Project deleted' });
   } catch (error) {
@@ -223,7 +258,7 @@ router.delete('/projects/:id', async (req, res) => {
 
 /**
  * POST /api/projects/:id/export
- * Export project as PNG, PDF, or JSON
+ * Export project as JSON (raw Yjs state), SVG, PNG or PDF
  */
 router.post('/projects/:id/export', async (req, res) => {
   try {
@@ -231,26 +266,23 @@ router.post('/projects/:id/export', async (req, res) => {
     const { format = 'json' } = req.body;
     const userId = req.session.userId;
 
-    // Check access
-    const member = await ProjectMember.findOne({
-      where: { projectId: id, userId },
-    });
-
-    if (!member) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: ${EXPORT_FORMATS.join(', ')}` });
     }
 
-    const project = await Project.findByPk(id);
+    // Check access
+    const { project, role } = await getProjectRole(id, req.session);
 
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const latestState = await ProjectState.findOne({
-      where: { projectId: id },
-      order: [['version', 'DESC']],
-      limit: 1,
-    });
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Include edits not yet compacted into a snapshot
+    const yjsState = await yjsServer.getCurrentState(id);
 
     // Log action
     await AuditLog.create({
@@ -260,32 +292,86 @@ router.post('/projects/:id/export', async (req, res) => {
       details: { format },
     });
 
-    // TODO: Implement actual export based on format
-    // For now, return JSON snapshot
+    if (format === 'json') {
+      return res.json({
+        projectId: id,
+        projectName: project.name,
+        format,
+        yjsState: yjsState ? yjsState.toString('base64') : null,
+        exportedAt: new Date().toISOString(),
+      });
+    }
 
-    res.json({
-      projectId: id,
-      projectName: project.name,
-      format,
-      yjsState: latestState ? latestState.yjsState?.toString('base64') : null,
-      exportedAt: new Date().toISOString(),
-    });
+    const ydoc = docFromState(yjsState);
+    let file;
+    try {
+      file = await exportBoard(project, ydoc, format);
+    } finally {
+      ydoc.destroy();
+    }
+
+    res.attachment(file.filename);
+    res.type(file.contentType);
+    res.send(file.body);
   } catch (error) {
     console.error('POST /export error:', error);
     res.status(500).json({ error: 'Failed to export project' });
   }
 });
 
+const MEMBER_ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * Shape a ProjectMember row (with its User) for API responses
+ */
+function serializeMember(member) {
+  return {
+    userId: member.userId,
+    role: member.role,
+    name: member.User?.name || null,
+    email: member.User?.email || null,
+    moodleUserId: member.User?.moodleUserId || null,
+    addedAt: member.createdAt,
+  };
+}
+
+/**
+ * Refuse to leave a project without any owner
+ */
+async function isLastOwner(projectId, userId) {
+  const owners = await ProjectMember.findAll({
+    where: { projectId, role: 'owner' },
+    attributes: ['userId'],
+  });
+  return owners.length === 1 && owners[0].userId === userId;
+}
+
+/**
+ * Apply an access change to everyone who has the board open (non-blocking)
+ */
+function refreshOpenBoard(projectId) {
+  yjsServer.refreshRoles(projectId)
+    .catch((err) => console.warn('Role refresh failed:', err.message));
+}
+
 /**
  * POST /api/projects/:id/share
- * Add member to project
+ * Add member to project (by email or Moodle user id), or change their role
  */
 router.post('/projects/:id/share', async (req, res) => {
   try {
     const { id } = req.params;
-    const { userEmail, role = 'viewer' } = req.body;
+    const { userEmail, moodleUserId, role = 'viewer' } = req.body;
     const userId = req.session.userId;
 
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Use one of: ${MEMBER_ROLES.join(', ')}` });
+    }
+
+    if (!userEmail && !moodleUserId) {
+      return res.status(400).json({ error: 'userEmail or moodleUserId is required' });
+    }
+
     // Check access (owner only)
     const member = await ProjectMember.findOne({
       where: { projectId: id, userId, role: 'owner' },
@@ -295,13 +381,188 @@ router.post('/projects/:id/share', async (req, res) => {
       return res.status(403).json({ error: 'Only owner can share project' });
     }
 
-    // TODO: Find user by email and add to project
-    // For now, return error
-    res.status(501).json({ error: 'User lookup by email not yet implemented' });
+    // Resolve target user on the sharer's platform (emails compared case-insensitively)
+    const issuer = req.session.issuer || null;
+    const target = moodleUserId
+      ? await User.findOne({ where: { issuer, moodleUserId: String(moodleUserId) } })
+      : await User.findOne({
+        where: {
+          issuer,
+          [Op.and]: [sequelizeWhere(fn('lower', col('email')), String(userEmail).trim().toLowerCase())],
+        },
+      });
+
+    if (!target) {
+      return res.status(404).json({
+        error: 'User not found. They need to open MoodBoard from Moodle once before a board can be shared with them.',
+      });
+    }
+
+    if (target.id === userId) {
+      return res.status(400).json({ error: 'You cannot share a board with yourself' });
+    }
+
+    const [membership, created] = await ProjectMember.findOrCreate({
+      where: { projectId: id, userId: target.id },
+      defaults: { role },
+    });
+
+    if (!created && membership.role !== role) {
+      await membership.update({ role });
+    }
+
+    // Log action
+    await AuditLog.create({
+      projectId: id,
+      userId,
+      action: 'shared',
+      details: { targetUserId: target.id, role, created },
+    });
+    refreshOpenBoard(id);
+
+    membership.User = target;
+    res.status(created ? 201 : 200).json(serializeMember(membership));
   } catch (error) {
     console.error('POST /share error:', error);
     res.status(500).json({ error: 'Failed to share project' });
   }
 });
 
+/**
+ * GET /api/projects/:id/members
+ * List everyone with access to the project
+ */
+router.get('/projects/:id/members', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check access
+    const { project, role } = await getProjectRole(id, req.session);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const members = await ProjectMember.findAll({
+      where: { projectId: id },
+      include: [{ model: User, attributes: ['name', 'email', 'moodleUserId'] }],
+      order: [['createdAt', 'ASC']],
+    });
+
+    res.json(members.map(serializeMember));
+  } catch (error) {
+    console.error('GET /members error:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/members/:userId
+ * Change a member's role
+ */
+router.put('/projects/:id/members/:userId', async (req, res) => {
+  try {
+    const { id, userId: targetUserId } = req.params;
+    const { role } = req.body;
+    const userId = req.session.userId;
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Use one of: ${MEMBER_ROLES.join(', ')}` });
+    }
+
+    // Check access (owner only)
+    const member = await ProjectMember.findOne({
+      where: { projectId: id, userId, role: 'owner' },
+    });
+
+    if (!member) {
+      return res.status(403).json({ error: 'Only owner can change roles' });
+    }
+
+    const target = await ProjectMember.findOne({
+      where: { projectId: id, userId: targetUserId },
+      include: [{ model: User, attributes: ['name', 'email', 'moodleUserId'] }],
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (target.role === 'owner' && role !== 'owner' && await isLastOwner(id, targetUserId)) {
+      return res.status(400).json({ error: 'A board needs at least one owner' });
+    }
+
+    const previousRole = target.role;
+    await target.update({ role });
+
+    // Log action
+    await AuditLog.create({
+      projectId: id,
+      userId,
+      action: 'role-changed',
+      details: { targetUserId, from: previousRole, to: role },
+    });
+    refreshOpenBoard(id);
+
+    res.json(serializeMember(target));
+  } catch (error) {
+    console.error('PUT /members error:', error);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/members/:userId
+ * Revoke access (owners can remove anyone, members can remove themselves)
+ */
+router.delete('/projects/:id/members/:userId', async (req, res) => {
+  try {
+    const { id, userId: targetUserId } = req.params;
+    const userId = req.session.userId;
+
+    if (targetUserId !== userId) {
+      // Check access (owner only)
+      const member = await ProjectMember.findOne({
+        where: { projectId: id, userId, role: 'owner' },
+      });
+
+      if (!member) {
+        return res.status(403).json({ error: 'Only owner can revoke access' });
+      }
+    }
+
+    const target = await ProjectMember.findOne({
+      where: { projectId: id, userId: targetUserId },
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (target.role === 'owner' && await isLastOwner(id, targetUserId)) {
+      return res.status(400).json({ error: 'A board needs at least one owner' });
+    }
+
+    await target.destroy();
+
+    // Log action
+    await AuditLog.create({
+      projectId: id,
+      userId,
+      action: 'unshared',
+      details: { targetUserId, role: target.role },
+    });
+    refreshOpenBoard(id);
+
+    res.json({ success: true, message: 'Access revoked' });
+  } catch (error) {
+    console.error('DELETE /members error:', error);
+    res.status(500).json({ error: 'Failed to revoke access' });
+  }
+});
+
 export default router;
@@ -0,0 +1,190 @@
+import express from 'express';
+import { Op, fn, col } from 'sequelize';
+import { requireLTISession, revokeUserSessions } from '../lti/routes.js';
+import ltiHandler, { simplifyRoles } from '../lti/handler.js';
+import nrps from '../lti/nrps.js';
+import { User, CourseMembership, ProjectMember, AuditLog } from '../db/models.js';
+import { platformScopedId } from '../lti/identity.js';
+import { getProjectRole, courseRole, hasRole, strongerRole, isInstructor, toUserRole } from './permissions.js';
+
+const router = express.Router();
+
+/**
+ * Middleware: Ensure LTI session is authenticated
+ */
+router.use(requireLTISession);
+
+function requireInstructor(req, res) {
+  if (!isInstructor(req.session)) {
+    res.status(403).json({ error: 'Only instructors can view the course roster' });
+    return false;
+  }
+  if (!req.session.courseId) {
+    res.status(400).json({ error: 'Launch from a Moodle course to use the roster' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Fetch the course roster via NRPS and upsert Users and CourseMemberships
+ * Members missing from the roster are marked Deleted and signed out of
+ * this course
+ */
+async function syncRoster(session) {
+  const platform = await ltiHandler.findPlatform(session.issuer, session.clientId);
+  const members = await nrps.getMembers(platform, session.nrps.context_memberships_url);
+  const syncedAt = new Date();
+
+  for (const member of members) {
+    const role = simplifyRoles(member.roles);
+    const name = member.name || [member.given_name, member.family_name].filter(Boolean).join(' ') || null;
+    // NRPS user_id is the launch's sub: scope it the same way
+    const userId = platformScopedId(session.issuer, 'user', member.user_id);
+
+    const [user, created] = await User.findOrCreate({
+      where: { id: userId },
+      defaults: {
+        moodleUserId: member.user_id,
+        issuer: session.issuer,
+        name: name || member.user_id,
+        email: member.email || null,
+        role: toUserRole(role),
+      },
+    });
+    if (!created) {
+      // Only overwrite what the platform actually disclosed
+      await user.update({
+        name: name || user.name,
+        email: member.email || user.email,
+        role: toUserRole(role),
+      });
+    }
+
+    const [membership] = await CourseMembership.findOrCreate({
+      where: { courseId: session.courseId, userId },
+      defaults: { role, roles: member.roles || [], status: member.status || 'Active', syncedAt },
+    });
+    await membership.update({ role, roles: member.roles || [], status: member.status || 'Active', syncedAt });
+  }
+
+  const removed = await CourseMembership.findAll({
+    where: { courseId: session.courseId, status: { [Op.ne]: 'Deleted' }, syncedAt: { [Op.lt]: syncedAt } },
+    attributes: ['userId'],
+  });
+  await CourseMembership.update(
+    { status: 'Deleted' },
+    { where: { courseId: session.courseId, syncedAt: { [Op.lt]: syncedAt } } },
+  );
+  // Their sessions of this course still grant it: end those, a new launch
+  // decides. Sessions of their other courses and platforms stay
+  for (const { userId } of removed) {
+    await revokeUserSessions(userId, { issuer: session.issuer, courseId: session.courseId });
+  }
+
+  return members.length;
+}
+
+async function getActiveRoster(courseId) {
+  const memberships = await CourseMembership.findAll({
+    where: { courseId, status: 'Active' },
+    include: [{ model: User, attributes: ['name', 'email', 'moodleUserId'] }],
+  });
+
+  return memberships.map((m) => ({
+    userId: m.userId,
+    name: m.User?.name || null,
+    email: m.User?.email || null,
+    moodleUserId: m.User?.moodleUserId || null,
+    role: m.role,
+  })).sort((a, b) => (a.name || a.userId).localeCompare(b.name || b.userId));
+}
+
+/**
+ * POST /api/course/roster/sync
+ * Import the current course's members from Moodle (NRPS)
+ */
+router.post('/course/roster/sync', async (req, res) => {
+  try {
+    if (!requireInstructor(req, res)) return;
+
+    if (!req.session.nrps?.context_memberships_url) {
+      return res.status(400).json({ error: 'Moodle did not provide the course roster service for this launch' });
+    }
+
+    const synced = await syncRoster(req.session);
+    res.json({ synced });
+  } catch (error) {
+    console.error('POST /course/roster/sync error:', error);
+    res.status(502).json({ error: `Failed to sync roster: ${error.message}` });
+  }
+});
+
+/**
+ * GET /api/course/roster
+ * Active members of the current course
+ */
+router.get('/course/roster', async (req, res) => {
+  try {
+    if (!requireInstructor(req, res)) return;
+    res.json(await getActiveRoster(req.session.courseId));
+  } catch (error) {
+    console.error('GET /course/roster error:', error);
+    res.status(500).json({ error: 'Failed to fetch roster' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/roster
+ * Course members with their access to the board and whether they opened it
+ */
+router.get('/projects/:id/roster', async (req, res) => {
+  try {
+    if (!requireInstructor(req, res)) return;
+
+    const { project, role } = await getProjectRole(req.params.id, req.session);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const [roster, members, visits] = await Promise.all([
+      getActiveRoster(req.session.courseId),
+      ProjectMember.findAll({ where: { projectId: project.id } }),
+      AuditLog.findAll({
+        attributes: ['userId', [fn('MAX', col('createdAt')), 'lastOpenedAt']],
+        where: { projectId: project.id, action: 'joined' },
+        group: ['userId'],
+        raw: true,
+      }),
+    ]);
+
+    const memberRoles = new Map(members.map((m) => [m.userId, m.role]));
+    const lastOpened = new Map(visits.map((v) => [v.userId, v.lastOpenedAt]));
+
+    res.json(roster.map((person) => {
+      // Course role as this person would get it when launching from the course
+      const scoped = courseRole(project, {
+        courseId: req.session.courseId,
+        resourceLinkId: req.session.resourceLinkId,
+        role: person.role,
+      });
+
+      return {
+        ...person,
+        projectRole: strongerRole(memberRoles.get(person.userId) || null, scoped),
+        opened: lastOpened.has(person.userId),
+        lastOpenedAt: lastOpened.get(person.userId) || null,
+      };
+    }));
+  } catch (error) {
+    console.error('GET /projects/:id/roster error:', error);
+    res.status(500).json({ error: 'Failed to fetch roster' });
+  }
+});
+
+export default router;
@@ -0,0 +1,196 @@
+import express from 'express';
+import { fn, col } from 'sequelize';
+import { requireLTISession } from '../lti/routes.js';
+import { ProjectState, AuditLog } from '../db/models.js';
+import { getProjectRole, hasRole } from './permissions.js';
+import { docFromState, renderBoardSvg } from '../export/exporter.js';
+import { readMindMap } from '../export/board-data.js';
+import { diffMindMap } from '../versions/diff.js';
+import yjsServer from '../websocket/yjs-server.js';
+
+const router = express.Router();
+
+/**
+ * Middleware: Ensure LTI session is authenticated
+ */
+router.use(requireLTISession);
+
+/**
+ * Resolve the project and one of its versions, or send an error
+ */
+async function getVersion(req, res) {
+  const { project, role } = await getProjectRole(req.params.id, req.session);
+
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return {};
+  }
+
+  if (!role) {
+    res.status(403).json({ error: 'Access denied' });
+    return {};
+  }
+
+  const state = await ProjectState.findOne({
+    where: { projectId: project.id, version: Number(req.params.version) || 0 },
+  });
+
+  if (!state) {
+    res.status(404).json({ error: 'Version not found' });
+    return {};
+  }
+
+  return { project, role, state };
+}
+
+/**
+ * GET /api/projects/:id/versions
+ * Saved versions, newest first, without their content
+ */
+router.get('/projects/:id/versions', async (req, res) => {
+  try {
+    const { project, role } = await getProjectRole(req.params.id, req.session);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const versions = await ProjectState.findAll({
+      attributes: ['version', 'createdAt', [fn('LENGTH', col('yjsState')), 'size']],
+      where: { projectId: project.id },
+      order: [['version', 'DESC']],
+      raw: true,
+    });
+
+    res.json(versions.map((v) => ({ ...v, size: Number(v.size) || 0 })));
+  } catch (error) {
+    console.error('GET /projects/:id/versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch versions' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/versions/:version
+ * One version with its Yjs state (base64)
+ */
+router.get('/projects/:id/versions/:version', async (req, res) => {
+  try {
+    const { state } = await getVersion(req, res);
+    if (!state) return;
+
+    res.json({
+      version: state.version,
+      createdAt: state.createdAt,
+      size: state.yjsState?.length || 0,
+      yjsState: state.yjsState ? state.yjsState.toString('base64') : null,
+    });
+  } catch (error) {
+    console.error('GET /projects/:id/versions/:version error:', error);
+    res.status(500).json({ error: 'Failed to fetch version' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/versions/:version/preview
+ * Read-only SVG rendering of a version
+ */
+router.get('/projects/:id/versions/:version/preview', async (req, res) => {
+  try {
+    const { project, state } = await getVersion(req, res);
+    if (!state) return;
+
+    const ydoc = docFromState(state.yjsState);
+    let svg;
+    try {
+      svg = renderBoardSvg(project.boardType, ydoc);
+    } finally {
+      ydoc.destroy();
+    }
+
+    res.type('image/svg+xml');
+    res.send(svg);
+  } catch (error) {
+    console.error('GET /projects/:id/versions/:version/preview error:', error);
+    res.status(500).json({ error: 'Failed to render version' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/versions/:version/diff?to=<version>
+ * What changed in the mind map from this version to `to` (default: the
+ * current board, including edits not yet compacted into a version)
+ */
+router.get('/projects/:id/versions/:version/diff', async (req, res) => {
+  try {
+    const { project, state } = await getVersion(req, res);
+    if (!state) return;
+
+    if (project.boardType === 'whiteboard') {
+      return res.status(400).json({ error: 'Diffs are only available for mind maps' });
+    }
+
+    const target = req.query.to
+      ? await ProjectState.findOne({ where: { projectId: project.id, version: Number(req.query.to) || 0 } })
+      : { version: null, yjsState: await yjsServer.getCurrentState(project.id) };
+
+    if (!target) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const beforeDoc = docFromState(state.yjsState);
+    const afterDoc = docFromState(target.yjsState);
+    let diff;
+    try {
+      diff = diffMindMap(readMindMap(beforeDoc).nodes, readMindMap(afterDoc).nodes);
+    } finally {
+      beforeDoc.destroy();
+      afterDoc.destroy();
+    }
+
+    // `to` is null for the current board
+    res.json({ from: state.version, to: target.version, ...diff });
+  } catch (error) {
+    console.error('GET /projects/:id/versions/:version/diff error:', error);
+    res.status(500).json({ error: 'Failed to compare versions' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/versions/:version/restore
+ * Bring the board back to this version (saved as a new version)
+ */
+router.post('/projects/:id/versions/:version/restore', async (req, res) => {
+  try {
+    const { project, role, state } = await getVersion(req, res);
+    if (!state) return;
+
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({ error: 'Only editors can restore versions' });
+    }
+
+    const { userId, name } = req.session;
+    const newVersion = await yjsServer.restoreVersion(project.id, state.yjsState, {
+      version: state.version,
+      userId,
+      name,
+    });
+
+    await AuditLog.create({
+      projectId: project.id,
+      userId,
+      action: 'restored',
+      details: { version: state.version, newVersion },
+    });
+
+    res.json({ restored: state.version, version: newVersion });
+  } catch (error) {
+    console.error('POST /projects/:id/versions/:version/restore error:', error);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+});
+
+export default router;
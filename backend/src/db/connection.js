@@ -27,7 +27,9 @@ try {
 
   if (dialect === 'sqlite') {
     // SQLite configuration for local development
-    const dbPath = path.join(__dirname, '../../', process.env.DB_NAME || 'database.db');
+    // DB_NAME=:memory: keeps the database in memory (tests)
+    const dbName = process.env.DB_NAME || 'database.db';
+    const dbPath = dbName === ':memory:' ? dbName : path.join(__dirname, '../../', dbName);
     console.log(`📁 SQLite Database Path: ${dbPath}`);
     
     sequelize = new Sequelize({
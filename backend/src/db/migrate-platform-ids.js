@@ -0,0 +1,122 @@
+/**
+ * Move data from raw LTI ids to platform-scoped ids
+ *
+ * Run once after upgrading, with the server stopped:
+ *   node src/db/migrate-platform-ids.js [issuer]
+ *
+ * Older versions stored the platform's user, course and resource link ids
+ * as they came. Those rows all belong to one platform (the issuer defaults
+ * to LTI_PLATFORM_ISS); this rewrites them to the ids launches now use
+ * (see src/lti/identity.js). Rows that are already scoped are left alone,
+ * so running it twice is harmless. Open sessions still carry the old ids
+ * and are removed: users simply launch again from Moodle.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Op } from 'sequelize';
+import { sequelize, syncDatabase } from './connection.js';
+import {
+  User,
+  Project,
+  ProjectUpdate,
+  ProjectMember,
+  AuditLog,
+  Session,
+  LineItem,
+  Grade,
+  CourseMembership,
+} from './models.js';
+import { platformScopedId } from '../lti/identity.js';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Every column that holds a user id
+const USER_REFERENCES = [
+  [ProjectMember, 'userId'],
+  [AuditLog, 'userId'],
+  [ProjectUpdate, 'userId'],
+  [Project, 'createdBy'],
+  [LineItem, 'createdBy'],
+  [Grade, 'userId'],
+  [Grade, 'gradedBy'],
+  [CourseMembership, 'userId'],
+];
+
+async function rescopeColumn(model, field, issuer, kind, transaction) {
+  const rows = await model.findAll({
+    attributes: [field],
+    where: { [field]: { [Op.ne]: null } },
+    group: [field],
+    transaction,
+  });
+  let changed = 0;
+  for (const row of rows) {
+    const raw = row[field];
+    if (UUID.test(raw)) continue;
+    const [count] = await model.update(
+      { [field]: platformScopedId(issuer, kind, raw) },
+      { where: { [field]: raw }, transaction },
+    );
+    changed += count;
+  }
+  return changed;
+}
+
+/**
+ * moodleUserId used to be unique on its own; now only per issuer
+ */
+async function dropLegacyUserIndex() {
+  const queryInterface = sequelize.getQueryInterface();
+  const indexes = await queryInterface.showIndex('users');
+  for (const index of indexes) {
+    const fields = index.fields.map((f) => f.attribute);
+    if (index.unique && !index.primary && fields.length === 1 && fields[0] === 'moodleUserId') {
+      await queryInterface.removeIndex('users', index.name);
+    }
+  }
+}
+
+/**
+ * Rewrite legacy rows for one issuer; returns counts per kind
+ */
+export async function migratePlatformIds(issuer) {
+  if (!issuer) throw new Error('Issuer required (argument or LTI_PLATFORM_ISS)');
+
+  return sequelize.transaction(async (transaction) => {
+    const result = { users: 0, courses: 0, resourceLinks: 0, sessions: 0 };
+
+    const legacyUsers = await User.findAll({ where: { issuer: null }, transaction });
+    for (const legacy of legacyUsers) {
+      const id = platformScopedId(issuer, 'user', legacy.moodleUserId);
+      // Key first (foreign keys cascade where they exist), then the plain columns
+      await User.update({ id, issuer }, { where: { id: legacy.id }, transaction });
+      for (const [model, field] of USER_REFERENCES) {
+        await model.update({ [field]: id }, { where: { [field]: legacy.id }, transaction });
+      }
+      result.users += 1;
+    }
+
+    result.courses += await rescopeColumn(Project, 'courseId', issuer, 'context', transaction);
+    result.courses += await rescopeColumn(CourseMembership, 'courseId', issuer, 'context', transaction);
+    result.resourceLinks = await rescopeColumn(Project, 'resourceLinkId', issuer, 'resource_link', transaction);
+
+    result.sessions = await Session.destroy({ where: {}, transaction });
+    return result;
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const issuer = process.argv[2] || process.env.LTI_PLATFORM_ISS;
+  syncDatabase()
+    .then(() => dropLegacyUserIndex())
+    .then(() => migratePlatformIds(issuer))
+    .then((result) => {
+      console.log(`✅ Migrated to platform-scoped ids for ${issuer}:`, result);
+      return sequelize.close();
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -11,8 +11,13 @@ export const User = sequelize.define('User', {
   },
   moodleUserId: {
     type: DataTypes.STRING(255),
-    unique: true,
     allowNull: false,
+    comment: "The platform's user id (LTI sub); unique per issuer",
+  },
+  issuer: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Platform issuer; id is derived from issuer + moodleUserId',
   },
   name: {
     type: DataTypes.STRING(255),
@@ -29,6 +34,12 @@ export const User = sequelize.define('User', {
 }, {
   timestamps: true,
   tableName: 'users',
+  indexes: [
+    {
+      unique: true,
+      fields: ['issuer', 'moodleUserId'],
+    },
+  ],
 });
 
 /**
@@ -52,6 +63,27 @@ export const Project = sequelize.define('Project', {
     type: DataTypes.STRING(255),
     allowNull: true, // Optional: tie to specific Moodle course
   },
+  resourceLinkId: {
+    type: DataTypes.STRING(255),
+    allowNull: true, // Optional: tie to a single Moodle activity
+  },
+  visibility: {
+    type: DataTypes.ENUM('private', 'course', 'resource_link'),
+    defaultValue: 'private',
+    allowNull: false,
+    comment: 'private: members only; course/resource_link: everyone launching from the same course/activity',
+  },
+  studentRole: {
+    type: DataTypes.ENUM('viewer', 'editor'),
+    defaultValue: 'viewer',
+    allowNull: false,
+    comment: 'Role students get on course or resource_link boards',
+  },
+  participationRubric: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Participation grading rubric ({ criteria: [{ metric, target, weight }] })',
+  },
   createdBy: {
     type: DataTypes.STRING(36),
     allowNull: false,
@@ -68,6 +100,14 @@ export const Project = sequelize.define('Project', {
 }, {
   timestamps: true,
   tableName: 'projects',
+  indexes: [
+    {
+      fields: ['courseId'],
+    },
+    {
+      fields: ['resourceLinkId'],
+    },
+  ],
 });
 
 /**
@@ -108,6 +148,43 @@ export const ProjectState = sequelize.define('ProjectState', {
   ],
 });
 
+/**
+ * ProjectUpdate Model
+ * Yjs updates since the last snapshot, appended as they arrive
+ * (replayed on load, folded into a ProjectState on compaction)
+ */
+export const ProjectUpdate = sequelize.define('ProjectUpdate', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  projectId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+  },
+  // Not called `update`: that would shadow Model#update on instances
+  data: {
+    type: DataTypes.BLOB('long'),
+    allowNull: false,
+    field: 'update',
+    comment: 'Binary Yjs update',
+  },
+  userId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+  },
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'project_updates',
+  indexes: [
+    {
+      fields: ['projectId', 'id'],
+    },
+  ],
+});
+
 /**
  * ProjectMember Model
  * Track who has access to which project
@@ -181,11 +258,281 @@ export const AuditLog = sequelize.define('AuditLog', {
   ],
 });
 
+/**
+ * Session Model
+ * Persistent LTI sessions (survive restarts, shared across instances)
+ */
+export const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.STRING(64),
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Session payload: user, course and LTI context',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+}, {
+  timestamps: true,
+  tableName: 'sessions',
+  indexes: [
+    {
+      fields: ['userId'],
+    },
+    {
+      fields: ['expiresAt'],
+    },
+  ],
+});
+
+/**
+ * LTI State Model
+ * Pending OIDC login states (state → nonce), consumed once at launch
+ */
+export const LtiState = sequelize.define('LtiState', {
+  id: {
+    type: DataTypes.STRING(64),
+    primaryKey: true,
+    comment: 'OIDC state parameter',
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Nonce, target link URI and login timestamp',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+}, {
+  timestamps: true,
+  tableName: 'lti_states',
+  indexes: [
+    {
+      fields: ['expiresAt'],
+    },
+  ],
+});
+
+/**
+ * Platform Model
+ * LTI 1.3 platform registrations (one per Moodle site and client id)
+ */
+export const Platform = sequelize.define('Platform', {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  issuer: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  clientId: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  deploymentIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Accepted deployment ids (empty = any)',
+  },
+  authEndpoint: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+  },
+  tokenEndpoint: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  jwksEndpoint: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+}, {
+  timestamps: true,
+  tableName: 'platforms',
+  indexes: [
+    {
+      unique: true,
+      fields: ['issuer', 'clientId'],
+    },
+  ],
+});
+
+/**
+ * LineItem Model
+ * AGS gradebook column a board is graded into (one per project)
+ */
+export const LineItem = sequelize.define('LineItem', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  projectId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    unique: true,
+  },
+  lineItemUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    comment: 'AGS line item URL on the platform',
+  },
+  label: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  scoreMaximum: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 100,
+  },
+  issuer: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  clientId: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  createdBy: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+  },
+}, {
+  timestamps: true,
+  tableName: 'line_items',
+});
+
+/**
+ * Grade Model
+ * A student's score on a graded board and its gradebook sync status
+ */
+export const Grade = sequelize.define('Grade', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  projectId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+  },
+  userId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: 'LTI subject (sub) of the student',
+  },
+  score: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  gradedBy: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'posted', 'failed'),
+    defaultValue: 'draft',
+  },
+  source: {
+    type: DataTypes.ENUM('manual', 'participation'),
+    defaultValue: 'manual',
+    comment: 'Graded by hand or taken from the participation rubric',
+  },
+  postedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  timestamps: true,
+  tableName: 'grades',
+  indexes: [
+    {
+      fields: ['projectId', 'userId'],
+      unique: true,
+    },
+  ],
+});
+
+/**
+ * CourseMembership Model
+ * Course roster from LTI Names and Role Provisioning Services
+ */
+export const CourseMembership = sequelize.define('CourseMembership', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  courseId: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  userId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+  },
+  role: {
+    type: DataTypes.ENUM('student', 'instructor', 'admin'),
+    defaultValue: 'student',
+  },
+  roles: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Full LTI role URNs',
+  },
+  status: {
+    type: DataTypes.ENUM('Active', 'Inactive', 'Deleted'),
+    defaultValue: 'Active',
+  },
+  syncedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+}, {
+  timestamps: true,
+  tableName: 'course_memberships',
+  indexes: [
+    {
+      fields: ['courseId', 'userId'],
+      unique: true,
+    },
+  ],
+});
+
 /**
  * Define Relationships
  */
 Project.hasMany(ProjectState, { foreignKey: 'projectId', onDelete: 'CASCADE' });
 ProjectState.belongsTo(Project, { foreignKey: 'projectId' });
+Project.hasMany(ProjectUpdate, { foreignKey: 'projectId', onDelete: 'CASCADE' });
 
 Project.hasMany(ProjectMember, { foreignKey: 'projectId', onDelete: 'CASCADE' });
 ProjectMember.belongsTo(Project, { foreignKey: 'projectId' });
@@ -196,10 +543,26 @@ User.hasMany(ProjectMember, { foreignKey: 'userId' });
 Project.hasMany(AuditLog, { foreignKey: 'projectId', onDelete: 'CASCADE' });
 AuditLog.belongsTo(Project, { foreignKey: 'projectId' });
 
+Project.hasOne(LineItem, { foreignKey: 'projectId', onDelete: 'CASCADE' });
+LineItem.belongsTo(Project, { foreignKey: 'projectId' });
+
+Project.hasMany(Grade, { foreignKey: 'projectId', onDelete: 'CASCADE' });
+Grade.belongsTo(Project, { foreignKey: 'projectId' });
+
+CourseMembership.belongsTo(User, { foreignKey: 'userId' });
+User.hasMany(CourseMembership, { foreignKey: 'userId' });
+
 export default {
   User,
   Project,
   ProjectState,
+  ProjectUpdate,
   ProjectMember,
   AuditLog,
+  Session,
+  LtiState,
+  Platform,
+  LineItem,
+  Grade,
+  CourseMembership,
 };
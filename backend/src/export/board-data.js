@@ -0,0 +1,42 @@
+import { normalizeNode } from './mindmap-layout.js';
+
+/**
+ * Board Data Readers
+ *
+ * Pull plain JS data out of a project's Y.Doc, using the same shared
+ * types the editors write to.
+ */
+
+/**
+ * Mind map: `mindmap-nodes` holds one JSON string per node,
+ * `mindmap-meta` holds the rootId.
+ */
+export function readMindMap(ydoc) {
+  const nodes = {};
+  ydoc.getMap('mindmap-nodes').forEach((val, key) => {
+    try {
+      nodes[key] = normalizeNode(typeof val === 'string' ? JSON.parse(val) : val);
+    } catch {
+      // Skip corrupt records instead of failing the whole export
+    }
+  });
+
+  return {
+    nodes,
+    rootId: ydoc.getMap('mindmap-meta').get('rootId') || null,
+  };
+}
+
+/**
+ * Whiteboard: tldraw records live in `tldraw-records` (their schema in
+ * `tldraw-meta`), fallback canvas shapes in the `whiteboard-shapes` array.
+ */
+export function readWhiteboard(ydoc) {
+  const records = [];
+  ydoc.getMap('tldraw-records').forEach((record) => records.push(record));
+
+  return {
+    records,
+    shapes: ydoc.getArray('whiteboard-shapes').toArray(),
+  };
+}
@@ -0,0 +1,87 @@
+import * as Y from 'yjs';
+import PDFDocument from 'pdfkit';
+import SVGtoPDF from 'svg-to-pdfkit';
+import { Resvg } from '@resvg/resvg-js';
+import { readMindMap, readWhiteboard } from './board-data.js';
+import { renderMindMapSvg, renderWhiteboardSvg } from './svg-renderer.js';
+
+/**
+ * Project Exporter
+ *
+ * Renders a project's Yjs document to SVG, PNG or PDF.
+ */
+
+export const EXPORT_FORMATS = ['json', 'svg', 'png', 'pdf'];
+
+const CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  pdf: 'application/pdf',
+};
+
+/**
+ * Decode a stored Yjs state (ProjectState.yjsState) into a Y.Doc
+ */
+export function docFromState(yjsState) {
+  const ydoc = new Y.Doc();
+  if (yjsState && yjsState.length > 0) {
+    Y.applyUpdate(ydoc, new Uint8Array(yjsState));
+  }
+  return ydoc;
+}
+
+/**
+ * Render the board as an SVG string
+ */
+export function renderBoardSvg(boardType, ydoc) {
+  return boardType === 'whiteboard'
+    ? renderWhiteboardSvg(readWhiteboard(ydoc))
+    : renderMindMapSvg(readMindMap(ydoc));
+}
+
+function svgToPng(svg) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: 2 }, // 2x for crisp slides and prints
+    font: { loadSystemFonts: true },
+  });
+  return resvg.render().asPng();
+}
+
+function svgToPdf(svg) {
+  const [, width, height] = svg.match(/<svg[^>]*width="([\d.]+)"[^>]*height="([\d.]+)"/) || [];
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [Number(width) || 595, Number(height) || 842], margin: 0 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    SVGtoPDF(doc, svg, 0, 0, { assumePt: true });
+    doc.end();
+  });
+}
+
+/**
+ * Export a project document as svg, png or pdf
+ * Returns { body, contentType, filename }
+ */
+export async function exportBoard({ name, boardType }, ydoc, format) {
+  if (!CONTENT_TYPES[format]) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const svg = renderBoardSvg(boardType, ydoc);
+  let body;
+
+  if (format === 'svg') body = Buffer.from(svg, 'utf8');
+  else if (format === 'png') body = svgToPng(svg);
+  else body = await svgToPdf(svg);
+
+  const safeName = (name || 'board').replace(/[^\w\-. äöüÄÖÜß]+/g, '_').trim() || 'board';
+
+  return {
+    body,
+    contentType: CONTENT_TYPES[format],
+    filename: `${safeName}.${format}`,
+  };
+}
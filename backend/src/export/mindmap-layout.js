@@ -0,0 +1,110 @@
+/**
+ * Mind Map Layout
+ *
+ * Server-side port of the tree layout in frontend/src/components/MindMapEditor.jsx.
+ * Keep the constants and the algorithm in step with the editor so exported
+ * files look exactly like the board on screen.
+ */
+
+export const FONT_SIZES = { sm: 11, md: 14, lg: 18 };
+export const NODE_H = 42;
+const NODE_PAD = 20;
+const H_GAP = 180;
+const V_GAP = 16;
+const MIN_W = 110;
+
+export function nodeWidth(node) {
+  const fs = FONT_SIZES[node.fontSize || 'md'] || 14;
+  const baseW = Math.max(MIN_W, node.text.length * fs * 0.58 + NODE_PAD * 2);
+  const emojiExtra = node.emoji ? 22 : 0;
+  const shapeMult = node.shape === 'diamond' ? 1.4 : node.shape === 'ellipse' ? 1.15 : 1;
+  return Math.round((baseW + emojiExtra) * shapeMult);
+}
+
+export function normalizeNode(node) {
+  return {
+    shape: 'rounded',
+    emoji: '',
+    fontSize: 'md',
+    lineStyle: 'solid',
+    notes: '',
+    collapsed: false,
+    ...node,
+    text: String(node.text ?? ''),
+  };
+}
+
+function buildTree(nodes) {
+  const tree = {};
+  Object.values(nodes).forEach((n) => {
+    tree[n.id] = { ...n, _children: [] };
+  });
+  Object.values(tree).forEach((n) => {
+    if (n.parentId && tree[n.parentId]) {
+      tree[n.parentId]._children.push(n.id);
+    }
+  });
+  return tree;
+}
+
+export function layoutTree(nodes, rootId) {
+  if (!rootId || !nodes[rootId]) return {};
+  const tree = buildTree(nodes);
+  const positions = {};
+
+  function subtreeH(id) {
+    const node = tree[id];
+    if (!node) return NODE_H;
+    const kids = node.collapsed ? [] : node._children.filter((c) => tree[c]);
+    if (kids.length === 0) return NODE_H;
+    return kids.reduce((sum, c) => sum + subtreeH(c), 0) + (kids.length - 1) * V_GAP;
+  }
+
+  function place(id, x, yCenter) {
+    const node = tree[id];
+    if (!node) return;
+    const w = nodeWidth(node);
+    positions[id] = { x, y: yCenter - NODE_H / 2, w };
+    const kids = node.collapsed ? [] : node._children.filter((c) => tree[c]);
+    if (kids.length === 0) return;
+    const totalH = subtreeH(id);
+    let curY = yCenter - totalH / 2;
+    for (const cid of kids) {
+      const ch = subtreeH(cid);
+      place(cid, x + w + H_GAP, curY + ch / 2);
+      curY += ch + V_GAP;
+    }
+  }
+
+  const rootH = subtreeH(rootId);
+  place(rootId, 80, Math.max(rootH / 2, 350));
+  return positions;
+}
+
+export function getVisibleIds(nodes, rootId) {
+  const visible = new Set();
+  const walk = (id) => {
+    visible.add(id);
+    if (nodes[id]?.collapsed) return;
+    for (const n of Object.values(nodes)) {
+      if (n.parentId === id) walk(n.id);
+    }
+  };
+  if (rootId) walk(rootId);
+  return visible;
+}
+
+/**
+ * Final position of every node: manual drag offsets (x/y on the node)
+ * win over the automatic layout, just like getNodePos in the editor.
+ */
+export function getNodePositions(nodes, rootId) {
+  const layout = layoutTree(nodes, rootId);
+  const positions = {};
+  for (const node of Object.values(nodes)) {
+    const w = nodeWidth(node);
+    if (node.x != null && node.y != null) positions[node.id] = { x: node.x, y: node.y, w };
+    else positions[node.id] = layout[node.id] ? { ...layout[node.id], w } : { x: 0, y: 0, w };
+  }
+  return positions;
+}
@@ -0,0 +1,400 @@
+import { FONT_SIZES, NODE_H, getNodePositions, getVisibleIds } from './mindmap-layout.js';
+
+/**
+ * SVG Renderer
+ *
+ * Turns mind map nodes and whiteboard shapes into a standalone SVG
+ * document. PNG and PDF exports are rendered from this SVG.
+ */
+
+const PADDING = 40;
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+// tldraw named colors → hex (light theme)
+const TLDRAW_COLORS = {
+  black: '#1d1d1d',
+  grey: '#9fa8b2',
+  'light-violet': '#e085f4',
+  violet: '#ae3ec9',
+  blue: '#4465e9',
+  'light-blue': '#4ba1f1',
+  yellow: '#f1ac4b',
+  orange: '#e16919',
+  green: '#099268',
+  'light-green': '#4cb05e',
+  'light-red': '#f87777',
+  red: '#e03131',
+  white: '#ffffff',
+};
+
+const TLDRAW_STROKE = { s: 2, m: 3.5, l: 5, xl: 10 };
+const TLDRAW_FONT = { s: 18, m: 24, l: 36, xl: 44 };
+const TLDRAW_NOTE_SIZE = 200;
+const STICKY_W = 160;
+const STICKY_H = 120;
+
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Board data comes from clients: numbers may arrive as strings (or worse),
+// so every number written into an attribute goes through num()/round()
+function num(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function round(n) {
+  return Math.round(num(n) * 100) / 100;
+}
+
+// Own keys only, so "constructor" & co. fall back like any unknown name
+function lookup(table, key, fallback) {
+  return Object.hasOwn(table, key) ? table[key] : fallback;
+}
+
+function emptyBounds() {
+  return { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+}
+
+function extend(bounds, x, y, w = 0, h = 0) {
+  [x, y, w, h] = [num(x), num(y), num(w), num(h)];
+  bounds.minX = Math.min(bounds.minX, x);
+  bounds.minY = Math.min(bounds.minY, y);
+  bounds.maxX = Math.max(bounds.maxX, x + w);
+  bounds.maxY = Math.max(bounds.maxY, y + h);
+}
+
+function wrapSvg(body, bounds, background) {
+  if (!Number.isFinite(bounds.minX)) {
+    extend(bounds, 0, 0, 400, 300);
+  }
+  const x = round(bounds.minX - PADDING);
+  const y = round(bounds.minY - PADDING);
+  const width = round(bounds.maxX - bounds.minX + PADDING * 2);
+  const height = round(bounds.maxY - bounds.minY + PADDING * 2);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">`,
+    `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${background}"/>`,
+    body,
+    '</svg>',
+  ].join('\n');
+}
+
+// ─────────────────────────────────────────────
+// Mind Map
+// ─────────────────────────────────────────────
+
+function mindMapShape(shape, w, h, color) {
+  [w, h] = [round(w), round(h)];
+  switch (shape) {
+    case 'pill':
+      return `<rect width="${w}" height="${h}" rx="${h / 2}" fill="${color}"/>`;
+    case 'ellipse':
+      return `<ellipse cx="${w / 2}" cy="${h / 2}" rx="${w / 2}" ry="${h / 2}" fill="${color}"/>`;
+    case 'diamond':
+      return `<polygon points="${w / 2},1 ${w - 1},${h / 2} ${w / 2},${h - 1} 1,${h / 2}" fill="${color}"/>`;
+    case 'rounded':
+    default:
+      return `<rect width="${w}" height="${h}" rx="10" fill="${color}"/>`;
+  }
+}
+
+const DASHES = { solid: null, dashed: '10 6', dotted: '3 5' };
+
+/**
+ * Render a mind map ({ nodes, rootId }) the way MindMapEditor draws it
+ */
+export function renderMindMapSvg({ nodes, rootId }) {
+  const visible = getVisibleIds(nodes, rootId);
+  const positions = getNodePositions(nodes, rootId);
+  const bounds = emptyBounds();
+  const edges = [];
+  const shapes = [];
+
+  for (const node of Object.values(nodes)) {
+    if (!visible.has(node.id)) continue;
+    const pos = positions[node.id];
+
+    if (node.parentId && positions[node.parentId]) {
+      const parent = positions[node.parentId];
+      const x1 = parent.x + parent.w;
+      const y1 = parent.y + NODE_H / 2;
+      const x2 = pos.x;
+      const y2 = pos.y + NODE_H / 2;
+      const mx = (x1 + x2) / 2;
+      const dashes = lookup(DASHES, node.lineStyle, null);
+      const dash = dashes ? ` stroke-dasharray="${dashes}"` : '';
+      edges.push(
+        `<path d="M${round(x1)},${round(y1)} C${round(mx)},${round(y1)} ${round(mx)},${round(y2)} ${round(x2)},${round(y2)}" ` +
+        `fill="none" stroke="${escapeXml(nodes[node.parentId]?.color || '#ccc')}" stroke-width="2.5" stroke-linecap="round" opacity="0.45"${dash}/>`
+      );
+    }
+
+    const text = String(node.text ?? '');
+    const label = text.length > 28 ? text.slice(0, 28) + '…' : text;
+    const fs = lookup(FONT_SIZES, node.fontSize || 'md', 14);
+    shapes.push(
+      `<g transform="translate(${round(pos.x)}, ${round(pos.y)})">` +
+      mindMapShape(node.shape || 'rounded', pos.w, NODE_H, escapeXml(node.color || '#4A90D9')) +
+      `<text x="${round(pos.w / 2)}" y="${NODE_H / 2}" text-anchor="middle" dominant-baseline="central" ` +
+      `font-family="${escapeXml(FONT_FAMILY)}" font-size="${fs}" font-weight="500" fill="#fff">` +
+      `${escapeXml(node.emoji ? `${node.emoji} ` : '')}${escapeXml(label)}</text>` +
+      '</g>'
+    );
+
+    extend(bounds, pos.x, pos.y, pos.w, NODE_H);
+  }
+
+  return wrapSvg([...edges, ...shapes].join('\n'), bounds, '#f8fafc');
+}
+
+// ─────────────────────────────────────────────
+// Whiteboard
+// ─────────────────────────────────────────────
+
+function tlColor(name) {
+  return lookup(TLDRAW_COLORS, name, TLDRAW_COLORS.black);
+}
+
+function tlSize(table, size) {
+  return lookup(table, size, table.m);
+}
+
+function tlPoint(point) {
+  return { x: num(point.x), y: num(point.y) };
+}
+
+function tlFill(props) {
+  if (props.fill === 'solid') return tlColor(props.color);
+  if (props.fill === 'semi' || props.fill === 'pattern') return '#f1f3f5';
+  return 'none';
+}
+
+function textLines(text, x, y, fontSize, color, anchor = 'start') {
+  return String(text || '').split('\n').map((line, i) =>
+    `<text x="${round(x)}" y="${round(y + i * fontSize * 1.3)}" font-family="${escapeXml(FONT_FAMILY)}" ` +
+    `font-size="${fontSize}" fill="${escapeXml(color)}" text-anchor="${anchor}" dominant-baseline="hanging">${escapeXml(line)}</text>`
+  ).join('');
+}
+
+function pointsPath(points, closed = false) {
+  if (!points.length) return '';
+  const [first, ...rest] = points;
+  return `M${round(first.x)},${round(first.y)}` +
+    rest.map((p) => ` L${round(p.x)},${round(p.y)}`).join('') +
+    (closed ? ' Z' : '');
+}
+
+function pointsExtent(points) {
+  const b = emptyBounds();
+  points.forEach((p) => extend(b, p.x, p.y));
+  return Number.isFinite(b.minX) ? b : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+}
+
+function geoPath(geo, w, h) {
+  [w, h] = [round(w), round(h)];
+  switch (geo) {
+    case 'ellipse':
+    case 'oval':
+      return `<ellipse cx="${w / 2}" cy="${h / 2}" rx="${w / 2}" ry="${h / 2}"`;
+    case 'triangle':
+      return `<polygon points="${w / 2},0 ${w},${h} 0,${h}"`;
+    case 'diamond':
+      return `<polygon points="${w / 2},0 ${w},${h / 2} ${w / 2},${h} 0,${h / 2}"`;
+    case 'rectangle':
+    default:
+      return `<rect width="${w}" height="${h}"`;
+  }
+}
+
+/**
+ * Local-space extent of a tldraw shape, used for the export bounds
+ */
+function tldrawShapeExtent(shape) {
+  const props = shape.props || {};
+  switch (shape.type) {
+    case 'geo':
+    case 'frame':
+    case 'image':
+    case 'video':
+    case 'embed':
+    case 'bookmark':
+      return { minX: 0, minY: 0, maxX: num(props.w), maxY: num(props.h) };
+    case 'note':
+      return { minX: 0, minY: 0, maxX: TLDRAW_NOTE_SIZE, maxY: TLDRAW_NOTE_SIZE };
+    case 'text': {
+      const fs = tlSize(TLDRAW_FONT, props.size);
+      const lines = String(props.text || '').split('\n');
+      const w = num(props.w) || Math.max(...lines.map((l) => l.length)) * fs * 0.6;
+      return { minX: 0, minY: 0, maxX: w, maxY: lines.length * fs * 1.3 };
+    }
+    case 'draw':
+    case 'highlight':
+      return pointsExtent((props.segments || []).flatMap((s) => s.points || []));
+    case 'line':
+      return pointsExtent(Object.values(props.points || {}));
+    case 'arrow':
+      return pointsExtent([props.start, props.end].filter(Boolean));
+    default:
+      return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  }
+}
+
+function renderTldrawShape(shape, childrenSvg) {
+  const props = shape.props || {};
+  const stroke = tlColor(props.color);
+  const sw = tlSize(TLDRAW_STROKE, props.size);
+  const deg = round((num(shape.rotation) * 180) / Math.PI);
+  const transform = `translate(${round(shape.x)}, ${round(shape.y)})${deg ? ` rotate(${deg})` : ''}`;
+  let body = '';
+
+  switch (shape.type) {
+    case 'geo': {
+      const w = num(props.w);
+      const h = num(props.h);
+      body = `${geoPath(props.geo, w, h)} fill="${tlFill(props)}" stroke="${stroke}" stroke-width="${sw}"/>`;
+      if (props.text) {
+        const fs = tlSize(TLDRAW_FONT, props.size);
+        body += textLines(props.text, w / 2, h / 2 - fs / 2, fs, stroke, 'middle');
+      }
+      break;
+    }
+    case 'draw':
+    case 'highlight': {
+      const opacity = shape.type === 'highlight' ? ' opacity="0.35"' : '';
+      body = (props.segments || []).map((segment) =>
+        `<path d="${pointsPath(segment.points || [], props.isClosed)}" fill="${props.isClosed ? tlFill(props) : 'none'}" ` +
+        `stroke="${stroke}" stroke-width="${shape.type === 'highlight' ? sw * 4 : sw}" stroke-linecap="round" stroke-linejoin="round"${opacity}/>`
+      ).join('');
+      break;
+    }
+    case 'line': {
+      const points = Object.values(props.points || {}).sort((a, b) => (a.index < b.index ? -1 : 1));
+      body = `<path d="${pointsPath(points)}" fill="none" stroke="${stroke}" stroke-width="${sw}" stroke-linecap="round"/>`;
+      break;
+    }
+    case 'arrow': {
+      if (props.start && props.end) {
+        const start = tlPoint(props.start);
+        const end = tlPoint(props.end);
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const head = 6 + sw * 2;
+        const left = { x: end.x - head * Math.cos(angle - Math.PI / 6), y: end.y - head * Math.sin(angle - Math.PI / 6) };
+        const right = { x: end.x - head * Math.cos(angle + Math.PI / 6), y: end.y - head * Math.sin(angle + Math.PI / 6) };
+        body = `<path d="${pointsPath([start, end])} ${pointsPath([left, end, right])}" fill="none" ` +
+          `stroke="${stroke}" stroke-width="${sw}" stroke-linecap="round" stroke-linejoin="round"/>`;
+        if (props.text) {
+          const fs = tlSize(TLDRAW_FONT, props.size);
+          body += textLines(props.text, (start.x + end.x) / 2, (start.y + end.y) / 2 - fs / 2, fs, stroke, 'middle');
+        }
+      }
+      break;
+    }
+    case 'note': {
+      const fs = tlSize(TLDRAW_FONT, props.size);
+      body = `<rect width="${TLDRAW_NOTE_SIZE}" height="${TLDRAW_NOTE_SIZE}" rx="6" fill="${stroke}" fill-opacity="0.35" stroke="${stroke}" stroke-width="1"/>` +
+        textLines(props.text, TLDRAW_NOTE_SIZE / 2, 16, fs, '#1d1d1d', 'middle');
+      break;
+    }
+    case 'text': {
+      const fs = tlSize(TLDRAW_FONT, props.size);
+      body = textLines(props.text, 0, 0, fs, stroke);
+      break;
+    }
+    case 'frame': {
+      body = `<rect width="${round(props.w)}" height="${round(props.h)}" fill="#ffffff" stroke="#1d1d1d" stroke-width="1"/>` +
+        textLines(props.name || 'Frame', 0, -22, 14, '#1d1d1d');
+      break;
+    }
+    default:
+      // Images, embeds and bookmarks reference external data we don't have here
+      if (num(props.w) && num(props.h)) {
+        body = `<rect width="${round(props.w)}" height="${round(props.h)}" fill="#f1f3f5" stroke="#9fa8b2" stroke-dasharray="6 4"/>`;
+      }
+  }
+
+  return `<g transform="${transform}">${body}${childrenSvg}</g>`;
+}
+
+function renderTldrawRecords(records, bounds) {
+  const pages = records
+    .filter((r) => r.typeName === 'page')
+    .sort((a, b) => (a.index < b.index ? -1 : 1));
+  if (!pages.length) return '';
+
+  const shapes = records.filter((r) => r.typeName === 'shape');
+  const children = new Map();
+  for (const shape of shapes) {
+    if (!children.has(shape.parentId)) children.set(shape.parentId, []);
+    children.get(shape.parentId).push(shape);
+  }
+  for (const list of children.values()) {
+    list.sort((a, b) => (a.index < b.index ? -1 : 1));
+  }
+
+  const renderChildren = (parentId) => (children.get(parentId) || [])
+    .map((shape) => renderTldrawShape(shape, renderChildren(shape.id)))
+    .join('');
+
+  // Only the first page is exported; top-level shapes define the bounds
+  const pageId = pages[0].id;
+  for (const shape of children.get(pageId) || []) {
+    const ext = tldrawShapeExtent(shape);
+    extend(bounds, num(shape.x) + ext.minX, num(shape.y) + ext.minY, ext.maxX - ext.minX, ext.maxY - ext.minY);
+  }
+
+  return renderChildren(pageId);
+}
+
+function renderCanvasShapes(shapes, bounds) {
+  return shapes.map((shape) => {
+    const color = escapeXml(shape.color || '#1e293b');
+    const sw = round(num(shape.lineWidth, 2));
+
+    if (shape.type === 'path' && shape.points?.length > 1) {
+      const ext = pointsExtent(shape.points);
+      extend(bounds, ext.minX, ext.minY, ext.maxX - ext.minX, ext.maxY - ext.minY);
+      return `<path d="${pointsPath(shape.points)}" fill="none" stroke="${color}" stroke-width="${sw}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    }
+    if (shape.type === 'rect') {
+      extend(bounds, shape.x, shape.y, shape.w, shape.h);
+      return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.w)}" height="${round(shape.h)}" fill="none" stroke="${color}" stroke-width="${sw}"/>`;
+    }
+    if (shape.type === 'circle') {
+      const [x, y, w, h] = [num(shape.x), num(shape.y), num(shape.w), num(shape.h)];
+      const r = Math.sqrt(w * w + h * h) / 2;
+      const cx = x + w / 2;
+      const cy = y + h / 2;
+      extend(bounds, cx - r, cy - r, r * 2, r * 2);
+      return `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}" fill="none" stroke="${color}" stroke-width="${sw}"/>`;
+    }
+    if (shape.type === 'sticky') {
+      extend(bounds, shape.x, shape.y, STICKY_W, STICKY_H);
+      return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${STICKY_W}" height="${STICKY_H}" fill="${color}" stroke="#00000020"/>` +
+        `<text x="${round(num(shape.x) + 12)}" y="${round(num(shape.y) + 30)}" font-family="Inter, sans-serif" font-size="14" fill="#1e293b">${escapeXml(shape.text || 'Note')}</text>`;
+    }
+    return '';
+  }).join('\n');
+}
+
+/**
+ * Render a whiteboard ({ records, shapes }): tldraw records plus any
+ * shapes drawn in the fallback canvas
+ */
+export function renderWhiteboardSvg({ records = [], shapes = [] }) {
+  const bounds = emptyBounds();
+  const body = [
+    renderCanvasShapes(shapes, bounds),
+    renderTldrawRecords(records, bounds),
+  ].join('\n');
+
+  return wrapSvg(body, bounds, '#ffffff');
+}
@@ -0,0 +1,69 @@
+import ltiHandler from './handler.js';
+import { LTIServiceClient } from './service-client.js';
+
+/**
+ * LTI Assignment and Grade Services (AGS) client
+ *
+ * https://www.imsglobal.org/spec/lti-ags/v2p0
+ *
+ * Creates gradebook columns (line items) and posts scores to them.
+ */
+
+export const AGS_SCOPES = {
+  lineItem: 'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  result: 'https://purl.imsglobal.org/spec/lti-ags/scope/result.readonly',
+  score: 'https://purl.imsglobal.org/spec/lti-ags/scope/score',
+};
+
+const LINE_ITEM_TYPE = 'application/vnd.ims.lis.v2.lineitem+json';
+const SCORE_TYPE = 'application/vnd.ims.lis.v1.score+json';
+
+/**
+ * Scores endpoint of a line item (keeps any query string)
+ */
+export function scoresUrl(lineItemUrl) {
+  const url = new URL(lineItemUrl);
+  url.pathname = `${url.pathname.replace(/\/$/, '')}/scores`;
+  return url.toString();
+}
+
+export class AGSService extends LTIServiceClient {
+  /**
+   * Create a line item in the platform's line item container
+   * Returns the platform's line item (its `id` is the line item URL)
+   */
+  async createLineItem(platform, lineItemsUrl, { label, scoreMaximum, resourceLinkId, tag }) {
+    return this._request(platform, [AGS_SCOPES.lineItem], lineItemsUrl, {
+      method: 'POST',
+      contentType: LINE_ITEM_TYPE,
+      accept: LINE_ITEM_TYPE,
+      body: {
+        label,
+        scoreMaximum,
+        resourceLinkId: resourceLinkId || undefined,
+        tag: tag || undefined,
+      },
+    });
+  }
+
+  /**
+   * Post a final score for one user
+   */
+  async postScore(platform, lineItemUrl, { userId, scoreGiven, scoreMaximum, comment }) {
+    return this._request(platform, [AGS_SCOPES.score], scoresUrl(lineItemUrl), {
+      method: 'POST',
+      contentType: SCORE_TYPE,
+      body: {
+        userId,
+        scoreGiven,
+        scoreMaximum,
+        comment: comment || undefined,
+        timestamp: new Date().toISOString(),
+        activityProgress: 'Completed',
+        gradingProgress: 'FullyGraded',
+      },
+    });
+  }
+}
+
+export default new AGSService(ltiHandler);
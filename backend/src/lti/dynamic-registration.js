@@ -0,0 +1,149 @@
+/**
+ * LTI 1.3 Dynamic Registration
+ *
+ * https://www.imsglobal.org/spec/lti-dr/v1p0
+ *
+ * 1. A MoodBoard admin creates a one-time registration link
+ *    (POST /api/admin/platforms/registration-link) and pastes it into Moodle
+ * 2. Moodle opens it with ?openid_configuration=...&registration_token=...
+ * 3. Tool reads the platform's openid-configuration and POSTs its
+ *    registration to the platform's registration_endpoint
+ * 4. Platform answers with the client_id (and deployment_id)
+ * 5. The platform is stored inactive until an admin approves it
+ *
+ * Only hosts listed in LTI_REGISTRATION_ALLOWED_HOSTS are contacted.
+ */
+
+const TOOL_CONFIG_CLAIM = 'https://purl.imsglobal.org/spec/lti-tool-configuration';
+const PLATFORM_CONFIG_CLAIM = 'https://purl.imsglobal.org/spec/lti-platform-configuration';
+
+// Scopes the tool would like (AGS grades, NRPS roster); during Dynamic
+// Registration only those the platform supports are requested
+export const TOOL_SCOPES = [
+  'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  'https://purl.imsglobal.org/spec/lti-ags/scope/result.readonly',
+  'https://purl.imsglobal.org/spec/lti-ags/scope/score',
+  'https://purl.imsglobal.org/spec/lti-nrps/scope/contextmembership.readonly',
+];
+
+const REQUIRED_CONFIG = ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri', 'registration_endpoint'];
+
+/**
+ * Hosts allowed to register (LTI_REGISTRATION_ALLOWED_HOSTS, comma-separated)
+ */
+export function allowedRegistrationHosts() {
+  return (process.env.LTI_REGISTRATION_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Fetch and check the platform's openid-configuration
+ * The configuration URL must be on an allowed host; issuer and
+ * registration endpoint must live on that same host
+ */
+export async function fetchPlatformConfiguration(configUrl, allowedHosts = []) {
+  const url = new URL(configUrl);
+  if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') {
+    throw new Error('openid_configuration must use https');
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || !allowedHosts.includes(url.hostname.toLowerCase())) {
+    throw new Error(`Registration from ${url.host} is not allowed`);
+  }
+
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Could not load platform configuration: ${response.status}`);
+  }
+
+  const config = await response.json();
+
+  const missing = REQUIRED_CONFIG.filter((field) => !config[field]);
+  if (missing.length > 0) {
+    throw new Error(`Platform configuration is missing: ${missing.join(', ')}`);
+  }
+
+  if (new URL(config.issuer).host !== url.host) {
+    throw new Error('Platform issuer does not match the configuration URL');
+  }
+  if (new URL(config.registration_endpoint).host !== url.host) {
+    throw new Error('Registration endpoint does not match the configuration URL');
+  }
+
+  return config;
+}
+
+/**
+ * Tool registration request body for this platform
+ */
+export function buildToolRegistration(toolUrl, platformConfig) {
+  const supported = platformConfig.scopes_supported;
+  const scopes = Array.isArray(supported)
+    ? TOOL_SCOPES.filter((scope) => supported.includes(scope))
+    : TOOL_SCOPES;
+
+  return {
+    application_type: 'web',
+    response_types: ['id_token'],
+    grant_types: ['implicit', 'client_credentials'],
+    initiate_login_uri: `${toolUrl}/lti/login`,
+    redirect_uris: [`${toolUrl}/lti/launch`],
+    client_name: 'MoodBoard',
+    jwks_uri: `${toolUrl}/lti/jwks`,
+    token_endpoint_auth_method: 'private_key_jwt',
+    scope: scopes.join(' '),
+    [TOOL_CONFIG_CLAIM]: {
+      domain: new URL(toolUrl).host,
+      target_link_uri: `${toolUrl}/lti/launch`,
+      description: 'Kollaboratives Mindmap- und Whiteboard-Tool für Moodle',
+      claims: ['iss', 'sub', 'name', 'given_name', 'family_name', 'email'],
+      messages: [
+        { type: 'LtiResourceLinkRequest' },
+        { type: 'LtiDeepLinkingRequest', target_link_uri: `${toolUrl}/lti/launch` },
+      ],
+    },
+  };
+}
+
+/**
+ * Run the registration and return the platform record to store:
+ * { name, issuer, clientId, deploymentIds, authEndpoint, tokenEndpoint, jwksEndpoint }
+ */
+export async function registerWithPlatform({ openidConfiguration, registrationToken, toolUrl, allowedHosts }) {
+  const config = await fetchPlatformConfiguration(openidConfiguration, allowedHosts);
+
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+  if (registrationToken) {
+    headers.Authorization = `Bearer ${registrationToken}`;
+  }
+
+  const response = await fetch(config.registration_endpoint, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(buildToolRegistration(toolUrl, config)),
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Registration rejected: ${response.status} ${text}`);
+  }
+
+  const registration = await response.json();
+  if (!registration.client_id) {
+    throw new Error('Registration response has no client_id');
+  }
+
+  const deploymentId = registration[TOOL_CONFIG_CLAIM]?.deployment_id;
+  const product = config[PLATFORM_CONFIG_CLAIM]?.product_family_code || 'LTI platform';
+
+  return {
+    name: `${product} (${new URL(config.issuer).host})`,
+    issuer: config.issuer,
+    clientId: registration.client_id,
+    deploymentIds: deploymentId ? [String(deploymentId)] : [],
+    authEndpoint: config.authorization_endpoint,
+    tokenEndpoint: config.token_endpoint,
+    jwksEndpoint: config.jwks_uri,
+  };
+}
@@ -1,5 +1,8 @@
 import * as jose from 'jose';
 import crypto from 'crypto';
+import { MemoryStateStore } from './state-store.js';
+import { EnvPlatformStore, acceptsDeployment } from './platform-store.js';
+import { platformScopedId } from './identity.js';
 
 /**
  * LTI 1.3 Handler
@@ -14,6 +17,19 @@ import crypto from 'crypto';
  *    extracts user + course context, creates session, redirects to frontend
  */
 
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+const REGISTRATION_TTL = 60 * 60 * 1000; // registration links: 1 hour
+
+/**
+ * LTI role URNs (launch or NRPS) → 'admin' | 'instructor' | 'student'
+ */
+export function simplifyRoles(roles = []) {
+  const roleUrns = roles.map(r => r.toLowerCase());
+  if (roleUrns.some(r => r.includes('administrator'))) return 'admin';
+  if (roleUrns.some(r => r.includes('instructor') || r.includes('teachingassistant'))) return 'instructor';
+  return 'student';
+}
+
 class LTIHandler {
   constructor() {
     // Cache for platform JWKS
@@ -21,8 +37,11 @@ class LTIHandler {
     this.jwksCacheExpiry = 3600000; // 1 hour
 
     // Pending OIDC states (state → { nonce, timestamp })
-    // In production: use Redis or DB for multi-instance
-    this.pendingStates = new Map();
+    // Replaced by a database store at startup (see setStateStore)
+    this.stateStore = new MemoryStateStore();
+
+    // Registered platforms (see setPlatformStore)
+    this.platformStore = new EnvPlatformStore();
 
     // Tool's own RSA key pair (loaded from env or generated)
     this.toolKeyPair = null;
@@ -72,7 +91,60 @@ class LTIHandler {
   }
 
   /**
-   * Get registered platform (Moodle) config from environment
+   * Plug in a shared state store so logins survive restarts
+   * and may land on a different instance than the launch
+   */
+  setStateStore(store) {
+    this.stateStore = store;
+  }
+
+  /**
+   * Plug in the platform registry (database registrations + env fallback)
+   */
+  setPlatformStore(store) {
+    this.platformStore = store;
+  }
+
+  /**
+   * Find the registration for an issuer (and client id, if known)
+   */
+  async findPlatform(issuer, clientId) {
+    const platform = issuer ? await this.platformStore.find(issuer, clientId) : null;
+    if (!platform) {
+      throw new Error(`Unknown platform issuer: ${issuer}${clientId ? ` (client ${clientId})` : ''}`);
+    }
+    return platform;
+  }
+
+  /**
+   * Store a platform registration (e.g. from Dynamic Registration)
+   */
+  async savePlatform(platform) {
+    return this.platformStore.save(platform);
+  }
+
+  /**
+   * One-time secret for a Dynamic Registration link (kept in the state store)
+   */
+  async createRegistrationSecret() {
+    const secret = crypto.randomBytes(24).toString('hex');
+    await this.stateStore.save(`registration:${secret}`, { registration: true }, REGISTRATION_TTL);
+    return { secret, expiresAt: new Date(Date.now() + REGISTRATION_TTL) };
+  }
+
+  /**
+   * True (once) if the secret came from createRegistrationSecret and has not expired
+   */
+  async consumeRegistrationSecret(secret) {
+    if (typeof secret !== 'string' || !/^[0-9a-f]{48}$/.test(secret)) {
+      return false;
+    }
+    const data = await this.stateStore.take(`registration:${secret}`);
+    return data?.registration === true;
+  }
+
+  /**
+   * Get the default platform (Moodle) config from environment
    */
   getPlatformConfig() {
     return {
@@ -93,29 +165,24 @@ class LTIHandler {
    * Moodle sends: iss, login_hint, target_link_uri, lti_message_hint, client_id
    * Tool must redirect back to Moodle's auth endpoint
    */
-  handleLoginInitiation(params) {
-    const platform = this.getPlatformConfig();
-
+  async handleLoginInitiation(params) {
     const { iss, login_hint, target_link_uri, lti_message_hint, client_id } = params;
 
-    // Validate issuer matches configured platform
-    if (platform.issuer && iss && iss !== platform.issuer) {
-      throw new Error(`Unknown platform issuer: ${iss}`);
-    }
+    // Look up the registration this login belongs to
+    const platform = await this.findPlatform(iss, client_id);
 
     // Generate state and nonce
     const state = crypto.randomUUID();
     const nonce = crypto.randomUUID();
 
     // Store for verification in step 2 (expires in 10 minutes)
-    this.pendingStates.set(state, {
+    await this.stateStore.save(state, {
       nonce,
       timestamp: Date.now(),
       targetLinkUri: target_link_uri,
-    });
-
-    // Cleanup old states (older than 10 min)
-    this._cleanupOldStates();
+      issuer: platform.issuer,
+      clientId: platform.clientId,
+    }, STATE_TTL);
 
     // Build redirect URL to Moodle's authorization endpoint
     const authUrl = new URL(platform.authEndpoint);
@@ -123,7 +190,7 @@ class LTIHandler {
     authUrl.searchParams.set('response_type', 'id_token');
     authUrl.searchParams.set('response_mode', 'form_post');
     authUrl.searchParams.set('prompt', 'none');
-    authUrl.searchParams.set('client_id', client_id || platform.clientId);
+    authUrl.searchParams.set('client_id', platform.clientId);
     authUrl.searchParams.set('redirect_uri', target_link_uri);
     authUrl.searchParams.set('login_hint', login_hint);
     authUrl.searchParams.set('state', state);
@@ -132,7 +199,7 @@ class LTIHandler {
       authUrl.searchParams.set('lti_message_hint', lti_message_hint);
     }
 
-    return authUrl.toString();
+    return { redirectUrl: authUrl.toString(), state };
   }
 
   // ─────────────────────────────────────────────
@@ -144,21 +211,28 @@ class LTIHandler {
    * Moodle POSTs: id_token (JWT), state
    */
   async validateLaunch(idToken, state) {
-    const platform = this.getPlatformConfig();
-
-    // 1. Verify state
-    const pending = this.pendingStates.get(state);
-    if (!pending) {
+    // 1. Verify state (single use)
+    const pending = await this.stateStore.take(state);
+    if (!pending?.nonce) {
       throw new Error('Invalid or expired state parameter');
     }
-    this.pendingStates.delete(state);
 
     // Check state age (max 10 minutes)
-    if (Date.now() - pending.timestamp > 10 * 60 * 1000) {
+    if (Date.now() - pending.timestamp > STATE_TTL) {
       throw new Error('Login request expired (>10 min)');
     }
 
-    // 2. Fetch Moodle's JWKS (public keys)
+    // 2. Find the platform from the (still unverified) iss/aud claims
+    const claims = jose.decodeJwt(idToken);
+    const clientId = Array.isArray(claims.aud) ? (claims.azp || claims.aud[0]) : claims.aud;
+
+    if (pending.issuer && (claims.iss !== pending.issuer || clientId !== pending.clientId)) {
+      throw new Error('Launch does not match the platform that started the login');
+    }
+
+    const platform = await this.findPlatform(claims.iss, clientId);
+
+    // Fetch the platform's JWKS (public keys)
     const jwksUrl = platform.jwksEndpoint;
     const JWKS = await this._getJWKS(jwksUrl);
 
@@ -174,6 +248,12 @@ class LTIHandler {
       throw new Error('Nonce mismatch');
     }
 
+    // Verify deployment is registered for this platform
+    const deploymentId = payload['https://purl.imsglobal.org/spec/lti/claim/deployment_id'] || null;
+    if (!acceptsDeployment(platform, deploymentId)) {
+      throw new Error(`Unknown deployment: ${deploymentId}`);
+    }
+
     // 5. Verify LTI message type
     const messageType = payload['https://purl.imsglobal.org/spec/lti/claim/message_type'];
     if (messageType !== 'LtiResourceLinkRequest' && messageType !== 'LtiDeepLinkingRequest') {
@@ -192,35 +272,78 @@ class LTIHandler {
     const resourceLink = payload['https://purl.imsglobal.org/spec/lti/claim/resource_link'] || {};
     const toolPlatform = payload['https://purl.imsglobal.org/spec/lti/claim/tool_platform'] || {};
 
-    // Determine simplified role
-    let role = 'student';
-    const roleUrns = roles.map(r => r.toLowerCase());
-    if (roleUrns.some(r => r.includes('administrator'))) role = 'admin';
-    else if (roleUrns.some(r => r.includes('instructor') || r.includes('teachingassistant'))) role = 'instructor';
+    const role = simplifyRoles(roles);
+    const { issuer } = platform;
 
+    // Users, courses and activities are keyed by issuer + id (see identity.js)
     return {
       isValid: true,
-      userId: payload.sub,
+      userId: platformScopedId(issuer, 'user', payload.sub),
+      lmsUserId: payload.sub,
       name: payload.name || payload.given_name || 'User',
       email: payload.email || '',
       ltiClaims: {
-        courseId: context.id || null,
+        courseId: platformScopedId(issuer, 'context', context.id),
         courseName: context.label || context.title || null,
         role,
         roles, // full role URN array
         platformId: toolPlatform.guid || null,
-        resourceLinkId: resourceLink.id || null,
+        resourceLinkId: platformScopedId(issuer, 'resource_link', resourceLink.id),
+        lmsResourceLinkId: resourceLink.id || null,
         resourceLinkTitle: resourceLink.title || null,
-        deploymentId: payload['https://purl.imsglobal.org/spec/lti/claim/deployment_id'] || null,
+        custom: payload['https://purl.imsglobal.org/spec/lti/claim/custom'] || {},
+        deploymentId,
+        issuer: platform.issuer,
+        clientId: platform.clientId,
       },
       services: {
         nrps: payload['https://purl.imsglobal.org/spec/lti-nrps/claim/namesroleservice'] || null,
         ags: payload['https://purl.imsglobal.org/spec/lti-ags/claim/endpoint'] || null,
       },
+      messageType,
+      deepLinking: messageType === 'LtiDeepLinkingRequest'
+        ? payload['https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings'] || null
+        : null,
       rawPayload: payload,
     };
   }
 
+  // ─────────────────────────────────────────────
+  // Deep Linking
+  // ─────────────────────────────────────────────
+
+  /**
+   * Sign an LtiDeepLinkingResponse for the platform that sent the request
+   * `deepLinking` is the session's { returnUrl, data, issuer, clientId, deploymentId }
+   */
+  async createDeepLinkingResponse(deepLinking, contentItems) {
+    if (!this.toolKeyPair) {
+      throw new Error('Tool key pair not configured - cannot sign Deep Linking responses');
+    }
+
+    const claims = {
+      nonce: crypto.randomUUID(),
+      'https://purl.imsglobal.org/spec/lti/claim/message_type': 'LtiDeepLinkingResponse',
+      'https://purl.imsglobal.org/spec/lti/claim/version': '1.3.0',
+      'https://purl.imsglobal.org/spec/lti/claim/deployment_id': deepLinking.deploymentId,
+      'https://purl.imsglobal.org/spec/lti-dl/claim/content_items': contentItems,
+    };
+    if (deepLinking.data) {
+      claims['https://purl.imsglobal.org/spec/lti-dl/claim/data'] = deepLinking.data;
+    }
+
+    return new jose.SignJWT(claims)
+      .setProtectedHeader({
+        alg: 'RS256',
+        kid: process.env.TOOL_KEY_ID || 'tool-key-1',
+      })
+      .setIssuer(deepLinking.clientId)
+      .setAudience(deepLinking.issuer)
+      .setIssuedAt()
+      .setExpirationTime('5m')
+      .sign(this.toolKeyPair.privateKey);
+  }
+
   // ─────────────────────────────────────────────
   // JWKS Management
   // ─────────────────────────────────────────────
@@ -256,14 +379,13 @@ class LTIHandler {
   /**
    * Get an OAuth2 access token from Moodle for service calls
    * Uses client_credentials grant with JWT assertion
+   * `platform` defaults to the environment platform
    */
-  async getServiceToken(scopes) {
+  async getServiceToken(scopes, platform = this.getPlatformConfig()) {
     if (!this.toolKeyPair) {
       throw new Error('Tool key pair not configured - cannot request service tokens');
     }
 
-    const platform = this.getPlatformConfig();
-
     // Create JWT assertion
     const assertion = await new jose.SignJWT({})
       .setProtectedHeader({
@@ -297,19 +419,7 @@ class LTIHandler {
 
     return response.json();
   }
-
-  // ─────────────────────────────────────────────
-  // Helpers
-  // ─────────────────────────────────────────────
-
-  _cleanupOldStates() {
-    const tenMinAgo = Date.now() - 10 * 60 * 1000;
-    for (const [state, data] of this.pendingStates) {
-      if (data.timestamp < tenMinAgo) {
-        this.pendingStates.delete(state);
-      }
-    }
-  }
 }
 
+export { LTIHandler };
 export default new LTIHandler();
@@ -0,0 +1,23 @@
+import { v5 as uuidv5 } from 'uuid';
+
+/**
+ * Platform-scoped identifiers
+ *
+ * LTI user, context (course) and resource link ids are only unique within
+ * one platform: user "2" and course "5" exist on every Moodle site. The
+ * tool keys users, courses and activities by issuer + id instead, as a
+ * UUID so it fits the STRING(36) id columns. The raw ids are kept only
+ * where the platform needs them back (AGS scores and line items).
+ */
+
+const NAMESPACE = '6f1c2e0a-3b7d-4f9e-9a51-2d8c4b7e1f03';
+
+/**
+ * @param issuer platform issuer
+ * @param kind 'user' | 'context' | 'resource_link'
+ * @param id the platform's id; null/empty gives null
+ */
+export function platformScopedId(issuer, kind, id) {
+  if (id === undefined || id === null || id === '') return null;
+  return uuidv5(`${kind}\n${issuer}\n${id}`, NAMESPACE);
+}
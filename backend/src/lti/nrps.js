@@ -0,0 +1,53 @@
+import ltiHandler from './handler.js';
+import { LTIServiceClient } from './service-client.js';
+
+/**
+ * LTI Names and Role Provisioning Services (NRPS) client
+ *
+ * https://www.imsglobal.org/spec/lti-nrps/v2p0
+ *
+ * Fetches a course's members, following `Link: <...>; rel="next"` pages.
+ */
+
+export const NRPS_SCOPE = 'https://purl.imsglobal.org/spec/lti-nrps/scope/contextmembership.readonly';
+
+const MEMBERSHIP_TYPE = 'application/vnd.ims.lti-nrps.v2.membershipcontainer+json';
+
+// Guard against platforms that keep returning a next link
+const MAX_PAGES = 100;
+
+/**
+ * URL of the rel="next" entry of a Link header, or null
+ */
+export function nextPageUrl(linkHeader) {
+  if (!linkHeader) return null;
+
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/i);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+export class NRPSService extends LTIServiceClient {
+  /**
+   * All members of the course behind `membershipsUrl`
+   * Returns [{ user_id, name, email, roles, status, ... }]
+   */
+  async getMembers(platform, membershipsUrl) {
+    const members = [];
+    let url = membershipsUrl;
+
+    for (let page = 0; url && page < MAX_PAGES; page++) {
+      const response = await this._fetch(platform, [NRPS_SCOPE], url, { accept: MEMBERSHIP_TYPE });
+      const container = await response.json();
+
+      members.push(...(container.members || []));
+      url = nextPageUrl(response.headers.get('link'));
+    }
+
+    return members;
+  }
+}
+
+export default new NRPSService(ltiHandler);
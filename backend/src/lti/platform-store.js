@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+
+/**
+ * LTI Platform Registrations
+ *
+ * Look up a platform (Moodle site) by issuer and client id.
+ * Without a database only the single platform from the LTI_* environment
+ * variables is known; with one, the `platforms` table is searched first
+ * and the environment platform stays as a fallback.
+ *
+ * A platform is { issuer, clientId, deploymentIds, authEndpoint,
+ * tokenEndpoint, jwksEndpoint }.
+ */
+
+/**
+ * Platform configured through LTI_* environment variables, or null
+ */
+export function envPlatform() {
+  if (!process.env.LTI_PLATFORM_ISS) return null;
+
+  return {
+    id: 'env',
+    name: 'Environment',
+    issuer: process.env.LTI_PLATFORM_ISS,
+    clientId: process.env.LTI_CLIENT_ID,
+    deploymentIds: (process.env.LTI_DEPLOYMENT_IDS || '').split(',').map((d) => d.trim()).filter(Boolean),
+    authEndpoint: process.env.LTI_AUTH_ENDPOINT,
+    tokenEndpoint: process.env.LTI_TOKEN_ENDPOINT,
+    jwksEndpoint: process.env.LTI_JWKS_ENDPOINT,
+  };
+}
+
+function matches(platform, issuer, clientId) {
+  return platform &&
+    platform.issuer === issuer &&
+    (!clientId || platform.clientId === clientId);
+}
+
+/**
+ * True if the platform accepts launches from this deployment
+ */
+export function acceptsDeployment(platform, deploymentId) {
+  const ids = platform.deploymentIds || [];
+  return ids.length === 0 || ids.includes(deploymentId);
+}
+
+export class EnvPlatformStore {
+  async find(issuer, clientId) {
+    const platform = envPlatform();
+    return matches(platform, issuer, clientId) ? platform : null;
+  }
+
+  async save() {
+    throw new Error('Registering platforms requires a database');
+  }
+}
+
+export class DatabasePlatformStore {
+  /**
+   * @param model the Platform Sequelize model
+   */
+  constructor(model) {
+    this.model = model;
+    this.fallback = new EnvPlatformStore();
+  }
+
+  async find(issuer, clientId) {
+    const where = { issuer, active: true };
+    if (clientId) where.clientId = clientId;
+
+    const rows = await this.model.findAll({ where, limit: 2 });
+
+    // Login initiation may omit client_id; only unambiguous when one registration exists
+    if (rows.length === 1) return rows[0].toJSON();
+    if (rows.length > 1) return null;
+
+    return this.fallback.find(issuer, clientId);
+  }
+
+  /**
+   * Create or update the registration for issuer + client id
+   * Deployment ids are merged so re-registering adds deployments.
+   * New registrations are saved inactive: an admin approves them
+   * (PUT /api/admin/platforms/:id). Updates keep the current approval.
+   */
+  async save(platform) {
+    const existing = await this.model.findOne({
+      where: { issuer: platform.issuer, clientId: platform.clientId },
+    });
+
+    if (!existing) {
+      const created = await this.model.create({ id: crypto.randomUUID(), ...platform, active: false });
+      return created.toJSON();
+    }
+
+    const deploymentIds = [...new Set([...(existing.deploymentIds || []), ...(platform.deploymentIds || [])])];
+    await existing.update({ ...platform, deploymentIds, active: existing.active });
+    return existing.toJSON();
+  }
+}
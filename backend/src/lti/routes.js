@@ -1,68 +1,135 @@
 import express from 'express';
+import crypto from 'crypto';
 import ltiHandler from './handler.js';
+import { MemorySessionStore } from './session-store.js';
+import { registerWithPlatform, allowedRegistrationHosts, TOOL_SCOPES } from './dynamic-registration.js';
+import { resolveLaunchProject, ensureUser } from '../api/project-service.js';
 
 const router = express.Router();
 
 // ─────────────────────────────────────────────
-// Session Storage (In-Memory)
-// TODO: Replace with Redis or database for production / multi-instance
+// Session Storage
+// In-memory until server startup plugs in the configured store
+// (database / Redis, see session-store.js)
 // ─────────────────────────────────────────────
 
-const sessions = new Map();
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Active sessions are extended once less than this is left
+const SESSION_RENEW_BELOW = SESSION_TTL / 2;
 
-export function createSession(validation) {
-  const sessionId = `sess_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+let sessionStore = new MemorySessionStore();
 
-  sessions.set(sessionId, {
+export function setSessionStore(store) {
+  sessionStore = store;
+}
+
+export function getSessionStore() {
+  return sessionStore;
+}
+
+export async function createSession(validation) {
+  const sessionId = `sess_${crypto.randomBytes(24).toString('hex')}`;
+
+  await sessionStore.create(sessionId, {
     userId: validation.userId,
+    // The platform's own ids, for AGS (userId / resourceLinkId are issuer-scoped)
+    lmsUserId: validation.lmsUserId || validation.userId,
     name: validation.name,
     email: validation.email,
     courseId: validation.ltiClaims?.courseId || null,
     courseName: validation.ltiClaims?.courseName || null,
     role: validation.ltiClaims?.role || 'student',
     resourceLinkId: validation.ltiClaims?.resourceLinkId || null,
+    lmsResourceLinkId: validation.ltiClaims?.lmsResourceLinkId || null,
+    resourceLinkTitle: validation.ltiClaims?.resourceLinkTitle || null,
     deploymentId: validation.ltiClaims?.deploymentId || null,
+    issuer: validation.ltiClaims?.issuer || null,
+    clientId: validation.ltiClaims?.clientId || null,
+    // AGS endpoint claim: line item container / line item of this activity
+    ags: validation.services?.ags || null,
+    // NRPS claim: course roster endpoint
+    nrps: validation.services?.nrps || null,
+    // Deep Linking request: where to send the picked board back to
+    deepLinking: validation.deepLinking
+      ? {
+        returnUrl: validation.deepLinking.deep_link_return_url,
+        data: validation.deepLinking.data || null,
+        acceptMultiple: validation.deepLinking.accept_multiple === true,
+        issuer: validation.ltiClaims.issuer,
+        clientId: validation.ltiClaims.clientId,
+        deploymentId: validation.ltiClaims.deploymentId,
+      }
+      : null,
     createdAt: Date.now(),
-    expiresAt: Date.now() + 24 * 60 * 60 * 1000,
-  });
+  }, SESSION_TTL);
 
   return sessionId;
 }
 
-export function getSession(sessionId) {
-  const session = sessions.get(sessionId);
+export async function getSession(sessionId) {
+  if (!sessionId) return null;
+  return sessionStore.get(sessionId);
+}
 
-  if (session && session.expiresAt < Date.now()) {
-    sessions.delete(sessionId);
-    return null;
-  }
+export async function deleteSession(sessionId) {
+  await sessionStore.destroy(sessionId);
+}
+
+/**
+ * Revoke the sessions of a user: all of them, or those of one course
+ * (scope { issuer, courseId }, e.g. after removing them from that course)
+ */
+export async function revokeUserSessions(userId, scope = null) {
+  await sessionStore.destroyUser(userId, scope);
+}
 
-  return session || null;
+function getSessionId(req) {
+  return req.cookies?.session_id || req.query?.session;
 }
 
-export function deleteSession(sessionId) {
-  sessions.delete(sessionId);
+function setSessionCookie(res, sessionId) {
+  res.cookie('session_id', sessionId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
+    maxAge: SESSION_TTL,
+    path: '/',
+  });
 }
 
 /**
  * Middleware: Verify LTI Session
  */
-export function requireLTISession(req, res, next) {
-  const sessionId = req.cookies?.session_id || req.query?.session;
+export async function requireLTISession(req, res, next) {
+  // Already resolved by an earlier router
+  if (req.session) return next();
+
+  const sessionId = getSessionId(req);
 
   if (!sessionId) {
     return res.status(401).json({ error: 'Not authenticated' });
   }
 
-  const session = getSession(sessionId);
+  try {
+    const session = await getSession(sessionId);
 
-  if (!session) {
-    return res.status(401).json({ error: 'Session expired' });
-  }
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    // Sliding expiry: someone working on a board is not logged out mid-session
+    if (session.expiresAt - Date.now() < SESSION_RENEW_BELOW) {
+      await sessionStore.touch(sessionId, SESSION_TTL);
+      if (req.cookies?.session_id === sessionId) setSessionCookie(res, sessionId);
+    }
 
-  req.session = session;
-  req.sessionId = sessionId;
-  next();
+    req.session = session;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    console.error('Session lookup error:', error);
+    res.status(500).json({ error: 'Failed to verify session' });
+  }
 }
 
 // ─────────────────────────────────────────────
@@ -77,7 +144,9 @@ export function requireLTISession(req, res, next) {
 router.get('/login', (req, res) => handleLogin(req, res));
 router.post('/login', (req, res) => handleLogin(req, res));
 
-function handleLogin(req, res) {
+const STATE_COOKIE_PREFIX = 'lti_state_';
+
+async function handleLogin(req, res) {
   try {
     const params = { ...req.query, ...req.body };
 
@@ -87,7 +156,21 @@ function handleLogin(req, res) {
       target_link_uri: params.target_link_uri,
     });
 
-    const redirectUrl = ltiHandler.handleLoginInitiation(params);
+    const { redirectUrl, state } = await ltiHandler.handleLoginInitiation(params);
+
+    // Client-side state check: the launch must come from the browser
+    // that started the login. SameSite=None so it survives Moodle's cross-site
+    // POST (in every environment: browsers accept Secure on http://localhost);
+    // Partitioned so browsers that block third-party cookies still keep it
+    // inside the Moodle iframe.
+    res.cookie(`${STATE_COOKIE_PREFIX}${state}`, state, {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'None',
+      partitioned: true,
+      maxAge: 10 * 60 * 1000,
+      path: '/lti',
+    });
 
     console.log('↪  Redirecting to Moodle auth endpoint');
     res.redirect(303, redirectUrl);
@@ -100,6 +183,28 @@ function handleLogin(req, res) {
   }
 }
 
+/**
+ * Compare the state cookie set at login with the posted state
+ * A missing cookie is rejected; LTI_ALLOW_MISSING_STATE_COOKIE=true opts
+ * out for platforms that embed the tool in an iframe where the browser drops
+ * it anyway. A cookie that does not match is always rejected.
+ */
+function checkStateCookie(req, res, state) {
+  const cookieName = `${STATE_COOKIE_PREFIX}${state}`;
+  const cookieState = req.cookies?.[cookieName];
+
+  if (cookieState) {
+    res.clearCookie(cookieName, { path: '/lti', secure: true, sameSite: 'None', partitioned: true });
+    return cookieState === state;
+  }
+
+  if (process.env.LTI_ALLOW_MISSING_STATE_COOKIE === 'true') {
+    console.warn('⚠️  Launch without state cookie accepted (LTI_ALLOW_MISSING_STATE_COOKIE)');
+    return true;
+  }
+  return false;
+}
+
 /**
  * POST /lti/launch
  * Authentication Response (Resource Link Launch)
@@ -118,6 +223,12 @@ router.post('/launch', async (req, res) => {
 
     console.log('🚀 LTI Launch received');
 
+    if (!checkStateCookie(req, res, state)) {
+      return res.status(401).json({
+        error: 'State cookie missing or mismatched. Open the activity from Moodle again; if it is embedded in an iframe, see LTI_ALLOW_MISSING_STATE_COOKIE.',
+      });
+    }
+
     // Validate the JWT
     const validation = await ltiHandler.validateLaunch(id_token, state);
 
@@ -134,20 +245,37 @@ router.post('/launch', async (req, res) => {
     });
 
     // Create session
-    const sessionId = createSession(validation);
+    const sessionId = await createSession(validation);
+
+    const session = await getSession(sessionId);
+    try {
+      // Record the platform's user id now: grades are sent back with it
+      await ensureUser(session);
+    } catch (err) {
+      console.warn('⚠️  Could not record launch user:', err.message);
+    }
+
+    // Resource link launch: open the activity's board straight away
+    let projectId = null;
+    if (!validation.deepLinking) {
+      try {
+        const project = await resolveLaunchProject(session, validation.ltiClaims.custom);
+        projectId = project?.id || null;
+      } catch (err) {
+        console.warn('⚠️  Could not resolve launch board:', err.message);
+      }
+    }
 
     // Set session cookie
-    res.cookie('session_id', sessionId, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
-      maxAge: 24 * 60 * 60 * 1000,
-      path: '/',
-    });
+    setSessionCookie(res, sessionId);
 
-    // Redirect to frontend with session
+    // Redirect to frontend with session (Deep Linking opens the board picker,
+    // a resolved board opens its editor)
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    res.redirect(`${frontendUrl}?session=${sessionId}`);
+    const params = new URLSearchParams({ session: sessionId });
+    if (validation.deepLinking) params.set('mode', 'deep-link');
+    if (projectId) params.set('project', projectId);
+    res.redirect(`${frontendUrl}?${params}`);
   } catch (error) {
     console.error('❌ LTI Launch error:', error.message);
     console.error(error.stack);
@@ -170,6 +298,103 @@ router.post('/launch', async (req, res) => {
   }
 });
 
+/**
+ * POST /lti/logout
+ * Revoke the current session server-side
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    if (sessionId) {
+      await deleteSession(sessionId);
+    }
+
+    res.clearCookie('session_id', { path: '/' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * GET /lti/register
+ * LTI Dynamic Registration — Moodle opens the one-time link created by an
+ * admin (?secret=...) and adds ?openid_configuration=...&registration_token=...
+ * The platform is saved inactive until an admin approves it.
+ */
+router.get('/register', async (req, res) => {
+  const { openid_configuration, registration_token, secret } = req.query;
+
+  if (!openid_configuration) {
+    return res.status(400).json({ error: 'Missing openid_configuration parameter' });
+  }
+
+  try {
+    if (!await ltiHandler.consumeRegistrationSecret(secret)) {
+      const error = new Error('Invalid or expired registration link');
+      error.status = 403;
+      throw error;
+    }
+
+    const toolUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+    const platform = await registerWithPlatform({
+      openidConfiguration: openid_configuration,
+      registrationToken: registration_token,
+      toolUrl,
+      allowedHosts: allowedRegistrationHosts(),
+    });
+    const saved = await ltiHandler.savePlatform(platform);
+
+    console.log('✅ LTI platform registered:', {
+      issuer: saved.issuer,
+      clientId: saved.clientId,
+      deploymentIds: saved.deploymentIds,
+    });
+
+    // Moodle waits for org.imsglobal.lti.close to finish the registration dialog
+    res.send(`
+      <!DOCTYPE html>
+      <html lang="de">
+      <head><meta charset="utf-8"><title>MoodBoard registriert</title>
+      <style>body{font-family:system-ui;display:flex;justify-content:center;align-items:center;min-height:100vh;margin:0;background:#f5f5f5}
+      .ok{background:white;padding:40px;border-radius:12px;box-shadow:0 2px 10px rgba(0,0,0,0.1);max-width:500px;text-align:center}
+      h1{color:#38a169;margin-bottom:12px}p{color:#666}</style></head>
+      <body><div class="ok">
+        <h1>MoodBoard registriert</h1>
+        <p>Das Tool wurde bei ${escapeHtml(saved.issuer)} registriert.</p>
+        <p>Bitte aktivieren Sie es jetzt in der Moodle-Toolverwaltung.
+        Starts sind möglich, sobald ein MoodBoard-Administrator die Registrierung freigegeben hat.</p>
+      </div>
+      <script>(window.opener || window.parent).postMessage({ subject: 'org.imsglobal.lti.close' }, '*');</script>
+      </body></html>
+    `);
+  } catch (error) {
+    console.error('❌ LTI registration error:', error.message);
+    res.status(error.status || 400).send(`
+      <!DOCTYPE html>
+      <html lang="de">
+      <head><meta charset="utf-8"><title>Registrierung fehlgeschlagen</title>
+      <style>body{font-family:system-ui;display:flex;justify-content:center;align-items:center;min-height:100vh;margin:0;background:#f5f5f5}
+      .error{background:white;padding:40px;border-radius:12px;box-shadow:0 2px 10px rgba(0,0,0,0.1);max-width:500px;text-align:center}
+      h1{color:#e53e3e;margin-bottom:12px}p{color:#666}code{background:#f0f0f0;padding:2px 8px;border-radius:4px;font-size:13px}</style></head>
+      <body><div class="error">
+        <h1>Registrierung fehlgeschlagen</h1>
+        <p><code>${escapeHtml(error.message)}</code></p>
+      </div></body></html>
+    `);
+  }
+});
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * GET /lti/jwks
  * Tool's JWKS endpoint — Moodle fetches this during tool registration
@@ -203,14 +428,17 @@ router.get('/config', (req, res) => {
               message_type: 'LtiResourceLinkRequest',
               target_link_uri: `${toolUrl}/lti/launch`,
             },
+            {
+              placement: 'link_selection',
+              message_type: 'LtiDeepLinkingRequest',
+              target_link_uri: `${toolUrl}/lti/launch`,
+            },
           ],
         },
       },
     ],
     custom_parameters: {},
-    scopes: [
-      'https://purl.imsglobal.org/spec/lti-nrps/scope/contextmembership.readonly',
-    ],
+    scopes: TOOL_SCOPES,
     claims: ['sub', 'name', 'email', 'iss'],
   });
 });
@@ -219,7 +447,7 @@ router.get('/config', (req, res) => {
  * GET /lti/info
  * Debug endpoint (dev only) — shows current LTI configuration
  */
-router.get('/info', (req, res) => {
+router.get('/info', async (req, res) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(404).json({ error: 'Not found' });
   }
@@ -233,6 +461,7 @@ router.get('/info', (req, res) => {
       launchUrl: `${toolUrl}/lti/launch`,
       jwksUrl: `${toolUrl}/lti/jwks`,
       configUrl: `${toolUrl}/lti/config`,
+      registerUrl: `${toolUrl}/lti/register?secret=… (POST /api/admin/platforms/registration-link)`,
     },
     platform: {
       issuer: platform.issuer || '⚠️ NOT SET (LTI_PLATFORM_ISS)',
@@ -241,7 +470,7 @@ router.get('/info', (req, res) => {
       tokenEndpoint: platform.tokenEndpoint || '⚠️ NOT SET (LTI_TOKEN_ENDPOINT)',
       jwksEndpoint: platform.jwksEndpoint || '⚠️ NOT SET (LTI_JWKS_ENDPOINT)',
     },
-    activeSessions: sessions.size,
+    activeSessions: await sessionStore.count().catch(() => null),
   });
 });
 
@@ -0,0 +1,58 @@
+/**
+ * Base client for LTI Advantage services (AGS, NRPS)
+ *
+ * Requests OAuth2 access tokens through the LTI handler and caches
+ * them per platform + scope set until shortly before they expire.
+ */
+export class LTIServiceClient {
+  constructor(handler) {
+    this.handler = handler;
+    this.tokens = new Map();
+  }
+
+  async _getToken(platform, scopes) {
+    const key = `${platform.issuer}|${platform.clientId}|${scopes.join(' ')}`;
+    const cached = this.tokens.get(key);
+    if (cached && cached.expiresAt > Date.now() + 30 * 1000) {
+      return cached.token;
+    }
+
+    const result = await this.handler.getServiceToken(scopes, platform);
+    this.tokens.set(key, {
+      token: result.access_token,
+      expiresAt: Date.now() + (result.expires_in || 3600) * 1000,
+    });
+    return result.access_token;
+  }
+
+  /**
+   * Authorized request; returns the raw fetch Response (throws if not ok)
+   */
+  async _fetch(platform, scopes, url, { method = 'GET', body, contentType, accept }) {
+    const token = await this._getToken(platform, scopes);
+    const headers = { Authorization: `Bearer ${token}` };
+    if (contentType) headers['Content-Type'] = contentType;
+    if (accept) headers.Accept = accept;
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`${method} ${url} failed: ${response.status} ${text}`);
+    }
+    return response;
+  }
+
+  /**
+   * Authorized request; returns the parsed JSON body (or null if empty)
+   */
+  async _request(platform, scopes, url, options) {
+    const response = await this._fetch(platform, scopes, url, options);
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+}
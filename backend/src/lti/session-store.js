@@ -0,0 +1,248 @@
+import { Op } from 'sequelize';
+import { Session } from '../db/models.js';
+
+/**
+ * LTI Session Stores
+ *
+ * All stores share one async interface:
+ *   create(sessionId, data, ttlMs)  get(sessionId)  touch(sessionId, ttlMs)
+ *   destroy(sessionId)  destroyUser(userId, scope)  cleanup()  count()
+ *
+ * get() returns the session data with `expiresAt` (ms); touch() moves the
+ * expiry to ttlMs from now. destroyUser() ends all sessions of a user, or
+ * only those whose data matches `scope` (e.g. { issuer, courseId }).
+ *
+ * - MemorySessionStore:   process-local, for tests and DB-less development
+ * - DatabaseSessionStore: Sequelize `sessions` table (default)
+ * - RedisSessionStore:    any ioredis-compatible client
+ */
+
+const CLEANUP_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+function inScope(session, scope) {
+  return !scope || Object.entries(scope).every(([key, value]) => session[key] === value);
+}
+
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async create(sessionId, data, ttlMs) {
+    this.sessions.set(sessionId, { ...data, expiresAt: Date.now() + ttlMs });
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (session && session.expiresAt < Date.now()) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+
+    return session || null;
+  }
+
+  async touch(sessionId, ttlMs) {
+    const session = await this.get(sessionId);
+    if (session) session.expiresAt = Date.now() + ttlMs;
+  }
+
+  async destroy(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async destroyUser(userId, scope = null) {
+    for (const [sessionId, session] of this.sessions) {
+      if (session.userId === userId && inScope(session, scope)) this.sessions.delete(sessionId);
+    }
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expiresAt < now) this.sessions.delete(sessionId);
+    }
+  }
+
+  async count() {
+    return this.sessions.size;
+  }
+}
+
+export class DatabaseSessionStore {
+  async create(sessionId, data, ttlMs) {
+    const expiresAt = new Date(Date.now() + ttlMs);
+    await Session.create({
+      id: sessionId,
+      userId: data.userId,
+      data,
+      expiresAt,
+    });
+  }
+
+  async get(sessionId) {
+    const row = await Session.findByPk(sessionId);
+
+    if (!row) {
+      return null;
+    }
+
+    if (row.expiresAt.getTime() < Date.now()) {
+      await row.destroy();
+      return null;
+    }
+
+    // MySQL may hand JSON columns back as strings
+    const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+    return { ...data, expiresAt: row.expiresAt.getTime() };
+  }
+
+  async touch(sessionId, ttlMs) {
+    await Session.update(
+      { expiresAt: new Date(Date.now() + ttlMs) },
+      { where: { id: sessionId, expiresAt: { [Op.gte]: new Date() } } },
+    );
+  }
+
+  async destroy(sessionId) {
+    await Session.destroy({ where: { id: sessionId } });
+  }
+
+  async destroyUser(userId, scope = null) {
+    if (!scope) {
+      await Session.destroy({ where: { userId } });
+      return;
+    }
+
+    // Session data is a JSON column: filter the user's few rows here
+    const rows = await Session.findAll({ where: { userId }, attributes: ['id', 'data'] });
+    const ids = rows
+      .filter((row) => inScope(typeof row.data === 'string' ? JSON.parse(row.data) : row.data, scope))
+      .map((row) => row.id);
+    if (ids.length > 0) {
+      await Session.destroy({ where: { id: ids } });
+    }
+  }
+
+  async cleanup() {
+    return Session.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+  }
+
+  async count() {
+    return Session.count({ where: { expiresAt: { [Op.gte]: new Date() } } });
+  }
+}
+
+export class RedisSessionStore {
+  /**
+   * @param client ioredis-compatible client (get/set/del/sadd/smembers/srem/pexpire)
+   */
+  constructor(client, prefix = 'moodboard:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  _key(sessionId) {
+    return `${this.prefix}session:${sessionId}`;
+  }
+
+  _userKey(userId) {
+    return `${this.prefix}user-sessions:${userId}`;
+  }
+
+  async create(sessionId, data, ttlMs) {
+    const session = { ...data, expiresAt: Date.now() + ttlMs };
+    await this.client.set(this._key(sessionId), JSON.stringify(session), 'PX', ttlMs);
+    // Per-user index so all sessions of a user can be revoked at once
+    await this.client.sadd(this._userKey(data.userId), sessionId);
+    await this.client.pexpire(this._userKey(data.userId), ttlMs);
+  }
+
+  async get(sessionId) {
+    const raw = await this.client.get(this._key(sessionId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async touch(sessionId, ttlMs) {
+    const session = await this.get(sessionId);
+    if (!session) return;
+    session.expiresAt = Date.now() + ttlMs;
+    // XX: never bring back a session that expired or was revoked meanwhile
+    await this.client.set(this._key(sessionId), JSON.stringify(session), 'PX', ttlMs, 'XX');
+    await this.client.pexpire(this._userKey(session.userId), ttlMs);
+  }
+
+  async destroy(sessionId) {
+    const session = await this.get(sessionId);
+    await this.client.del(this._key(sessionId));
+    if (session) await this.client.srem(this._userKey(session.userId), sessionId);
+  }
+
+  async destroyUser(userId, scope = null) {
+    const sessionIds = await this.client.smembers(this._userKey(userId));
+
+    if (!scope) {
+      if (sessionIds.length > 0) {
+        await this.client.del(...sessionIds.map((id) => this._key(id)));
+      }
+      await this.client.del(this._userKey(userId));
+      return;
+    }
+
+    for (const sessionId of sessionIds) {
+      const session = await this.get(sessionId);
+      if (!session || inScope(session, scope)) {
+        await this.client.del(this._key(sessionId));
+        await this.client.srem(this._userKey(userId), sessionId);
+      }
+    }
+  }
+
+  async cleanup() {
+    // Redis expires keys on its own
+  }
+
+  async count() {
+    return null;
+  }
+}
+
+/**
+ * Create the session store configured by SESSION_STORE (database | redis | memory)
+ * Falls back to memory when the database is unavailable (dev "limited mode")
+ */
+export async function createSessionStore({ dbConnected }) {
+  const type = process.env.SESSION_STORE || 'database';
+
+  if (type === 'redis') {
+    // Optional dependency: only loaded when Redis sessions are configured
+    const { default: Redis } = await import('ioredis');
+    const client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
+    console.log('🔐 Sessions: Redis');
+    return new RedisSessionStore(client);
+  }
+
+  if (type === 'database' && dbConnected) {
+    console.log('🔐 Sessions: database');
+    return new DatabaseSessionStore();
+  }
+
+  console.warn('⚠️  Sessions: in-memory (lost on restart, single instance only)');
+  return new MemorySessionStore();
+}
+
+/**
+ * Periodically purge expired sessions
+ */
+export function startSessionCleanup(store) {
+  const timer = setInterval(() => {
+    store.cleanup()
+      .then((removed) => {
+        if (removed) console.log(`🧹 Removed ${removed} expired sessions`);
+      })
+      .catch((err) => console.warn('Session cleanup failed:', err.message));
+  }, CLEANUP_INTERVAL);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,77 @@
+import { Op } from 'sequelize';
+
+/**
+ * OIDC State Stores
+ *
+ * Hold the state → nonce mapping between /lti/login and /lti/launch.
+ * A state is single-use: take() returns it once and removes it.
+ *
+ *   save(state, data, ttlMs)  take(state)  cleanup()
+ *
+ * This module does not import the models so the LTI handler stays
+ * usable without a database; the server passes the LtiState model in.
+ */
+
+export class MemoryStateStore {
+  constructor() {
+    this.states = new Map();
+  }
+
+  async save(state, data, ttlMs) {
+    this.states.set(state, { ...data, expiresAt: Date.now() + ttlMs });
+  }
+
+  async take(state) {
+    const data = this.states.get(state);
+    this.states.delete(state);
+
+    if (!data || data.expiresAt < Date.now()) {
+      return null;
+    }
+    return data;
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    for (const [state, data] of this.states) {
+      if (data.expiresAt < now) this.states.delete(state);
+    }
+  }
+}
+
+export class DatabaseStateStore {
+  /**
+   * @param model the LtiState Sequelize model
+   */
+  constructor(model) {
+    this.model = model;
+  }
+
+  async save(state, data, ttlMs) {
+    await this.model.create({
+      id: state,
+      data,
+      expiresAt: new Date(Date.now() + ttlMs),
+    });
+  }
+
+  async take(state) {
+    const row = await this.model.findByPk(state);
+    if (!row) {
+      return null;
+    }
+
+    // Only the instance that actually deletes the row may use it
+    const deleted = await this.model.destroy({ where: { id: state } });
+    if (deleted === 0 || row.expiresAt.getTime() < Date.now()) {
+      return null;
+    }
+
+    const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+    return { ...data, expiresAt: row.expiresAt.getTime() };
+  }
+
+  async cleanup() {
+    return this.model.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Participation Scoring
+ *
+ * Turns a board's audit log ('joined' and 'edited' rows, the latter with
+ * the update summary in `details`) into per-student metrics, and metrics
+ * into a score via an instructor-defined rubric.
+ *
+ * A rubric is { criteria: [{ metric, target, weight }] }: each criterion
+ * earns full credit once `metric` reaches `target`, partial credit below.
+ */
+
+export const METRICS = {
+  itemsCreated: 'Nodes/shapes created',
+  itemsEdited: 'Nodes/shapes edited',
+  textChars: 'Characters written',
+  activeMinutes: 'Active minutes',
+  sessions: 'Sessions joined',
+  edits: 'Edits',
+};
+
+export const DEFAULT_RUBRIC = {
+  criteria: [
+    { metric: 'itemsCreated', target: 5, weight: 1 },
+  ],
+};
+
+export function emptyMetrics() {
+  return Object.fromEntries(Object.keys(METRICS).map((metric) => [metric, 0]));
+}
+
+function parseDetails(details) {
+  if (!details) return {};
+  if (typeof details !== 'string') return details;
+  try {
+    return JSON.parse(details);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Per-user metrics from audit log rows [{ userId, action, createdAt, details }]
+ * Active minutes = distinct clock minutes in which the user edited
+ * Returns Map userId → metrics
+ */
+export function computeMetrics(logs) {
+  const metrics = new Map();
+  const minutes = new Map();
+
+  for (const log of logs) {
+    if (!metrics.has(log.userId)) {
+      metrics.set(log.userId, emptyMetrics());
+      minutes.set(log.userId, new Set());
+    }
+    const m = metrics.get(log.userId);
+
+    if (log.action === 'joined') {
+      m.sessions++;
+    } else if (log.action === 'edited') {
+      const d = parseDetails(log.details);
+      m.edits++;
+      m.itemsCreated += (d.nodesCreated || 0) + (d.shapesCreated || 0);
+      m.itemsEdited += (d.nodesEdited || 0) + (d.shapesEdited || 0);
+      m.textChars += d.textChars || 0;
+      minutes.get(log.userId).add(Math.floor(new Date(log.createdAt).getTime() / 60000));
+    }
+  }
+
+  for (const [userId, m] of metrics) {
+    m.activeMinutes = minutes.get(userId).size;
+  }
+  return metrics;
+}
+
+/**
+ * Check a rubric from the API; returns an error message or null
+ */
+export function validateRubric(rubric) {
+  if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    return 'Rubric needs at least one criterion';
+  }
+
+  for (const c of rubric.criteria) {
+    if (!METRICS[c.metric]) return `Unknown metric: ${c.metric}`;
+    if (!(Number(c.target) > 0)) return 'Targets must be positive numbers';
+    if (c.weight !== undefined && !(Number(c.weight) > 0)) return 'Weights must be positive numbers';
+  }
+  return null;
+}
+
+/**
+ * Score one student's metrics against a rubric
+ * Returns { score, breakdown: [{ metric, value, target, credit }] }
+ * (score rounded to one decimal, credit is 0..1 per criterion)
+ */
+export function scoreParticipation(metrics, rubric, scoreMaximum) {
+  let earned = 0;
+  let total = 0;
+
+  const breakdown = rubric.criteria.map(({ metric, target, weight = 1 }) => {
+    const value = metrics?.[metric] || 0;
+    const credit = Math.min(1, value / Number(target));
+    earned += credit * Number(weight);
+    total += Number(weight);
+    return { metric, value, target: Number(target), credit };
+  });
+
+  const score = total > 0 ? Math.round((earned / total) * scoreMaximum * 10) / 10 : 0;
+  return { score, breakdown };
+}
+
+/**
+ * Short feedback text for the gradebook comment
+ */
+export function describeParticipation(breakdown) {
+  return breakdown
+    .map(({ metric, value, target }) => `${METRICS[metric]}: ${value}/${target}`)
+    .join(', ');
+}
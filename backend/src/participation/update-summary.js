@@ -0,0 +1,125 @@
+import * as Y from 'yjs';
+
+/**
+ * Update Summary
+ *
+ * Applies a client update to the server document and reports what it
+ * changed in board terms, for the participation metrics in the audit log.
+ *
+ * Mind map nodes:    'mindmap-nodes'     Y.Map of JSON strings
+ * tldraw shapes:     'tldraw-records'    Y.Map of record objects
+ * Fallback canvas:   'whiteboard-shapes' Y.Array of shape objects
+ */
+
+function emptySummary() {
+  return {
+    nodesCreated: 0,
+    nodesEdited: 0,
+    nodesDeleted: 0,
+    shapesCreated: 0,
+    shapesEdited: 0,
+    shapesDeleted: 0,
+    textChars: 0,
+  };
+}
+
+/**
+ * Number of characters that differ between two strings
+ * (length of the changed middle part after common prefix/suffix)
+ */
+export function changedChars(before = '', after = '') {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) end++;
+
+  return Math.max(before.length, after.length) - start - end;
+}
+
+function parseNode(value) {
+  if (typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function shapeText(record) {
+  return record?.props?.text || '';
+}
+
+/**
+ * Apply `update` to `ydoc` and return what changed, omitting zero counts
+ */
+export function applyUpdateWithSummary(ydoc, update, origin) {
+  const summary = emptySummary();
+
+  const nodes = ydoc.getMap('mindmap-nodes');
+  const records = ydoc.getMap('tldraw-records');
+  const shapes = ydoc.getArray('whiteboard-shapes');
+
+  const onNodes = (event) => {
+    event.changes.keys.forEach((change, key) => {
+      if (change.action === 'add') {
+        summary.nodesCreated++;
+        summary.textChars += (parseNode(nodes.get(key))?.text || '').length;
+      } else if (change.action === 'delete') {
+        summary.nodesDeleted++;
+      } else {
+        const before = parseNode(change.oldValue)?.text || '';
+        const after = parseNode(nodes.get(key))?.text || '';
+        // Layout-only writes (position, color) are not edits
+        if (before !== after) {
+          summary.nodesEdited++;
+          summary.textChars += changedChars(before, after);
+        }
+      }
+    });
+  };
+
+  const onRecords = (event) => {
+    event.changes.keys.forEach((change, key) => {
+      const record = change.action === 'delete' ? change.oldValue : records.get(key);
+      if (record?.typeName !== 'shape') return;
+
+      if (change.action === 'add') {
+        summary.shapesCreated++;
+        summary.textChars += shapeText(record).length;
+      } else if (change.action === 'delete') {
+        summary.shapesDeleted++;
+      } else {
+        summary.shapesEdited++;
+        summary.textChars += changedChars(shapeText(change.oldValue), shapeText(record));
+      }
+    });
+  };
+
+  const onShapes = (event) => {
+    for (const delta of event.changes.delta) {
+      if (delta.insert) {
+        summary.shapesCreated += delta.insert.length;
+        summary.textChars += delta.insert.reduce((sum, s) => sum + (s?.text || '').length, 0);
+      }
+      if (delta.delete) summary.shapesDeleted += delta.delete;
+    }
+  };
+
+  nodes.observe(onNodes);
+  records.observe(onRecords);
+  shapes.observe(onShapes);
+  try {
+    Y.applyUpdate(ydoc, update, origin);
+  } finally {
+    nodes.unobserve(onNodes);
+    records.unobserve(onRecords);
+    shapes.unobserve(onShapes);
+  }
+
+  return Object.fromEntries(Object.entries(summary).filter(([, value]) => value > 0));
+}
@@ -0,0 +1,54 @@
+/**
+ * Mind Map Diff
+ *
+ * Compares two sets of mind map node records (as read from the
+ * `mindmap-nodes` Y.Map, normalized) and reports what happened to each
+ * node between them. Position changes are layout, not content, and are
+ * ignored.
+ */
+
+export const STYLE_FIELDS = ['shape', 'color', 'emoji', 'fontSize', 'lineStyle'];
+
+/**
+ * Diff two { [id]: node } maps
+ * Returns {
+ *   added:      [{ id, text }],
+ *   removed:    [{ id, text, parentId }],
+ *   reparented: [{ id, text, from, to }],
+ *   retitled:   [{ id, from, to }],
+ *   restyled:   [{ id, text, fields }],
+ * }
+ * A node can appear in several of reparented/retitled/restyled.
+ */
+export function diffMindMap(before = {}, after = {}) {
+  const diff = { added: [], removed: [], reparented: [], retitled: [], restyled: [] };
+
+  for (const [id, node] of Object.entries(after)) {
+    const old = before[id];
+
+    if (!old) {
+      diff.added.push({ id, text: node.text });
+      continue;
+    }
+
+    if ((old.parentId || null) !== (node.parentId || null)) {
+      diff.reparented.push({ id, text: node.text, from: old.parentId || null, to: node.parentId || null });
+    }
+    if (old.text !== node.text) {
+      diff.retitled.push({ id, from: old.text, to: node.text });
+    }
+
+    const fields = STYLE_FIELDS.filter((field) => (old[field] ?? null) !== (node[field] ?? null));
+    if (fields.length > 0) {
+      diff.restyled.push({ id, text: node.text, fields });
+    }
+  }
+
+  for (const [id, node] of Object.entries(before)) {
+    if (!after[id]) {
+      diff.removed.push({ id, text: node.text, parentId: node.parentId || null });
+    }
+  }
+
+  return diff;
+}
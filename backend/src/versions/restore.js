@@ -0,0 +1,58 @@
+import * as Y from 'yjs';
+
+/**
+ * Version Restore
+ *
+ * Brings a live document back to the content of an older snapshot by
+ * writing the difference as a normal Yjs transaction. Connected clients
+ * receive it like any other update, so nobody has to reload and edits
+ * made after the snapshot stay in the document history.
+ */
+
+// Shared types the editors write to (see export/board-data.js)
+const MAPS = ['mindmap-nodes', 'mindmap-meta', 'tldraw-records', 'tldraw-meta'];
+const ARRAYS = ['whiteboard-shapes'];
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function restoreMap(target, source) {
+  for (const key of [...target.keys()]) {
+    if (!source.has(key)) target.delete(key);
+  }
+  source.forEach((value, key) => {
+    if (!target.has(key) || !sameValue(target.get(key), value)) {
+      target.set(key, value);
+    }
+  });
+}
+
+function restoreArray(target, source) {
+  const items = source.toArray();
+  if (sameValue(target.toArray(), items)) return;
+
+  target.delete(0, target.length);
+  target.insert(0, items);
+}
+
+/**
+ * Make `target` match the content of `source`
+ * Returns the resulting update, or null when nothing changed
+ */
+export function restoreContent(target, source, origin = 'restore') {
+  const updates = [];
+  const onUpdate = (update) => updates.push(update);
+
+  target.on('update', onUpdate);
+  try {
+    target.transact(() => {
+      MAPS.forEach((name) => restoreMap(target.getMap(name), source.getMap(name)));
+      ARRAYS.forEach((name) => restoreArray(target.getArray(name), source.getArray(name)));
+    }, origin);
+  } finally {
+    target.off('update', onUpdate);
+  }
+
+  return updates.length > 0 ? Y.mergeUpdates(updates) : null;
+}
@@ -0,0 +1,75 @@
+import * as Y from 'yjs';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import {
+  messageYjsSyncStep1,
+  messageYjsSyncStep2,
+  messageYjsUpdate,
+  writeSyncStep1,
+  writeSyncStep2,
+  writeUpdate,
+} from 'y-protocols/sync.js';
+
+/**
+ * Sync protocol helpers (y-protocols sync step 1/2, binary payloads)
+ *
+ * On join both sides send step 1 (their state vector) and answer the
+ * other's step 1 with step 2 (only the updates it is missing), so a
+ * reconnecting client downloads what changed while it was away and
+ * uploads its offline edits. Afterwards every change is an update message.
+ */
+
+function toMessage(write) {
+  const encoder = encoding.createEncoder();
+  write(encoder);
+  return encoding.toUint8Array(encoder);
+}
+
+/**
+ * Sync step 1: the document's state vector
+ */
+export function encodeSyncStep1(ydoc) {
+  return toMessage((encoder) => writeSyncStep1(encoder, ydoc));
+}
+
+/**
+ * Sync step 2: everything in the document missing from `stateVector`
+ */
+export function encodeSyncStep2(ydoc, stateVector) {
+  return toMessage((encoder) => writeSyncStep2(encoder, ydoc, stateVector));
+}
+
+/**
+ * An incremental update
+ */
+export function encodeUpdateMessage(update) {
+  return toMessage((encoder) => writeUpdate(encoder, update));
+}
+
+/**
+ * Read a sync message without applying it, so the caller can check
+ * permissions and log the update first
+ * Returns { type: 'step1', stateVector } or { type: 'update', update }
+ */
+export function decodeSyncMessage(message) {
+  const decoder = decoding.createDecoder(new Uint8Array(message));
+  const messageType = decoding.readVarUint(decoder);
+
+  switch (messageType) {
+    case messageYjsSyncStep1:
+      return { type: 'step1', stateVector: decoding.readVarUint8Array(decoder) };
+    case messageYjsSyncStep2:
+    case messageYjsUpdate:
+      return { type: 'update', update: decoding.readVarUint8Array(decoder) };
+    default:
+      throw new Error(`Unknown sync message type: ${messageType}`);
+  }
+}
+
+/**
+ * True if an update carries no changes (e.g. step 2 of an up-to-date client)
+ */
+export function isEmptyUpdate(update) {
+  const { structs, ds } = Y.decodeUpdate(update);
+  return structs.length === 0 && ds.clients.size === 0;
+}
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import * as Y from 'yjs';
+
+/**
+ * Update Log helpers
+ *
+ * A project's document is its latest snapshot (ProjectState) plus the
+ * updates logged since (ProjectUpdate). Yjs updates are idempotent, so
+ * replaying an update that is already part of the snapshot is harmless —
+ * compaction can delete the log after writing the snapshot without a
+ * transaction.
+ */
+
+/**
+ * SHA256 of an encoded state, stored in ProjectState.checksum
+ */
+export function stateChecksum(state) {
+  return crypto.createHash('sha256').update(state).digest('hex');
+}
+
+/**
+ * Rebuild a document from a snapshot and the updates logged after it
+ */
+export function replayDocument(snapshot, updates = []) {
+  const ydoc = new Y.Doc();
+
+  if (snapshot && snapshot.length > 0) {
+    Y.applyUpdate(ydoc, new Uint8Array(snapshot));
+  }
+  for (const update of updates) {
+    Y.applyUpdate(ydoc, new Uint8Array(update));
+  }
+
+  return ydoc;
+}
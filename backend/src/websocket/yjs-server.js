@@ -1,26 +1,63 @@
 import * as Y from 'yjs';
+import {
+  Awareness,
+  applyAwarenessUpdate,
+  encodeAwarenessUpdate,
+  removeAwarenessStates,
+} from 'y-protocols/awareness.js';
+import { Op } from 'sequelize';
 import { getSession } from '../lti/routes.js';
-import { ProjectState, AuditLog } from '../db/models.js';
+import { ProjectState, ProjectUpdate, AuditLog } from '../db/models.js';
+import { getProjectRole, hasRole } from '../api/permissions.js';
+import { applyUpdateWithSummary } from '../participation/update-summary.js';
+import { restoreContent } from '../versions/restore.js';
+import { stateChecksum, replayDocument } from './update-log.js';
+import {
+  encodeSyncStep1,
+  encodeSyncStep2,
+  encodeUpdateMessage,
+  decodeSyncMessage,
+  isEmptyUpdate,
+} from './sync.js';
 
 /**
  * WebSocket Handler for Yjs CRDT Collaboration
  * 
  * Each project is a "room" with its own Yjs document
  * Updates are broadcast to all connected users in that room
+ *
+ * Sync: y-protocols step 1/2 handshake on join, then update messages;
+ * all payloads are binary (see sync.js)
+ *
+ * Persistence: every update is appended to ProjectUpdate as it arrives;
+ * every five minutes the document is compacted into a ProjectState
+ * snapshot (skipped when its checksum is unchanged) and the log trimmed.
  */
 
+const PRESENCE_STATUSES = ['active', 'idle', 'away'];
+
 class YjsServer {
   constructor() {
     this.docs = new Map(); // projectId -> Y.Doc
+    this.awareness = new Map(); // projectId -> Awareness (cursors, selections)
+    this.awarenessClients = new Map(); // socket.id -> Set of awareness client IDs it controls
+    this.loading = new Map(); // projectId -> Promise<Y.Doc> while loading
+    this.unloading = new Map(); // projectId -> Promise while the final save runs
+    this.saveTimers = new Map(); // projectId -> compaction interval
+    this.pendingWrites = new Set(); // database writes still in flight
+    this.cleanupTimer = null;
     this.connections = new Map(); // projectId -> Set of socket IDs
-    this.users = new Map(); // socket.id -> { userId, name, email }
-    this.saveInterval = 5 * 60 * 1000; // Save every 5 minutes
+    this.users = new Map(); // socket.id -> { userId, sessionId, name, email, projectId, role, status }
+    this.saveInterval = 5 * 60 * 1000; // Compact every 5 minutes
+    this.io = null;
   }
 
   /**
    * Initialize WebSocket handlers on Socket.io instance
    */
   initializeWebSocket(io) {
+    this.io = io;
+
     io.on('connection', (socket) => {
       console.log(`✅ WebSocket connected: ${socket.id}`);
 
@@ -29,14 +66,19 @@ class YjsServer {
         this.handleJoinProject(socket, data);
       });
 
-      // Handle Yjs updates
-      socket.on('yjs-update', (data) => {
-        this.handleYjsUpdate(socket, data);
+      // Handle Yjs sync messages (handshake and updates)
+      socket.on('yjs-sync', (data) => {
+        this.handleSyncMessage(socket, data);
+      });
+
+      // Handle awareness (cursors, selections; y-protocols format)
+      socket.on('awareness-update', (data) => {
+        this.handleAwarenessUpdate(socket, data);
       });
 
-      // Handle user cursor/awareness
-      socket.on('cursor-move', (data) => {
-        this.handleCursorMove(socket, data);
+      // Handle presence status (active / idle / away)
+      socket.on('presence', (data) => {
+        this.handlePresence(socket, data);
       });
 
       // Handle disconnect
@@ -57,58 +99,87 @@ class YjsServer {
   async handleJoinProject(socket, data) {
     try {
       const { projectId, sessionId } = data;
-      const session = getSession(sessionId);
+      const session = await getSession(sessionId);
 
       if (!session) {
         socket.emit('error', { message: 'Invalid session' });
         return;
       }
 
+      // Check membership / course access
+      const { project, role } = await getProjectRole(projectId, session);
+
+      if (!project) {
+        socket.emit('error', { message: 'Project not found' });
+        return;
+      }
+
+      if (!role) {
+        socket.emit('error', { message: 'Access denied' });
+        return;
+      }
+
+      const readOnly = !hasRole(role, 'editor');
+
+      // Switching boards on the same socket: leave the previous room first
+      const previous = this.users.get(socket.id);
+      if (previous && previous.projectId !== projectId) {
+        this.leaveRoom(socket, previous);
+      }
+
       // Store user info
       this.users.set(socket.id, {
         userId: session.userId,
+        sessionId,
         name: session.name,
         email: session.email,
+        projectId,
+        role,
+        status: 'active',
       });
 
       // Join Socket.io room
       socket.join(`project:${projectId}`);
 
-      // Get or create Yjs document
-      let ydoc = this.docs.get(projectId);
-
-      if (!ydoc) {
-        ydoc = await this.loadYjsDocument(projectId);
-        this.docs.set(projectId, ydoc);
-
-        // Schedule periodic saves
-        this.scheduleSave(projectId);
-      }
-
-      // Send initial state to client
-      const state = Y.encodeStateAsUpdate(ydoc);
+      // Get or load Yjs document
+      const ydoc = await this.getDocument(projectId);
 
-      socket.emit('yjs-state', {
+      socket.emit('project-joined', {
         projectId,
-        state: Array.from(state),
         clientID: socket.id,
         users: this.getRoomUsers(projectId),
+        role,
+        readOnly,
       });
 
+      // Start the handshake: the client answers with the updates we lack
+      socket.emit('yjs-sync', { projectId, message: encodeSyncStep1(ydoc) });
+
+      // Send collaborators' cursors and selections
+      const awareness = this.awareness.get(projectId);
+      if (awareness && awareness.getStates().size > 0) {
+        socket.emit('awareness-update', {
+          projectId,
+          update: encodeAwarenessUpdate(awareness, [...awareness.getStates().keys()]),
+        });
+      }
+
       // Notify others
       socket.to(`project:${projectId}`).emit('user-joined', {
+        socketId: socket.id,
         userId: session.userId,
         name: session.name,
+        status: 'active',
       });
 
-      console.log(`👤 User ${session.name} joined project ${projectId}`);
+      console.log(`👤 User ${session.name} joined project ${projectId} as ${role}`);
 
       // Log action (non-blocking - don't let DB errors break WebSocket)
-      AuditLog.create({
+      this.track(AuditLog.create({
         projectId,
         userId: session.userId,
         action: 'joined',
-      }).catch(err => console.warn('AuditLog write failed:', err.message));
+      }).catch(err => console.warn('AuditLog write failed:', err.message)));
     } catch (error) {
       console.error('handleJoinProject error:', error);
       socket.emit('error', { message: 'Failed to join project' });
@@ -116,17 +187,59 @@ class YjsServer {
   }
 
   /**
-   * Handle: Yjs update from client
+   * Handle: Sync message from client
+   * Step 1 is answered with the updates the client lacks; step 2 and
+   * updates go through handleYjsUpdate
    */
-  async handleYjsUpdate(socket, data) {
+  handleSyncMessage(socket, data) {
     try {
-      const { projectId, update } = data;
+      const { projectId, message } = data || {};
       const user = this.users.get(socket.id);
 
-      if (!user || !projectId) {
+      if (!user || !projectId || !message) {
+        return;
+      }
+
+      const decoded = decodeSyncMessage(message);
+
+      if (decoded.type === 'step1') {
+        const ydoc = user.projectId === projectId && this.docs.get(projectId);
+        if (ydoc) {
+          socket.emit('yjs-sync', { projectId, message: encodeSyncStep2(ydoc, decoded.stateVector) });
+        }
+        return;
+      }
+
+      // An up-to-date client answers step 1 with an empty update
+      if (!isEmptyUpdate(decoded.update)) {
+        this.handleYjsUpdate(socket, user, projectId, decoded.update);
+      }
+    } catch (error) {
+      console.error('handleSyncMessage error:', error);
+    }
+  }
+
+  /**
+   * Handle: Yjs update from client
+   */
+  handleYjsUpdate(socket, user, projectId, update) {
+    try {
+      // Only editors and owners of the joined project may change it;
+      // viewers stay in the room and keep receiving updates
+      if (user.projectId !== projectId || !hasRole(user.role, 'editor')) {
+        socket.emit('edit-rejected', {
+          projectId,
+          role: user.projectId === projectId ? user.role : null,
+          message: user.projectId === projectId
+            ? 'You have read-only access to this board'
+            : 'Join the project before editing it',
+        });
         return;
       }
 
+      // Editing means the user is back
+      this.handlePresence(socket, { projectId, status: 'active' });
+
       // Get Yjs document
       const ydoc = this.docs.get(projectId);
 
@@ -135,151 +248,436 @@ class YjsServer {
         return;
       }
 
-      // Apply update from client
+      // Apply update from client, noting what it changed for participation metrics
       const updateBuffer = Buffer.from(update);
-      Y.applyUpdate(ydoc, updateBuffer);
+      const summary = applyUpdateWithSummary(ydoc, updateBuffer);
+      this.appendUpdate(projectId, updateBuffer, user.userId);
 
       // Broadcast to all users in room (except sender)
-      socket.to(`project:${projectId}`).emit('yjs-update', {
-        update: Array.from(updateBuffer),
-        clientID: socket.id,
-        userId: user.userId,
-        userName: user.name,
+      socket.to(`project:${projectId}`).emit('yjs-sync', {
+        projectId,
+        message: encodeUpdateMessage(update),
       });
 
       // Log significant actions (non-blocking)
-      AuditLog.create({
+      this.track(AuditLog.create({
         projectId,
         userId: user.userId,
         action: 'edited',
-        details: { updateSize: updateBuffer.length },
-      }).catch(err => console.warn('AuditLog write failed:', err.message));
+        details: { updateSize: updateBuffer.length, ...summary },
+      }).catch(err => console.warn('AuditLog write failed:', err.message)));
     } catch (error) {
       console.error('handleYjsUpdate error:', error);
     }
   }
 
   /**
-   * Handle: User cursor position (for awareness)
+   * Handle: Awareness update from client (y-protocols encoding)
+   * Applied to the room's Awareness so late joiners get current cursors,
+   * then relayed to everyone else in the room
+   */
+  handleAwarenessUpdate(socket, data) {
+    const { projectId, update } = data || {};
+    const user = this.users.get(socket.id);
+    const awareness = this.awareness.get(projectId);
+
+    if (!user || user.projectId !== projectId || !awareness || !update) {
+      return;
+    }
+
+    try {
+      const updateBuffer = new Uint8Array(update);
+      applyAwarenessUpdate(awareness, updateBuffer, socket.id);
+
+      socket.to(`project:${projectId}`).emit('awareness-update', {
+        projectId,
+        update: updateBuffer,
+      });
+    } catch (error) {
+      console.warn('Invalid awareness update:', error.message);
+    }
+  }
+
+  /**
+   * Handle: Presence status change
    */
-  handleCursorMove(socket, data) {
-    const { projectId, x, y, selection } = data;
+  handlePresence(socket, data) {
+    const { projectId, status } = data || {};
     const user = this.users.get(socket.id);
 
-    if (!user) {
+    if (!user || user.projectId !== projectId || !PRESENCE_STATUSES.includes(status) || user.status === status) {
       return;
     }
 
-    // Broadcast cursor position to others
-    socket.to(`project:${projectId}`).emit('cursor-update', {
-      clientID: socket.id,
+    user.status = status;
+    socket.to(`project:${projectId}`).emit('presence-update', {
+      socketId: socket.id,
+      userId: user.userId,
+      status,
+    });
+  }
+
+  /**
+   * Leave a project room and tell the others
+   */
+  leaveRoom(socket, user) {
+    socket.leave(`project:${user.projectId}`);
+
+    // Drop the socket's cursors and tell the room they are gone
+    const awareness = this.awareness.get(user.projectId);
+    const clientIds = [...(this.awarenessClients.get(socket.id) || [])];
+    this.awarenessClients.delete(socket.id);
+
+    if (awareness && clientIds.length > 0) {
+      removeAwarenessStates(awareness, clientIds, 'leave');
+      this.io?.to(`project:${user.projectId}`).emit('awareness-update', {
+        projectId: user.projectId,
+        update: encodeAwarenessUpdate(awareness, clientIds),
+      });
+    }
+
+    this.io?.to(`project:${user.projectId}`).emit('user-left', {
+      socketId: socket.id,
       userId: user.userId,
-      userName: user.name,
-      x,
-      y,
-      selection,
     });
   }
 
   /**
    * Handle: User disconnect
    */
-  async handleDisconnect(socket) {
+  handleDisconnect(socket) {
     const user = this.users.get(socket.id);
 
     if (user) {
       console.log(`❌ User ${user.name} disconnected`);
       this.users.delete(socket.id);
-
-      // Notify others in all rooms they were in
-      const sockets = await socket.adapter.sockets.get(socket.id);
-      // (Note: socket is already disconnected, so this is just cleanup)
+      this.leaveRoom(socket, user);
     }
   }
 
   /**
-   * Load Yjs document from database
+   * Re-check the role of everyone in a project's room
+   * Called when sharing, membership or project settings change: joined
+   * sockets get their new role, or leave the room if access is gone
    */
-  async loadYjsDocument(projectId) {
-    const ydoc = new Y.Doc();
+  async refreshRoles(projectId) {
+    const joined = [...this.users].filter(([, user]) => user.projectId === projectId);
+
+    await Promise.all(joined.map(async ([socketId, user]) => {
+      const session = await getSession(user.sessionId);
+      const { role } = session ? await getProjectRole(projectId, session) : { role: null };
+      // Left or switched boards meanwhile
+      if (this.users.get(socketId) !== user || role === user.role) return;
+
+      const socket = this.io?.sockets.sockets.get(socketId);
+      if (!role) {
+        this.users.delete(socketId);
+        if (socket) {
+          this.leaveRoom(socket, user);
+          socket.emit('access-revoked', { projectId, message: 'You no longer have access to this board' });
+        }
+        return;
+      }
 
-    try {
-      // Get latest state from database
-      const latestState = await ProjectState.findOne({
+      user.role = role;
+      socket?.emit('role-changed', { projectId, role, readOnly: !hasRole(role, 'editor') });
+    }));
+  }
+
+  /**
+   * Append an update to the project's update log (non-blocking)
+   */
+  appendUpdate(projectId, update, userId) {
+    return this.track(ProjectUpdate.create({ projectId, data: update, userId })
+      .catch(err => console.error('Update log write failed:', err.message)));
+  }
+
+  /**
+   * Remember a database write until it settles (awaited on shutdown)
+   */
+  track(promise) {
+    this.pendingWrites.add(promise);
+    promise.finally(() => this.pendingWrites.delete(promise)).catch(() => {});
+    return promise;
+  }
+
+  /**
+   * The project's live document, loading it (once) if needed
+   * Waits for a running unload so the final save is not read half-written
+   */
+  async getDocument(projectId) {
+    await this.unloading.get(projectId);
+
+    if (this.docs.has(projectId)) {
+      return this.docs.get(projectId);
+    }
+
+    if (!this.loading.has(projectId)) {
+      this.loading.set(projectId, this.loadYjsDocument(projectId).then((ydoc) => {
+        this.docs.set(projectId, ydoc);
+        this.awareness.set(projectId, this.createAwareness(ydoc));
+        this.scheduleSave(projectId);
+        return ydoc;
+      }).finally(() => {
+        this.loading.delete(projectId);
+      }));
+    }
+    return this.loading.get(projectId);
+  }
+
+  /**
+   * Latest snapshot and the update log of a project, as stored
+   */
+  async readStoredState(projectId) {
+    const [latestState, updates] = await Promise.all([
+      ProjectState.findOne({
         where: { projectId },
         order: [['version', 'DESC']],
         limit: 1,
-      });
+      }),
+      ProjectUpdate.findAll({
+        attributes: ['data'],
+        where: { projectId },
+        order: [['id', 'ASC']],
+      }),
+    ]);
 
-      if (latestState && latestState.yjsState) {
-        Y.applyUpdate(ydoc, Buffer.from(latestState.yjsState));
-      } else {
-        // Initialize with empty structure
-        const ymap = ydoc.getMap('project');
-        ymap.set('name', 'New Project');
-        ymap.set('createdAt', new Date().toISOString());
-
-        // Initialize arrays for content
-        ydoc.getArray('nodes'); // For MindMap or Whiteboard nodes
-        ydoc.getArray('connections');
-      }
-    } catch (error) {
-      console.error('Error loading Yjs document:', error);
+    return { latestState, updates: updates.map((u) => u.data) };
+  }
+
+  /**
+   * The project's current content as one encoded state: the live document
+   * if it is loaded, else the latest snapshot plus the update log
+   * Returns null if nothing has been saved yet
+   */
+  async getCurrentState(projectId) {
+    await this.unloading.get(projectId);
+
+    const liveDoc = this.docs.get(projectId);
+    if (liveDoc) {
+      return Buffer.from(Y.encodeStateAsUpdate(liveDoc));
+    }
+
+    const { latestState, updates } = await this.readStoredState(projectId);
+    if (!latestState?.yjsState && updates.length === 0) {
+      return null;
     }
 
+    const ydoc = replayDocument(latestState?.yjsState, updates);
+    try {
+      return Buffer.from(Y.encodeStateAsUpdate(ydoc));
+    } finally {
+      ydoc.destroy();
+    }
+  }
+
+  /**
+   * Load Yjs document from database: latest snapshot + logged updates
+   * Database errors are thrown: an empty stand-in document would be
+   * compacted over the stored state and trim the update log
+   */
+  async loadYjsDocument(projectId) {
+    const { latestState, updates } = await this.readStoredState(projectId);
+
+    if (latestState?.yjsState || updates.length > 0) {
+      return replayDocument(latestState?.yjsState, updates);
+    }
+
+    // Initialize with empty structure
+    const ydoc = new Y.Doc();
+    const ymap = ydoc.getMap('project');
+    ymap.set('name', 'New Project');
+    ymap.set('createdAt', new Date().toISOString());
+
+    // Initialize arrays for content
+    ydoc.getArray('nodes'); // For MindMap or Whiteboard nodes
+    ydoc.getArray('connections');
+
     return ydoc;
   }
 
   /**
-   * Schedule periodic save to database
+   * Write the document as the project's next version,
+   * unless it is identical to the latest one
+   * Returns the (new or unchanged) latest version number
+   */
+  async saveSnapshot(projectId, ydoc) {
+    const state = Y.encodeStateAsUpdate(ydoc);
+    const checksum = stateChecksum(state);
+
+    // Get current version
+    const latest = await ProjectState.findOne({
+      attributes: ['version', 'checksum'],
+      where: { projectId },
+      order: [['version', 'DESC']],
+      limit: 1,
+    });
+
+    if (latest && latest.checksum === checksum) {
+      return latest.version;
+    }
+
+    const nextVersion = (latest?.version || 0) + 1;
+
+    // Save snapshot (as a Buffer: drivers don't all bind a Uint8Array as a BLOB)
+    await ProjectState.create({
+      projectId,
+      yjsState: Buffer.from(state),
+      version: nextVersion,
+      checksum,
+    });
+
+    console.log(`💾 Saved project ${projectId} (v${nextVersion})`);
+    return nextVersion;
+  }
+
+  /**
+   * Fold the update log into a snapshot and trim it
+   * Only updates already applied to `ydoc` are deleted: the newest log id is
+   * read before the document is encoded.
+   */
+  async compact(projectId, ydoc) {
+    const lastUpdateId = await ProjectUpdate.max('id', { where: { projectId } });
+    const version = await this.saveSnapshot(projectId, ydoc);
+
+    if (lastUpdateId) {
+      await ProjectUpdate.destroy({ where: { projectId, id: { [Op.lte]: lastUpdateId } } });
+    }
+    return version;
+  }
+
+  /**
+   * Schedule periodic compaction
    */
   scheduleSave(projectId) {
+    clearInterval(this.saveTimers.get(projectId));
+
     const saveTimer = setInterval(async () => {
       const ydoc = this.docs.get(projectId);
 
       if (!ydoc) {
         clearInterval(saveTimer);
+        this.saveTimers.delete(projectId);
         return;
       }
 
       try {
-        const state = Y.encodeStateAsUpdate(ydoc);
+        await this.track(this.compact(projectId, ydoc));
+      } catch (error) {
+        console.error('Error saving Yjs state:', error);
+      }
+    }, this.saveInterval);
 
-        // Get current version
-        const latest = await ProjectState.findOne({
-          where: { projectId },
-          order: [['version', 'DESC']],
-          limit: 1,
-        });
+    this.saveTimers.set(projectId, saveTimer);
+  }
+
+  /**
+   * Room awareness without a state of its own; remembers which client IDs
+   * each socket sent so they can be removed when it leaves
+   */
+  createAwareness(ydoc) {
+    const awareness = new Awareness(ydoc);
+    awareness.setLocalState(null);
 
-        const nextVersion = (latest?.version || 0) + 1;
+    awareness.on('update', ({ added, updated }, origin) => {
+      if (typeof origin !== 'string' || !this.users.has(origin)) return;
 
-        // Save snapshot
-        await ProjectState.create({
-          projectId,
-          yjsState: state,
-          version: nextVersion,
-        });
+      const clientIds = this.awarenessClients.get(origin) || new Set();
+      [...added, ...updated].forEach((id) => clientIds.add(id));
+      this.awarenessClients.set(origin, clientIds);
+    });
+
+    return awareness;
+  }
+
+  /**
+   * Save a document one last time and remove it from memory
+   */
+  unloadDocument(projectId) {
+    if (this.unloading.has(projectId)) {
+      return this.unloading.get(projectId);
+    }
+
+    const ydoc = this.docs.get(projectId);
+    if (!ydoc) return Promise.resolve();
 
-        console.log(`💾 Saved project ${projectId} (v${nextVersion})`);
+    clearInterval(this.saveTimers.get(projectId));
+    this.saveTimers.delete(projectId);
+
+    const unload = (async () => {
+      try {
+        // Writes for updates already applied must land before compaction trims the log
+        await Promise.allSettled([...this.pendingWrites]);
+        await this.track(this.compact(projectId, ydoc));
       } catch (error) {
-        console.error('Error saving Yjs state:', error);
+        // Logged updates stay in the update log and are replayed on next load
+        console.error(`Final save of project ${projectId} failed:`, error);
+      } finally {
+        this.docs.delete(projectId);
+        this.awareness.get(projectId)?.destroy();
+        this.awareness.delete(projectId);
+        this.unloading.delete(projectId);
+        ydoc.destroy();
       }
-    }, this.saveInterval);
+    })();
+
+    this.unloading.set(projectId, unload);
+    return unload;
   }
 
   /**
-   * Get all users currently in a project room
+   * Restore an older version's content
+   * The change is applied to the live document (if the room is open) and
+   * broadcast to everyone in it, then saved as a new version.
+   * Returns the new version number
+   */
+  async restoreVersion(projectId, yjsState, { version, userId, name }) {
+    await this.unloading.get(projectId);
+    // A join may be loading the document: restore into that one, not a copy
+    // it would never see (if that load fails, the restore loads on its own)
+    await this.loading.get(projectId)?.catch(() => {});
+    const liveDoc = this.docs.get(projectId);
+    const ydoc = liveDoc || await this.loadYjsDocument(projectId);
+
+    const source = new Y.Doc();
+    if (yjsState && yjsState.length > 0) {
+      Y.applyUpdate(source, new Uint8Array(yjsState));
+    }
+
+    try {
+      const update = restoreContent(ydoc, source);
+      if (update) await this.appendUpdate(projectId, Buffer.from(update), userId);
+
+      if (liveDoc && this.io) {
+        const room = this.io.to(`project:${projectId}`);
+        if (update) {
+          room.emit('yjs-sync', { projectId, message: encodeUpdateMessage(update) });
+        }
+        room.emit('version-restored', { projectId, version, userId, userName: name });
+      }
+
+      return await this.compact(projectId, ydoc);
+    } finally {
+      source.destroy();
+      if (!liveDoc) ydoc.destroy();
+    }
+  }
+
+  /**
+   * Get all users currently in a project room (one entry per socket)
    */
   getRoomUsers(projectId) {
     const users = [];
 
     for (const [socketId, user] of this.users.entries()) {
+      if (user.projectId !== projectId) continue;
+
       users.push({
         socketId,
         userId: user.userId,
         name: user.name,
         email: user.email,
+        status: user.status,
       });
     }
 
@@ -287,21 +685,33 @@ class YjsServer {
   }
 
   /**
-   * Cleanup: Remove document from memory if no users connected
+   * Cleanup: Save and unload documents whose room is empty
    */
   cleanupUnusedDocuments(io) {
-    setInterval(() => {
-      for (const [projectId, ydoc] of this.docs.entries()) {
+    this.cleanupTimer = setInterval(() => {
+      for (const projectId of this.docs.keys()) {
         // Check if any sockets are in this room
         const sockets = io.sockets.adapter.rooms.get(`project:${projectId}`);
 
-        if (!sockets || sockets.size === 0) {
+        if ((!sockets || sockets.size === 0) && !this.unloading.has(projectId)) {
           console.log(`🗑️ Cleaning up unused document: ${projectId}`);
-          this.docs.delete(projectId);
+          this.unloadDocument(projectId);
         }
       }
     }, 60 * 1000); // Check every minute
   }
+
+  /**
+   * Shutdown: stop timers, save every open document and wait for all writes
+   */
+  async shutdown() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+
+    await Promise.allSettled([...this.loading.values()]);
+    await Promise.allSettled([...this.docs.keys()].map((projectId) => this.unloadDocument(projectId)));
+    await Promise.allSettled([...this.pendingWrites]);
+  }
 }
 
 export default new YjsServer();
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import * as jose from 'jose';
+import { LTIHandler } from '../src/lti/handler.js';
+import { AGSService, AGS_SCOPES, scoresUrl } from '../src/lti/ags.js';
+import { startMockPlatform } from './helpers/mock-platform.js';
+
+describe('Assignment and Grade Services', () => {
+  let mock;
+  let service;
+
+  beforeAll(async () => {
+    const handler = new LTIHandler();
+    handler.toolKeyPair = await jose.generateKeyPair('RS256');
+    mock = await startMockPlatform(handler.toolKeyPair.publicKey);
+    service = new AGSService(handler);
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  it('builds the scores URL next to the line item', () => {
+    expect(scoresUrl('https://moodle.example.com/mod/lti/services.php/2/lineitems/7/lineitem?type_id=1'))
+      .toBe('https://moodle.example.com/mod/lti/services.php/2/lineitems/7/lineitem/scores?type_id=1');
+  });
+
+  it('creates a line item and posts a score', async () => {
+    const lineItem = await service.createLineItem(mock.platform, mock.lineItemsUrl, {
+      label: 'Mindmap Kapitel 3',
+      scoreMaximum: 10,
+      resourceLinkId: 'rl-1',
+    });
+
+    expect(lineItem.id).toMatch(/\/lineitems\/1$/);
+    expect(mock.received.lineItems[0]).toMatchObject({ label: 'Mindmap Kapitel 3', scoreMaximum: 10 });
+
+    await service.postScore(mock.platform, lineItem.id, {
+      userId: 'student-1',
+      scoreGiven: 8,
+      scoreMaximum: 10,
+      comment: 'Gute Struktur',
+    });
+
+    expect(mock.received.scores[0]).toMatchObject({
+      lineItem: '1',
+      userId: 'student-1',
+      scoreGiven: 8,
+      gradingProgress: 'FullyGraded',
+    });
+  });
+
+  it('reuses access tokens per scope', async () => {
+    const before = mock.received.tokenRequests.length;
+    await service.postScore(mock.platform, `${mock.lineItemsUrl}/1`, { userId: 's2', scoreGiven: 5, scoreMaximum: 10 });
+
+    expect(mock.received.tokenRequests.length).toBe(before);
+    expect(mock.received.tokenRequests).toEqual([AGS_SCOPES.lineItem, AGS_SCOPES.score]);
+  });
+
+  it('surfaces platform errors', async () => {
+    await expect(service.postScore(mock.platform, `${mock.lineItemsUrl.replace('lineitems', 'missing')}/1`, {
+      userId: 's3', scoreGiven: 1, scoreMaximum: 10,
+    })).rejects.toThrow('404');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import express from 'express';
+import request from 'supertest';
+import * as Y from 'yjs';
+import { User, Project, ProjectMember, ProjectState, ProjectUpdate } from '../src/db/models.js';
+import projectsApi from '../src/api/projects.js';
+import versionsApi from '../src/api/versions.js';
+import { createSession } from '../src/lti/routes.js';
+import yjsServer from '../src/websocket/yjs-server.js';
+
+const PROJECT_ID = 'p-state';
+
+const app = express();
+app.use(express.json());
+app.use('/api', projectsApi);
+app.use('/api', versionsApi);
+
+function edit(doc, change) {
+  let update;
+  const capture = (u) => { update = u; };
+  doc.on('update', capture);
+  doc.transact(() => change(doc));
+  doc.off('update', capture);
+  return Buffer.from(update);
+}
+
+const addNode = (id, text, parentId = null) => (doc) => {
+  doc.getMap('mindmap-nodes').set(id, JSON.stringify({ id, text, parentId }));
+};
+
+function nodeIds(state) {
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, new Uint8Array(state));
+  const ids = [...doc.getMap('mindmap-nodes').keys()].sort();
+  doc.destroy();
+  return ids;
+}
+
+describe('Board state beyond the latest snapshot', () => {
+  let sessionId;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    await User.create({ id: 'owner', moodleUserId: '1', name: 'Olga' });
+    await Project.create({ id: PROJECT_ID, name: 'Stand', createdBy: 'owner' });
+    await ProjectMember.create({ projectId: PROJECT_ID, userId: 'owner', role: 'owner' });
+
+    // Version 1 has the root; "Idee" is only in the update log
+    const client = new Y.Doc();
+    const root = edit(client, (doc) => {
+      addNode('root', 'Thema')(doc);
+      doc.getMap('mindmap-meta').set('rootId', 'root');
+    });
+    await ProjectState.create({ projectId: PROJECT_ID, yjsState: root, version: 1 });
+    await ProjectUpdate.create({ projectId: PROJECT_ID, data: edit(client, addNode('a', 'Idee', 'root')), userId: 'owner' });
+
+    sessionId = await createSession({ userId: 'owner', name: 'Olga', ltiClaims: { role: 'instructor' } });
+  });
+
+  afterAll(async () => {
+    await yjsServer.shutdown();
+    yjsServer.io = null;
+    await sequelize.close();
+  });
+
+  it('serves uncompacted updates with the project', async () => {
+    const res = await request(app).get(`/api/projects/${PROJECT_ID}`).query({ session: sessionId });
+
+    expect(res.status).toBe(200);
+    expect(res.body.stateVersion).toBe(1);
+    expect(nodeIds(res.body.yjsState.data)).toEqual(['a', 'root']);
+  });
+
+  it('exports uncompacted updates', async () => {
+    const json = await request(app)
+      .post(`/api/projects/${PROJECT_ID}/export`).query({ session: sessionId }).send({ format: 'json' });
+    const svg = await request(app)
+      .post(`/api/projects/${PROJECT_ID}/export`).query({ session: sessionId }).send({ format: 'svg' })
+      .buffer(true).parse((res, done) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => done(null, body));
+      });
+
+    expect(nodeIds(Buffer.from(json.body.yjsState, 'base64'))).toEqual(['a', 'root']);
+    expect(svg.status).toBe(200);
+    expect(svg.body).toContain('Idee');
+  });
+
+  it('diffs a version against the current board', async () => {
+    const res = await request(app).get(`/api/projects/${PROJECT_ID}/versions/1/diff`).query({ session: sessionId });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ from: 1, to: null });
+    expect(res.body.added.map((n) => n.id)).toEqual(['a']);
+  });
+
+  it('reads the live document while the board is open', async () => {
+    const live = await yjsServer.getDocument(PROJECT_ID);
+    addNode('b', 'Offen', 'root')(live);
+
+    const res = await request(app).get(`/api/projects/${PROJECT_ID}`).query({ session: sessionId });
+
+    expect(nodeIds(res.body.yjsState.data)).toEqual(['a', 'b', 'root']);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import express from 'express';
+import request from 'supertest';
+import * as jose from 'jose';
+import ltiHandler, { LTIHandler } from '../src/lti/handler.js';
+import { User, Project, ProjectMember } from '../src/db/models.js';
+import deepLinkingApi from '../src/api/deep-linking.js';
+import { createSession } from '../src/lti/routes.js';
+import { getProjectRole } from '../src/api/permissions.js';
+import { resolveLaunchProject } from '../src/api/project-service.js';
+
+const ISSUER = 'https://moodle.example.com';
+
+describe('Deep Linking response', () => {
+  it('signs the picked board as a resource link for the requesting platform', async () => {
+    const handler = new LTIHandler();
+    handler.toolKeyPair = await jose.generateKeyPair('RS256');
+
+    const jwt = await handler.createDeepLinkingResponse(
+      { issuer: 'https://moodle.example.com', clientId: 'client-1', deploymentId: '1', data: 'opaque' },
+      [{ type: 'ltiResourceLink', title: 'Brainstorming', custom: { project_id: 'p1' } }],
+    );
+
+    const { payload } = await jose.jwtVerify(jwt, handler.toolKeyPair.publicKey, {
+      issuer: 'client-1',
+      audience: 'https://moodle.example.com',
+    });
+
+    expect(payload['https://purl.imsglobal.org/spec/lti/claim/message_type']).toBe('LtiDeepLinkingResponse');
+    expect(payload['https://purl.imsglobal.org/spec/lti-dl/claim/data']).toBe('opaque');
+    expect(payload['https://purl.imsglobal.org/spec/lti-dl/claim/content_items'][0].custom.project_id).toBe('p1');
+  });
+
+  it('refuses to sign without tool keys', async () => {
+    await expect(new LTIHandler().createDeepLinkingResponse({}, [])).rejects.toThrow('key pair');
+  });
+});
+
+describe('POST /api/deep-link', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/deep-link', deepLinkingApi);
+
+  let teacher;
+  let signed;
+
+  const pick = (body) => request(app).post('/api/deep-link').query({ session: teacher }).send(body);
+
+  // What a student's launch of the new activity resolves to
+  async function studentLaunch(projectId) {
+    const session = { userId: 'student', role: 'student', issuer: ISSUER, courseId: 'c1', resourceLinkId: 'new-link' };
+    const project = await resolveLaunchProject(session, { project_id: projectId });
+    return getProjectRole(project.id, session);
+  }
+
+  beforeAll(async () => {
+    await resetDatabase();
+    await User.bulkCreate([
+      { id: 'teacher', moodleUserId: '1', issuer: ISSUER, name: 'Lehrerin', role: 'teacher' },
+      { id: 'colleague', moodleUserId: '2', issuer: ISSUER, name: 'Kollege', role: 'teacher' },
+    ]);
+    await Project.bulkCreate([
+      { id: 'own-private', name: 'Eigenes', visibility: 'private', studentRole: 'viewer', createdBy: 'teacher' },
+      { id: 'other-course', name: 'Anderer Kurs', courseId: 'c2', visibility: 'course', createdBy: 'teacher' },
+      { id: 'shared-private', name: 'Geteilt', visibility: 'private', createdBy: 'colleague' },
+      { id: 'course-board', name: 'Kursboard', courseId: 'c1', visibility: 'course', studentRole: 'editor', createdBy: 'colleague' },
+    ]);
+    await ProjectMember.bulkCreate([
+      { projectId: 'own-private', userId: 'teacher', role: 'owner' },
+      { projectId: 'other-course', userId: 'teacher', role: 'owner' },
+      { projectId: 'shared-private', userId: 'colleague', role: 'owner' },
+      { projectId: 'shared-private', userId: 'teacher', role: 'editor' },
+      { projectId: 'course-board', userId: 'colleague', role: 'owner' },
+    ]);
+
+    teacher = await createSession({
+      userId: 'teacher',
+      name: 'Lehrerin',
+      ltiClaims: { role: 'instructor', issuer: ISSUER, courseId: 'c1', clientId: 'client-1', deploymentId: '1' },
+      deepLinking: { deep_link_return_url: `${ISSUER}/deeplink` },
+    });
+    signed = jest.spyOn(ltiHandler, 'createDeepLinkingResponse').mockResolvedValue('signed-jwt');
+  });
+
+  afterAll(async () => {
+    signed.mockRestore();
+    await sequelize.close();
+  });
+
+  it('creates a course board students can edit, like a first launch does', async () => {
+    const res = await pick({ name: 'Neu', boardType: 'whiteboard' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ returnUrl: `${ISSUER}/deeplink`, jwt: 'signed-jwt' });
+    const [, [item]] = signed.mock.calls.at(-1);
+    const project = await Project.findByPk(item.custom.project_id);
+    expect(project).toMatchObject({ visibility: 'course', courseId: 'c1', studentRole: 'editor' });
+    expect((await studentLaunch(project.id)).role).toBe('editor');
+  });
+
+  it('opens the owner\'s private board to the course', async () => {
+    const res = await pick({ projectId: 'own-private' });
+
+    expect(res.status).toBe(200);
+    expect(await Project.findByPk('own-private')).toMatchObject({ visibility: 'course', courseId: 'c1' });
+    expect((await studentLaunch('own-private')).role).toBe('viewer');
+  });
+
+  it('accepts a board that is already open to the course', async () => {
+    const res = await pick({ projectId: 'course-board' });
+
+    expect(res.status).toBe(200);
+    expect((await studentLaunch('course-board')).role).toBe('editor');
+  });
+
+  it('rejects a board of another course', async () => {
+    signed.mockClear();
+    const res = await pick({ projectId: 'other-course' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/another course/);
+    expect(signed).not.toHaveBeenCalled();
+    expect(await Project.findByPk('other-course')).toMatchObject({ courseId: 'c2' });
+  });
+
+  it('rejects a private board the teacher does not own', async () => {
+    signed.mockClear();
+    const res = await pick({ projectId: 'shared-private' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatch(/owner/);
+    expect(signed).not.toHaveBeenCalled();
+    expect((await studentLaunch('shared-private')).role).toBeNull();
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeAll, afterEach } from '@jest/globals';
+import { resetDatabase } from './helpers/db.js';
+import express from 'express';
+import request from 'supertest';
+import { registerWithPlatform, buildToolRegistration } from '../src/lti/dynamic-registration.js';
+import ltiRoutes from '../src/lti/routes.js';
+import ltiHandler from '../src/lti/handler.js';
+import { DatabasePlatformStore } from '../src/lti/platform-store.js';
+import { Platform } from '../src/db/models.js';
+
+const CONFIG_URL = 'https://moodle.example.com/mod/lti/openid-configuration.php';
+const ALLOWED_HOSTS = ['moodle.example.com'];
+
+const PLATFORM_CONFIG = {
+  issuer: 'https://moodle.example.com',
+  authorization_endpoint: 'https://moodle.example.com/mod/lti/auth.php',
+  token_endpoint: 'https://moodle.example.com/mod/lti/token.php',
+  jwks_uri: 'https://moodle.example.com/mod/lti/certs.php',
+  registration_endpoint: 'https://moodle.example.com/mod/lti/openid-registration.php',
+  scopes_supported: ['openid', 'https://purl.imsglobal.org/spec/lti-ags/scope/score'],
+  'https://purl.imsglobal.org/spec/lti-platform-configuration': { product_family_code: 'moodle' },
+};
+
+const realFetch = global.fetch;
+
+function mockPlatform(config, onRegister) {
+  global.fetch = async (url, options = {}) => {
+    const target = String(url);
+    if (target === CONFIG_URL) {
+      return new Response(JSON.stringify(config));
+    }
+    if (target === config.registration_endpoint && options.method === 'POST') {
+      return new Response(JSON.stringify(onRegister(JSON.parse(options.body), options.headers)));
+    }
+    return new Response('not found', { status: 404 });
+  };
+}
+
+describe('Dynamic Registration', () => {
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('only requests scopes the platform supports', () => {
+    const registration = buildToolRegistration('https://tool.example.com', PLATFORM_CONFIG);
+
+    expect(registration.scope).toBe('https://purl.imsglobal.org/spec/lti-ags/scope/score');
+    expect(registration.initiate_login_uri).toBe('https://tool.example.com/lti/login');
+  });
+
+  it('asks for grades, the roster and Deep Linking', () => {
+    const { scopes_supported: _, ...withoutScopes } = PLATFORM_CONFIG;
+    const registration = buildToolRegistration('https://tool.example.com', withoutScopes);
+    const messages = registration['https://purl.imsglobal.org/spec/lti-tool-configuration'].messages;
+
+    expect(registration.scope.split(' ')).toEqual(expect.arrayContaining([
+      'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+      'https://purl.imsglobal.org/spec/lti-ags/scope/score',
+      'https://purl.imsglobal.org/spec/lti-nrps/scope/contextmembership.readonly',
+    ]));
+    expect(messages.map((m) => m.type)).toEqual(['LtiResourceLinkRequest', 'LtiDeepLinkingRequest']);
+  });
+
+  it('registers and returns the platform record', async () => {
+    let sentToken;
+    mockPlatform(PLATFORM_CONFIG, (body, headers) => {
+      sentToken = headers.Authorization;
+      return {
+        client_id: 'abc123',
+        'https://purl.imsglobal.org/spec/lti-tool-configuration': { deployment_id: 7 },
+      };
+    });
+
+    const platform = await registerWithPlatform({
+      openidConfiguration: CONFIG_URL,
+      registrationToken: 'reg-token',
+      toolUrl: 'https://tool.example.com',
+      allowedHosts: ALLOWED_HOSTS,
+    });
+
+    expect(sentToken).toBe('Bearer reg-token');
+    expect(platform).toMatchObject({
+      name: 'moodle (moodle.example.com)',
+      issuer: 'https://moodle.example.com',
+      clientId: 'abc123',
+      deploymentIds: ['7'],
+      jwksEndpoint: PLATFORM_CONFIG.jwks_uri,
+    });
+  });
+
+  it('rejects an issuer on another host', async () => {
+    mockPlatform({ ...PLATFORM_CONFIG, issuer: 'https://evil.example.net' }, () => ({}));
+
+    await expect(registerWithPlatform({
+      openidConfiguration: CONFIG_URL, toolUrl: 'https://tool.example.com', allowedHosts: ALLOWED_HOSTS,
+    })).rejects.toThrow('does not match');
+  });
+
+  it('only contacts allowed hosts', async () => {
+    let fetched = false;
+    global.fetch = async () => { fetched = true; return new Response('{}'); };
+
+    await expect(registerWithPlatform({
+      openidConfiguration: 'http://169.254.169.254/latest/meta-data', toolUrl: 'https://tool.example.com', allowedHosts: ALLOWED_HOSTS,
+    })).rejects.toThrow('not allowed');
+    await expect(registerWithPlatform({ openidConfiguration: CONFIG_URL, toolUrl: 'https://tool.example.com' }))
+      .rejects.toThrow('not allowed');
+    expect(fetched).toBe(false);
+
+    mockPlatform({ ...PLATFORM_CONFIG, registration_endpoint: 'https://internal.example.net/register' }, () => ({}));
+    await expect(registerWithPlatform({
+      openidConfiguration: CONFIG_URL, toolUrl: 'https://tool.example.com', allowedHosts: ALLOWED_HOSTS,
+    })).rejects.toThrow('Registration endpoint does not match');
+  });
+});
+
+describe('GET /lti/config', () => {
+  const app = express();
+  app.use('/lti', ltiRoutes);
+
+  it('offers the same scopes and Deep Linking as Dynamic Registration', async () => {
+    const res = await request(app).get('/lti/config');
+    const registration = buildToolRegistration('https://tool.example.com', {});
+
+    expect(res.status).toBe(200);
+    expect(res.body.scopes.join(' ')).toBe(registration.scope);
+    expect(res.body.scopes).toContain('https://purl.imsglobal.org/spec/lti-ags/scope/lineitem');
+    expect(res.body.scopes).toContain('https://purl.imsglobal.org/spec/lti-ags/scope/score');
+    expect(res.body.extensions[0].settings.placements.map((p) => p.message_type))
+      .toEqual(['LtiResourceLinkRequest', 'LtiDeepLinkingRequest']);
+  });
+});
+
+describe('GET /lti/register', () => {
+  const app = express();
+  app.use('/lti', ltiRoutes);
+  const register = (query) => request(app).get('/lti/register').query({ openid_configuration: CONFIG_URL, ...query });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    ltiHandler.setPlatformStore(new DatabasePlatformStore(Platform));
+    process.env.LTI_REGISTRATION_ALLOWED_HOSTS = 'moodle.example.com';
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('requires a one-time registration secret', async () => {
+    let registered = false;
+    mockPlatform(PLATFORM_CONFIG, () => { registered = true; return { client_id: 'x' }; });
+
+    expect((await register({})).status).toBe(403);
+    expect((await register({ secret: 'a'.repeat(48) })).status).toBe(403);
+    expect(registered).toBe(false);
+    expect(await Platform.count()).toBe(0);
+  });
+
+  it('saves the platform inactive and uses the secret only once', async () => {
+    mockPlatform(PLATFORM_CONFIG, () => ({ client_id: 'abc123' }));
+    const { secret } = await ltiHandler.createRegistrationSecret();
+
+    expect((await register({ secret })).status).toBe(200);
+    const platform = await Platform.findOne({ where: { clientId: 'abc123' } });
+    expect(platform.active).toBe(false);
+    expect(await ltiHandler.findPlatform(PLATFORM_CONFIG.issuer, 'abc123').catch(() => null)).toBeNull();
+
+    expect((await register({ secret })).status).toBe(403);
+  });
+
+  it('keeps an approved platform active when it registers again', async () => {
+    await Platform.update({ active: true }, { where: { clientId: 'abc123' } });
+    mockPlatform(PLATFORM_CONFIG, () => ({
+      client_id: 'abc123',
+      'https://purl.imsglobal.org/spec/lti-tool-configuration': { deployment_id: '8' },
+    }));
+    const { secret } = await ltiHandler.createRegistrationSecret();
+
+    expect((await register({ secret })).status).toBe(200);
+    const platform = await Platform.findOne({ where: { clientId: 'abc123' } });
+    expect(platform.active).toBe(true);
+    expect(platform.deploymentIds).toContain('8');
+    expect(await ltiHandler.findPlatform(PLATFORM_CONFIG.issuer, 'abc123')).toMatchObject({ clientId: 'abc123' });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from '@jest/globals';
+import * as Y from 'yjs';
+import { exportBoard, renderBoardSvg, docFromState } from '../src/export/exporter.js';
+import { layoutTree } from '../src/export/mindmap-layout.js';
+
+function mindMapDoc() {
+  const ydoc = new Y.Doc();
+  const nodes = ydoc.getMap('mindmap-nodes');
+  nodes.set('root', JSON.stringify({ id: 'root', text: 'Hauptthema', parentId: null, color: '#4A90D9' }));
+  nodes.set('a', JSON.stringify({ id: 'a', text: 'Idee <1>', parentId: 'root', color: '#50C878', lineStyle: 'dashed' }));
+  nodes.set('b', JSON.stringify({ id: 'b', text: 'Idee 2', parentId: 'root', color: '#EF4444' }));
+  ydoc.getMap('mindmap-meta').set('rootId', 'root');
+  return ydoc;
+}
+
+describe('Mind map layout', () => {
+  it('places children to the right of their parent', () => {
+    const nodes = {
+      root: { id: 'root', text: 'Root', parentId: null },
+      a: { id: 'a', text: 'A', parentId: 'root' },
+      b: { id: 'b', text: 'B', parentId: 'root' },
+    };
+    const pos = layoutTree(nodes, 'root');
+
+    expect(pos.a.x).toBeGreaterThan(pos.root.x + pos.root.w);
+    expect(pos.a.x).toBe(pos.b.x);
+    expect(pos.a.y).toBeLessThan(pos.b.y);
+  });
+});
+
+describe('Export', () => {
+  it('renders mind map nodes and edges as SVG', () => {
+    const svg = renderBoardSvg('mindmap', mindMapDoc());
+
+    expect(svg).toContain('<svg');
+    expect(svg).toContain('Hauptthema');
+    expect(svg).toContain('Idee &lt;1&gt;');
+    expect(svg).toContain('stroke-dasharray="10 6"');
+  });
+
+  it('renders whiteboard shapes from tldraw and the fallback canvas', () => {
+    const ydoc = new Y.Doc();
+    const records = ydoc.getMap('tldraw-records');
+    records.set('page:page', { id: 'page:page', typeName: 'page', name: 'Page 1', index: 'a1' });
+    records.set('shape:1', {
+      id: 'shape:1', typeName: 'shape', type: 'geo', parentId: 'page:page', index: 'a1',
+      x: 10, y: 20, rotation: 0,
+      props: { geo: 'ellipse', w: 100, h: 50, color: 'blue', fill: 'none', size: 'm', text: 'Wolke' },
+    });
+    ydoc.getArray('whiteboard-shapes').push([
+      { id: 's1', type: 'sticky', x: 300, y: 300, color: '#fef3c7', text: 'Merken', lineWidth: 1 },
+    ]);
+
+    const svg = renderBoardSvg('whiteboard', ydoc);
+
+    expect(svg).toContain('<ellipse');
+    expect(svg).toContain('Wolke');
+    expect(svg).toContain('Merken');
+  });
+
+  it('never writes board data into the markup unescaped', () => {
+    const attack = '"/><script>alert(1)</script><x a="';
+    const whiteboard = new Y.Doc();
+    const records = whiteboard.getMap('tldraw-records');
+    records.set('page:page', { id: 'page:page', typeName: 'page', index: 'a1' });
+    records.set('shape:1', {
+      id: 'shape:1', typeName: 'shape', type: 'geo', parentId: 'page:page', index: 'a1',
+      x: '10', y: attack, rotation: attack,
+      props: { geo: 'rectangle', w: attack, h: '50', color: 'constructor', size: '__proto__', fill: 'solid' },
+    });
+    records.set('shape:2', {
+      id: 'shape:2', typeName: 'shape', type: 'image', parentId: 'page:page', index: 'a2',
+      x: 0, y: 0, props: { w: '80" onload="alert(1)', h: 40 },
+    });
+    records.set('shape:3', {
+      id: 'shape:3', typeName: 'shape', type: 'arrow', parentId: 'page:page', index: 'a3',
+      x: 0, y: 0, props: { start: { x: attack, y: 0 }, end: { x: '30', y: '40' }, text: attack },
+    });
+    whiteboard.getArray('whiteboard-shapes').push([
+      { id: 's1', type: 'rect', x: attack, y: '5', w: 20, h: 20, color: attack, lineWidth: attack },
+      { id: 's2', type: 'circle', x: '0', y: '0', w: '30', h: '40', color: '#000' },
+    ]);
+
+    const mindmap = new Y.Doc();
+    mindmap.getMap('mindmap-nodes').set('root', JSON.stringify({
+      id: 'root', text: 42, parentId: null, color: attack, fontSize: 'constructor',
+    }));
+    mindmap.getMap('mindmap-nodes').set('a', JSON.stringify({
+      id: 'a', text: attack, parentId: 'root', lineStyle: 'toString', emoji: attack,
+    }));
+    mindmap.getMap('mindmap-meta').set('rootId', 'root');
+
+    for (const svg of [renderBoardSvg('whiteboard', whiteboard), renderBoardSvg('mindmap', mindmap)]) {
+      expect(svg).not.toMatch(/<script|onload=|NaN|function/);
+      // Every attribute value is a closed string without markup in it
+      expect(svg.replace(/="[^"<>]*"/g, '')).not.toContain('"');
+    }
+    // Numbers sent as strings still count
+    expect(renderBoardSvg('whiteboard', whiteboard)).toContain('<circle cx="15" cy="20" r="25"');
+    expect(renderBoardSvg('mindmap', mindmap)).toContain('>42</text>');
+  });
+
+  it('round-trips a stored Yjs state', () => {
+    const state = Buffer.from(Y.encodeStateAsUpdate(mindMapDoc()));
+    const svg = renderBoardSvg('mindmap', docFromState(state));
+
+    expect(svg).toContain('Idee 2');
+  });
+
+  it('produces PNG and PDF files', async () => {
+    const project = { name: 'Übung 1', boardType: 'mindmap' };
+
+    const png = await exportBoard(project, mindMapDoc(), 'png');
+    expect(png.contentType).toBe('image/png');
+    expect(png.body.subarray(1, 4).toString()).toBe('PNG');
+
+    const pdf = await exportBoard(project, mindMapDoc(), 'pdf');
+    expect(pdf.filename).toBe('Übung 1.pdf');
+    expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('rejects unknown formats', async () => {
+    await expect(exportBoard({ name: 'x' }, new Y.Doc(), 'docx')).rejects.toThrow('Unsupported');
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import express from 'express';
+import request from 'supertest';
+import {
+  User, Project, ProjectMember, AuditLog, LineItem, CourseMembership, Grade,
+} from '../src/db/models.js';
+import gradingApi from '../src/api/grading.js';
+import { createSession } from '../src/lti/routes.js';
+import ltiHandler from '../src/lti/handler.js';
+import ags from '../src/lti/ags.js';
+
+const PROJECT_ID = 'p-grading';
+const ISSUER = 'https://moodle.example.com';
+
+const app = express();
+app.use(express.json());
+app.use('/api', gradingApi);
+
+describe('Grading', () => {
+  let grader;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    await User.bulkCreate([
+      { id: 'teacher', moodleUserId: '10', issuer: ISSUER, name: 'Lehrerin', role: 'teacher' },
+      { id: 'co', moodleUserId: '11', issuer: ISSUER, name: 'Co-Lehrer', role: 'student' },
+      { id: 'ta', moodleUserId: '12', issuer: ISSUER, name: 'Tutorin', role: 'teacher' },
+      { id: 'anna', moodleUserId: '20', issuer: ISSUER, name: 'Anna', role: 'student' },
+      { id: 'ben', moodleUserId: '21', issuer: ISSUER, name: 'Ben', role: 'student' },
+      { id: 'stranger', moodleUserId: '22', issuer: ISSUER, name: 'Fremd', role: 'student' },
+    ]);
+    await Project.create({ id: PROJECT_ID, name: 'Noten', courseId: 'c1', createdBy: 'teacher' });
+    await ProjectMember.bulkCreate([
+      { projectId: PROJECT_ID, userId: 'teacher', role: 'owner' },
+      { projectId: PROJECT_ID, userId: 'co', role: 'editor' },
+      { projectId: PROJECT_ID, userId: 'ta', role: 'editor' },
+      { projectId: PROJECT_ID, userId: 'anna', role: 'editor' },
+    ]);
+    // The roster knows "co" is an instructor here, whatever their last launch said
+    const syncedAt = new Date();
+    await CourseMembership.bulkCreate([
+      { courseId: 'c1', userId: 'co', role: 'instructor', syncedAt },
+      { courseId: 'c1', userId: 'anna', role: 'student', syncedAt },
+    ]);
+    // Ben worked on the board without being a member (course board)
+    await AuditLog.create({ projectId: PROJECT_ID, userId: 'ben', action: 'edited', details: {} });
+    await LineItem.create({
+      projectId: PROJECT_ID,
+      lineItemUrl: `${ISSUER}/lineitems/1`,
+      label: 'Noten',
+      issuer: ISSUER,
+      clientId: 'client-1',
+      createdBy: 'teacher',
+    });
+
+    grader = await createSession({ userId: 'teacher', ltiClaims: { role: 'instructor', courseId: 'c1', issuer: ISSUER } });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('lists only learners as students', async () => {
+    const res = await request(app).get(`/api/projects/${PROJECT_ID}/grading`).query({ session: grader });
+
+    expect(res.status).toBe(200);
+    expect(res.body.students.map((s) => s.userId)).toEqual(['anna', 'ben']);
+  });
+
+  it('grades students of the board', async () => {
+    const res = await request(app)
+      .put(`/api/projects/${PROJECT_ID}/grades/ben`)
+      .query({ session: grader })
+      .send({ score: 80 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ score: 80, status: 'draft' });
+  });
+
+  it.each(['co', 'ta', 'teacher', 'stranger', 'nobody'])('refuses to grade %s', async (userId) => {
+    const res = await request(app)
+      .put(`/api/projects/${PROJECT_ID}/grades/${userId}`)
+      .query({ session: grader })
+      .send({ score: 50 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Only students/);
+  });
+
+  it('sends the platform user id to the gradebook', async () => {
+    const findPlatform = jest.spyOn(ltiHandler, 'findPlatform').mockResolvedValue({ issuer: ISSUER });
+    const postScore = jest.spyOn(ags, 'postScore').mockResolvedValue();
+
+    const res = await request(app)
+      .put(`/api/projects/${PROJECT_ID}/grades/anna`)
+      .query({ session: grader })
+      .send({ score: 90, publish: true });
+
+    expect(res.body.status).toBe('posted');
+    expect(postScore).toHaveBeenCalledWith(
+      expect.anything(),
+      `${ISSUER}/lineitems/1`,
+      expect.objectContaining({ userId: '20' }),
+    );
+    findPlatform.mockRestore();
+    postScore.mockRestore();
+  });
+
+  describe('participation grades', () => {
+    const apply = (body = {}) => request(app)
+      .post(`/api/projects/${PROJECT_ID}/participation/apply`)
+      .query({ session: grader })
+      .send(body);
+    const grade = (userId) => Grade.findOne({ where: { projectId: PROJECT_ID, userId } });
+
+    it('keeps grades set by hand or already posted', async () => {
+      const res = await apply();
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ graded: 0, skipped: 2 });
+      expect(await grade('ben')).toMatchObject({ score: 80, source: 'manual', status: 'draft' });
+      expect(await grade('anna')).toMatchObject({ score: 90, status: 'posted' });
+    });
+
+    it('overwrites them when asked to', async () => {
+      const res = await apply({ overwrite: true });
+
+      expect(res.body).toMatchObject({ graded: 2, skipped: 0 });
+      expect(await grade('ben')).toMatchObject({ source: 'participation', status: 'draft' });
+      expect((await grade('ben')).score).not.toBe(80);
+    });
+
+    it('refreshes its own drafts', async () => {
+      const res = await apply();
+
+      expect(res.body).toMatchObject({ graded: 2, skipped: 0 });
+    });
+  });
+});
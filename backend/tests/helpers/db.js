@@ -0,0 +1,19 @@
+/**
+ * In-memory SQLite for tests that go through the real models
+ * Import this before anything that imports src/db: the connection reads
+ * DB_NAME when it is first imported.
+ */
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_NAME = ':memory:';
+
+const { sequelize } = await import('../../src/db/connection.js');
+await import('../../src/db/models.js');
+
+/**
+ * Fresh schema for a test file
+ */
+export async function resetDatabase() {
+  await sequelize.sync({ force: true });
+}
+
+export { sequelize };
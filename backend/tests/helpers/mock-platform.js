@@ -0,0 +1,79 @@
+import express from 'express';
+import * as jose from 'jose';
+
+/**
+ * Minimal LTI platform for service tests: token endpoint, AGS line item
+ * container and scores endpoint, and a paged NRPS membership endpoint.
+ * Everything received is recorded on `received` for assertions;
+ * `members` is the course roster served by NRPS.
+ */
+export async function startMockPlatform(toolPublicKey, { members = [], pageSize = 2 } = {}) {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+
+  const received = { tokenRequests: [], lineItems: [], scores: [] };
+  let baseUrl;
+  let nextLineItem = 1;
+
+  const requireToken = (req, res, next) => {
+    if (req.headers.authorization !== 'Bearer mock-access-token') {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    next();
+  };
+
+  app.post('/token', async (req, res) => {
+    try {
+      // The tool authenticates with a JWT signed by its private key
+      await jose.jwtVerify(req.body.client_assertion, toolPublicKey, { audience: `${baseUrl}/token` });
+      received.tokenRequests.push(req.body.scope);
+      res.json({ access_token: 'mock-access-token', token_type: 'Bearer', expires_in: 3600 });
+    } catch (error) {
+      res.status(400).json({ error: 'invalid_client', message: error.message });
+    }
+  });
+
+  app.post('/lineitems', requireToken, (req, res) => {
+    const lineItem = { id: `${baseUrl}/lineitems/${nextLineItem++}`, ...req.body };
+    received.lineItems.push(lineItem);
+    res.status(201).type('application/vnd.ims.lis.v2.lineitem+json').send(JSON.stringify(lineItem));
+  });
+
+  app.post('/lineitems/:id/scores', requireToken, (req, res) => {
+    if (req.headers['content-type'] !== 'application/vnd.ims.lis.v1.score+json') {
+      return res.status(415).end();
+    }
+    received.scores.push({ lineItem: req.params.id, ...req.body });
+    res.status(204).end();
+  });
+
+  app.get('/memberships', requireToken, (req, res) => {
+    const offset = Number(req.query.offset || 0);
+    if (offset + pageSize < members.length) {
+      res.set('Link', `<${baseUrl}/memberships?offset=${offset + pageSize}>; rel="next"`);
+    }
+    res.type('application/vnd.ims.lti-nrps.v2.membershipcontainer+json').send(JSON.stringify({
+      id: `${baseUrl}/memberships`,
+      context: { id: 'course-1' },
+      members: members.slice(offset, offset + pageSize),
+    }));
+  });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    received,
+    platform: {
+      issuer: 'https://moodle.example.com',
+      clientId: 'client-1',
+      tokenEndpoint: `${baseUrl}/token`,
+    },
+    lineItemsUrl: `${baseUrl}/lineitems`,
+    membershipsUrl: `${baseUrl}/memberships`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import express from 'express';
+import request from 'supertest';
+import projectsApi from '../src/api/projects.js';
+import { createSession, getSession } from '../src/lti/routes.js';
+import { resolveLaunchProject, ensureUser } from '../src/api/project-service.js';
+import { platformScopedId } from '../src/lti/identity.js';
+
+const ISSUER = 'https://moodle.example.com';
+
+const app = express();
+app.use(express.json());
+app.use('/api', projectsApi);
+
+// What /lti/launch does after validateLaunch
+async function launch(sub, role, custom = {}) {
+  const sessionId = await createSession({
+    userId: platformScopedId(ISSUER, 'user', sub),
+    lmsUserId: sub,
+    name: `User ${sub}`,
+    ltiClaims: {
+      issuer: ISSUER,
+      courseId: platformScopedId(ISSUER, 'context', '5'),
+      courseName: 'Kurs',
+      role,
+      resourceLinkId: platformScopedId(ISSUER, 'resource_link', '7'),
+      lmsResourceLinkId: '7',
+      resourceLinkTitle: 'Brainstorming',
+      custom,
+    },
+  });
+  const session = await getSession(sessionId);
+  await ensureUser(session);
+  return { sessionId, session, project: await resolveLaunchProject(session, custom) };
+}
+
+describe('Resource link launch', () => {
+  beforeAll(async () => {
+    await resetDatabase();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('opens nothing for a student before the teacher has launched', async () => {
+    const { project } = await launch('s1', 'student');
+    expect(project).toBeNull();
+  });
+
+  it('creates the activity board on the first instructor launch and reuses it', async () => {
+    const first = await launch('t1', 'instructor', { board_type: 'whiteboard' });
+    expect(first.project).toMatchObject({
+      name: 'Brainstorming', boardType: 'whiteboard', visibility: 'resource_link', studentRole: 'editor',
+    });
+
+    const again = await launch('t1', 'instructor');
+    const student = await launch('s1', 'student');
+    expect(again.project.id).toBe(first.project.id);
+    expect(student.project.id).toBe(first.project.id);
+  });
+
+  it('opens the board picked by Deep Linking, else the activity board', async () => {
+    const picked = (await launch('t1', 'instructor')).project;
+    const other = await launch('t2', 'instructor', { project_id: 'missing' });
+    expect(other.project.id).toBe(picked.id);
+
+    const { project } = await launch('s1', 'student', { project_id: picked.id });
+    expect(project.id).toBe(picked.id);
+  });
+
+  it('serves the launch board the way the frontend opens it', async () => {
+    const { sessionId, project } = await launch('s1', 'student');
+
+    // The frontend redirects with ?project=<id> and opens body.project
+    const res = await request(app).get(`/api/projects/${project.id}`).query({ session: sessionId });
+
+    expect(res.status).toBe(200);
+    expect(res.body.role).toBe('editor');
+    expect(res.body.project).toMatchObject({ id: project.id, name: 'Brainstorming', boardType: 'whiteboard' });
+  });
+});
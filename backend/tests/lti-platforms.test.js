@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import * as jose from 'jose';
+import { LTIHandler } from '../src/lti/handler.js';
+import { platformScopedId } from '../src/lti/identity.js';
+
+const PLATFORMS = [
+  {
+    issuer: 'https://moodle.example.com', clientId: 'prod', deploymentIds: ['1'],
+    authEndpoint: 'https://moodle.example.com/mod/lti/auth.php', jwksEndpoint: 'https://moodle.example.com/mod/lti/certs.php',
+  },
+  {
+    issuer: 'https://partner.example.org', clientId: 'partner', deploymentIds: [],
+    authEndpoint: 'https://partner.example.org/mod/lti/auth.php', jwksEndpoint: 'https://partner.example.org/mod/lti/certs.php',
+  },
+];
+
+class ListPlatformStore {
+  async find(issuer, clientId) {
+    return PLATFORMS.find((p) => p.issuer === issuer && (!clientId || p.clientId === clientId)) || null;
+  }
+}
+
+describe('Multi-platform launches', () => {
+  let privateKey;
+  let handler;
+
+  beforeAll(async () => {
+    const keys = await jose.generateKeyPair('RS256');
+    privateKey = keys.privateKey;
+    const jwk = await jose.exportJWK(keys.publicKey);
+
+    handler = new LTIHandler();
+    handler.setPlatformStore(new ListPlatformStore());
+    handler._getJWKS = async () => jose.createLocalJWKSet({ keys: [{ ...jwk, alg: 'RS256' }] });
+  });
+
+  async function login(iss, clientId) {
+    const { redirectUrl, state } = await handler.handleLoginInitiation({
+      iss, client_id: clientId, login_hint: 'u1', target_link_uri: 'https://tool.example.com/lti/launch',
+    });
+    return { state, url: new URL(redirectUrl) };
+  }
+
+  function idToken(platform, nonce, deploymentId) {
+    return new jose.SignJWT({
+      nonce,
+      'https://purl.imsglobal.org/spec/lti/claim/message_type': 'LtiResourceLinkRequest',
+      'https://purl.imsglobal.org/spec/lti/claim/version': '1.3.0',
+      'https://purl.imsglobal.org/spec/lti/claim/deployment_id': deploymentId,
+      'https://purl.imsglobal.org/spec/lti/claim/context': { id: '5', title: 'Kurs' },
+      'https://purl.imsglobal.org/spec/lti/claim/resource_link': { id: '7' },
+    })
+      .setProtectedHeader({ alg: 'RS256' })
+      .setIssuer(platform.issuer)
+      .setAudience(platform.clientId)
+      .setSubject('u1')
+      .setIssuedAt()
+      .setExpirationTime('5m')
+      .sign(privateKey);
+  }
+
+  it('redirects each login to its own platform', async () => {
+    const { url } = await login('https://partner.example.org');
+
+    expect(url.origin).toBe('https://partner.example.org');
+    expect(url.searchParams.get('client_id')).toBe('partner');
+  });
+
+  it('rejects unknown issuers', async () => {
+    await expect(login('https://evil.example.net')).rejects.toThrow('Unknown platform issuer');
+  });
+
+  it('validates a launch against the matching registration', async () => {
+    const { state, url } = await login('https://partner.example.org', 'partner');
+    const token = await idToken(PLATFORMS[1], url.searchParams.get('nonce'), 'any');
+
+    const validation = await handler.validateLaunch(token, state);
+
+    expect(validation.userId).toBe(platformScopedId('https://partner.example.org', 'user', 'u1'));
+    expect(validation.lmsUserId).toBe('u1');
+    expect(validation.ltiClaims.lmsResourceLinkId).toBe('7');
+    expect(validation.ltiClaims.issuer).toBe('https://partner.example.org');
+  });
+
+  it('keeps users and courses of different platforms apart', async () => {
+    const home = await login('https://moodle.example.com', 'prod');
+    const homeLaunch = await handler.validateLaunch(
+      await idToken(PLATFORMS[0], home.url.searchParams.get('nonce'), '1'), home.state);
+    const partner = await login('https://partner.example.org', 'partner');
+    const partnerLaunch = await handler.validateLaunch(
+      await idToken(PLATFORMS[1], partner.url.searchParams.get('nonce'), 'any'), partner.state);
+
+    // Same sub, context and resource link ids on both sites
+    expect(homeLaunch.lmsUserId).toBe(partnerLaunch.lmsUserId);
+    expect(homeLaunch.userId).not.toBe(partnerLaunch.userId);
+    expect(homeLaunch.ltiClaims.courseId).not.toBe(partnerLaunch.ltiClaims.courseId);
+    expect(homeLaunch.ltiClaims.resourceLinkId).not.toBe(partnerLaunch.ltiClaims.resourceLinkId);
+  });
+
+  it('rejects deployments that are not registered', async () => {
+    const { state, url } = await login('https://moodle.example.com', 'prod');
+    const token = await idToken(PLATFORMS[0], url.searchParams.get('nonce'), '2');
+
+    await expect(handler.validateLaunch(token, state)).rejects.toThrow('Unknown deployment');
+  });
+
+  it('rejects a token from another platform than the login', async () => {
+    const { state, url } = await login('https://moodle.example.com', 'prod');
+    const token = await idToken(PLATFORMS[1], url.searchParams.get('nonce'), '1');
+
+    await expect(handler.validateLaunch(token, state)).rejects.toThrow('does not match');
+  });
+});
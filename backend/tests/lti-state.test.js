@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeAll, afterEach, afterAll } from '@jest/globals';
+import { sequelize } from './helpers/db.js';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import request from 'supertest';
+import { LTIHandler } from '../src/lti/handler.js';
+import { MemoryStateStore } from '../src/lti/state-store.js';
+import ltiRoutes from '../src/lti/routes.js';
+
+describe('OIDC state store', () => {
+  beforeAll(() => {
+    process.env.LTI_PLATFORM_ISS = 'https://moodle.example.com';
+    process.env.LTI_CLIENT_ID = 'client-1';
+    process.env.LTI_AUTH_ENDPOINT = 'https://moodle.example.com/mod/lti/auth.php';
+  });
+
+  it('lets a launch on another instance consume the login state', async () => {
+    const shared = new MemoryStateStore();
+    const loginInstance = new LTIHandler();
+    loginInstance.setStateStore(shared);
+
+    const { redirectUrl, state } = await loginInstance.handleLoginInitiation({
+      iss: 'https://moodle.example.com',
+      login_hint: 'u1',
+      target_link_uri: 'https://tool.example.com/lti/launch',
+    });
+
+    const url = new URL(redirectUrl);
+    expect(url.searchParams.get('state')).toBe(state);
+
+    const pending = await shared.take(state);
+    expect(pending.nonce).toBe(url.searchParams.get('nonce'));
+    expect(await shared.take(state)).toBeNull(); // single use
+  });
+
+  it('drops expired states', async () => {
+    const store = new MemoryStateStore();
+    await store.save('s1', { nonce: 'n' }, -1);
+
+    expect(await store.take('s1')).toBeNull();
+  });
+
+  it('rejects a launch with an unknown state', async () => {
+    const handler = new LTIHandler();
+    await expect(handler.validateLaunch('token', 'missing')).rejects.toThrow('Invalid or expired state');
+  });
+});
+
+describe('State cookie', () => {
+  const app = express();
+  app.use(cookieParser());
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/lti', ltiRoutes);
+
+  beforeAll(() => {
+    process.env.LTI_PLATFORM_ISS = 'https://moodle.example.com';
+    process.env.LTI_CLIENT_ID = 'client-1';
+    process.env.LTI_AUTH_ENDPOINT = 'https://moodle.example.com/mod/lti/auth.php';
+  });
+
+  afterEach(() => {
+    delete process.env.LTI_ALLOW_MISSING_STATE_COOKIE;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  async function login() {
+    const res = await request(app).get('/lti/login').query({
+      iss: 'https://moodle.example.com',
+      login_hint: 'u1',
+      target_link_uri: 'https://tool.example.com/lti/launch',
+    });
+    const state = new URL(res.headers.location).searchParams.get('state');
+    return { state, cookie: res.headers['set-cookie'][0] };
+  }
+
+  function launch(state, cookie) {
+    const req = request(app).post('/lti/launch').type('form').send({ id_token: 'not-a-jwt', state });
+    return cookie ? req.set('Cookie', cookie.split(';')[0]) : req;
+  }
+
+  it('is set for the cross-site launch POST', async () => {
+    const { cookie } = await login();
+
+    expect(cookie).toMatch(/SameSite=None/);
+    expect(cookie).toMatch(/; Secure/);
+    expect(cookie).toMatch(/; Partitioned/);
+  });
+
+  it('is required by default', async () => {
+    const { state } = await login();
+
+    const res = await launch(state);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toMatch(/State cookie missing/);
+  });
+
+  it('lets a launch with the cookie through to token validation', async () => {
+    const { state, cookie } = await login();
+
+    const res = await launch(state, cookie);
+
+    expect(res.body.error || '').not.toMatch(/State cookie/);
+  });
+
+  it('can be made optional, but never accepts a wrong one', async () => {
+    process.env.LTI_ALLOW_MISSING_STATE_COOKIE = 'true';
+    const first = await login();
+    const second = await login();
+
+    expect((await launch(first.state)).body.error || '').not.toMatch(/State cookie/);
+
+    const res = await launch(second.state, `lti_state_${second.state}=${first.state}`);
+    expect(res.status).toBe(401);
+    expect(res.body.error).toMatch(/State cookie/);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import * as jose from 'jose';
+import { LTIHandler, simplifyRoles } from '../src/lti/handler.js';
+import { NRPSService, nextPageUrl } from '../src/lti/nrps.js';
+import { startMockPlatform } from './helpers/mock-platform.js';
+
+const MEMBERSHIP = 'http://purl.imsglobal.org/vocab/lis/v2/membership';
+
+const MEMBERS = [
+  { user_id: '2', name: 'Anna Lehr', email: 'anna@example.com', roles: [`${MEMBERSHIP}#Instructor`], status: 'Active' },
+  { user_id: '3', name: 'Ben Stud', email: 'ben@example.com', roles: [`${MEMBERSHIP}#Learner`], status: 'Active' },
+  { user_id: '4', given_name: 'Cem', family_name: 'Yilmaz', roles: [`${MEMBERSHIP}#Learner`], status: 'Active' },
+];
+
+describe('Names and Role Provisioning Services', () => {
+  let mock;
+  let service;
+
+  beforeAll(async () => {
+    const handler = new LTIHandler();
+    handler.toolKeyPair = await jose.generateKeyPair('RS256');
+    mock = await startMockPlatform(handler.toolKeyPair.publicKey, { members: MEMBERS, pageSize: 2 });
+    service = new NRPSService(handler);
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  it('parses the next page from a Link header', () => {
+    expect(nextPageUrl('<https://m.example.com/m?p=1>; rel="prev", <https://m.example.com/m?p=3>; rel="next"'))
+      .toBe('https://m.example.com/m?p=3');
+    expect(nextPageUrl('<https://m.example.com/m?p=1>; rel="prev"')).toBeNull();
+  });
+
+  it('follows pages until the whole roster is fetched', async () => {
+    const members = await service.getMembers(mock.platform, mock.membershipsUrl);
+
+    expect(members.map((m) => m.user_id)).toEqual(['2', '3', '4']);
+    expect(mock.received.tokenRequests).toEqual([
+      'https://purl.imsglobal.org/spec/lti-nrps/scope/contextmembership.readonly',
+    ]);
+  });
+
+  it('maps NRPS roles like launch roles', () => {
+    expect(simplifyRoles(MEMBERS[0].roles)).toBe('instructor');
+    expect(simplifyRoles(MEMBERS[1].roles)).toBe('student');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from '@jest/globals';
+import * as Y from 'yjs';
+import { applyUpdateWithSummary, changedChars } from '../src/participation/update-summary.js';
+import {
+  computeMetrics,
+  scoreParticipation,
+  validateRubric,
+  describeParticipation,
+} from '../src/participation/scoring.js';
+
+function clientEdit(base, edit) {
+  const client = new Y.Doc();
+  Y.applyUpdate(client, Y.encodeStateAsUpdate(base));
+  const before = Y.encodeStateVector(client);
+  edit(client);
+  return Y.encodeStateAsUpdate(client, before);
+}
+
+describe('Participation scoring', () => {
+  it('counts only the changed part of a text', () => {
+    expect(changedChars('Photosynthese', 'Photosynthese!')).toBe(1);
+    expect(changedChars('Zelle', 'Zellkern')).toBe(4);
+    expect(changedChars('same', 'same')).toBe(0);
+  });
+
+  it('summarizes mind map and whiteboard changes of an update', () => {
+    const server = new Y.Doc();
+    server.getMap('mindmap-nodes').set('root', JSON.stringify({ id: 'root', text: 'Thema', x: 0 }));
+
+    const update = clientEdit(server, (doc) => {
+      const nodes = doc.getMap('mindmap-nodes');
+      nodes.set('a', JSON.stringify({ id: 'a', text: 'Idee', x: 10 }));
+      nodes.set('root', JSON.stringify({ id: 'root', text: 'Thema 1', x: 0 }));
+      doc.getMap('tldraw-records').set('shape:1', { id: 'shape:1', typeName: 'shape', props: { text: 'Hi' } });
+      doc.getMap('tldraw-records').set('camera:1', { id: 'camera:1', typeName: 'camera' });
+    });
+
+    expect(applyUpdateWithSummary(server, update)).toEqual({
+      nodesCreated: 1,
+      nodesEdited: 1,
+      shapesCreated: 1,
+      textChars: 4 + 2 + 2,
+    });
+
+    // Moving a node is not an edit
+    const move = clientEdit(server, (doc) => {
+      doc.getMap('mindmap-nodes').set('a', JSON.stringify({ id: 'a', text: 'Idee', x: 99 }));
+    });
+    expect(applyUpdateWithSummary(server, move)).toEqual({});
+  });
+
+  it('turns audit logs into metrics and rubric scores', () => {
+    const logs = [
+      { userId: 'u1', action: 'joined', createdAt: '2026-05-04T10:00:00Z' },
+      { userId: 'u1', action: 'edited', createdAt: '2026-05-04T10:00:10Z', details: { nodesCreated: 2, textChars: 30 } },
+      { userId: 'u1', action: 'edited', createdAt: '2026-05-04T10:00:40Z', details: '{"nodesCreated":1,"nodesEdited":1}' },
+      { userId: 'u1', action: 'edited', createdAt: '2026-05-04T10:03:00Z', details: { shapesCreated: 1 } },
+      { userId: 'u2', action: 'joined', createdAt: '2026-05-04T10:05:00Z' },
+    ];
+
+    const metrics = computeMetrics(logs);
+    expect(metrics.get('u1')).toMatchObject({
+      itemsCreated: 4,
+      itemsEdited: 1,
+      textChars: 30,
+      activeMinutes: 2,
+      sessions: 1,
+      edits: 3,
+    });
+    expect(metrics.get('u2').itemsCreated).toBe(0);
+
+    const rubric = {
+      criteria: [
+        { metric: 'itemsCreated', target: 5, weight: 1 },
+        { metric: 'textChars', target: 20, weight: 1 },
+      ],
+    };
+    const { score, breakdown } = scoreParticipation(metrics.get('u1'), rubric, 10);
+    expect(score).toBe(9);
+    expect(describeParticipation(breakdown)).toBe('Nodes/shapes created: 4/5, Characters written: 30/20');
+    expect(scoreParticipation(metrics.get('u2'), rubric, 10).score).toBe(0);
+  });
+
+  it('rejects invalid rubrics', () => {
+    expect(validateRubric({ criteria: [] })).toMatch(/at least one/);
+    expect(validateRubric({ criteria: [{ metric: 'likes', target: 3 }] })).toMatch(/Unknown metric/);
+    expect(validateRubric({ criteria: [{ metric: 'sessions', target: 0 }] })).toMatch(/positive/);
+    expect(validateRubric({ criteria: [{ metric: 'sessions', target: 2 }] })).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import express from 'express';
+import request from 'supertest';
+import { User, Project, ProjectMember } from '../src/db/models.js';
+import projectsApi from '../src/api/projects.js';
+import { createSession } from '../src/lti/routes.js';
+import { courseRole, strongerRole, getProjectRole } from '../src/api/permissions.js';
+import { platformScopedId } from '../src/lti/identity.js';
+
+const ISSUER = 'https://moodle.example.com';
+const OTHER_ISSUER = 'https://other.example.org';
+
+// Both platforms call their course "5" and their activity "7"
+const COURSE = platformScopedId(ISSUER, 'context', '5');
+const OTHER_COURSE = platformScopedId(OTHER_ISSUER, 'context', '5');
+const LINK = platformScopedId(ISSUER, 'resource_link', '7');
+
+const app = express();
+app.use(express.json());
+app.use('/api', projectsApi);
+
+function session(userId, role, { issuer = ISSUER, courseId = COURSE, resourceLinkId = null } = {}) {
+  return { userId, role, issuer, courseId, resourceLinkId };
+}
+
+describe('Project permissions', () => {
+  beforeAll(async () => {
+    await resetDatabase();
+    await User.bulkCreate([
+      { id: 'teacher', moodleUserId: '1', issuer: ISSUER, name: 'Lehrerin', role: 'teacher' },
+      { id: 'anna', moodleUserId: '2', issuer: ISSUER, name: 'Anna', role: 'student' },
+    ]);
+    await Project.bulkCreate([
+      { id: 'course-view', name: 'Kurs (lesen)', courseId: COURSE, visibility: 'course', studentRole: 'viewer', createdBy: 'teacher' },
+      { id: 'course-edit', name: 'Kurs (schreiben)', courseId: COURSE, visibility: 'course', studentRole: 'editor', createdBy: 'teacher' },
+      { id: 'activity', name: 'Aktivität', courseId: COURSE, resourceLinkId: LINK, visibility: 'resource_link', studentRole: 'editor', createdBy: 'teacher' },
+      { id: 'private', name: 'Privat', courseId: COURSE, visibility: 'private', createdBy: 'teacher' },
+    ]);
+    await ProjectMember.bulkCreate([
+      'course-view', 'course-edit', 'activity', 'private',
+    ].map((projectId) => ({ projectId, userId: 'teacher', role: 'owner' })));
+    // Anna was given more than the course grants on one board
+    await ProjectMember.create({ projectId: 'course-view', userId: 'anna', role: 'editor' });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('courseRole', () => {
+    const board = { visibility: 'course', courseId: COURSE, studentRole: 'viewer' };
+
+    it('gives students the board\'s studentRole and instructors editor', () => {
+      expect(courseRole(board, session('s', 'student'))).toBe('viewer');
+      expect(courseRole({ ...board, studentRole: 'editor' }, session('s', 'student'))).toBe('editor');
+      expect(courseRole(board, session('t', 'instructor'))).toBe('editor');
+    });
+
+    it('scopes activity boards to their resource link', () => {
+      const activity = { visibility: 'resource_link', courseId: COURSE, resourceLinkId: LINK, studentRole: 'editor' };
+
+      expect(courseRole(activity, session('s', 'student', { resourceLinkId: LINK }))).toBe('editor');
+      expect(courseRole(activity, session('s', 'student'))).toBeNull();
+    });
+
+    it('grants nothing outside the course or on another platform', () => {
+      expect(courseRole(board, session('s', 'student', { courseId: 'elsewhere' }))).toBeNull();
+      expect(courseRole(board, session('s', 'instructor', { issuer: OTHER_ISSUER, courseId: OTHER_COURSE }))).toBeNull();
+      expect(courseRole({ ...board, visibility: 'private' }, session('s', 'instructor'))).toBeNull();
+    });
+  });
+
+  describe('strongerRole', () => {
+    it('picks the higher role and ignores missing ones', () => {
+      expect(strongerRole('viewer', 'editor')).toBe('editor');
+      expect(strongerRole('owner', 'editor')).toBe('owner');
+      expect(strongerRole(null, 'viewer')).toBe('viewer');
+      expect(strongerRole('editor', null)).toBe('editor');
+      expect(strongerRole(null, null)).toBeNull();
+    });
+  });
+
+  describe('getProjectRole', () => {
+    it('combines membership and course role', async () => {
+      expect((await getProjectRole('course-view', session('ben', 'student'))).role).toBe('viewer');
+      expect((await getProjectRole('course-view', session('co', 'instructor'))).role).toBe('editor');
+      // The explicit share beats the course's viewer role
+      expect((await getProjectRole('course-view', session('anna', 'student'))).role).toBe('editor');
+      expect((await getProjectRole('course-view', session('teacher', 'instructor'))).role).toBe('owner');
+    });
+
+    it('denies users of another course or platform', async () => {
+      const elsewhere = await getProjectRole('course-edit', session('ben', 'student', { courseId: 'other' }));
+      const otherPlatform = await getProjectRole('course-edit', session('eve', 'instructor', {
+        issuer: OTHER_ISSUER, courseId: OTHER_COURSE,
+      }));
+
+      expect(elsewhere.project).not.toBeNull();
+      expect(elsewhere.role).toBeNull();
+      expect(otherPlatform.role).toBeNull();
+      expect((await getProjectRole('private', session('ben', 'student'))).role).toBeNull();
+    });
+
+    it('reports missing projects', async () => {
+      expect(await getProjectRole('missing', session('ben', 'student'))).toEqual({ project: null, role: null });
+    });
+  });
+
+  describe('GET /projects', () => {
+    async function list(userId, role, scope) {
+      const sessionId = await createSession({ userId, ltiClaims: { role, issuer: ISSUER, ...scope } });
+      const res = await request(app).get('/api/projects').query({ session: sessionId });
+      expect(res.status).toBe(200);
+      return Object.fromEntries(res.body.map((p) => [p.id, p.role]));
+    }
+
+    it('lists the course boards with the course role', async () => {
+      expect(await list('ben', 'student', { courseId: COURSE })).toEqual({
+        'course-view': 'viewer',
+        'course-edit': 'editor',
+      });
+      expect(await list('co', 'instructor', { courseId: COURSE })).toEqual({
+        'course-view': 'editor',
+        'course-edit': 'editor',
+      });
+    });
+
+    it('adds the activity board only when launched from its resource link', async () => {
+      expect(await list('ben', 'student', { courseId: COURSE, resourceLinkId: LINK })).toEqual({
+        'course-view': 'viewer',
+        'course-edit': 'editor',
+        activity: 'editor',
+      });
+    });
+
+    it('prefers an explicit member role over a weaker course role', async () => {
+      expect((await list('anna', 'student', { courseId: COURSE }))['course-view']).toBe('editor');
+    });
+
+    it('lists nothing for another course or platform', async () => {
+      expect(await list('ben', 'student', { courseId: 'other' })).toEqual({});
+      expect(await list('eve', 'instructor', {
+        issuer: OTHER_ISSUER,
+        courseId: OTHER_COURSE,
+        resourceLinkId: platformScopedId(OTHER_ISSUER, 'resource_link', '7'),
+      })).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import { User, Project, ProjectMember, CourseMembership, Session } from '../src/db/models.js';
+import { ensureUser } from '../src/api/project-service.js';
+import { migratePlatformIds } from '../src/db/migrate-platform-ids.js';
+import { platformScopedId } from '../src/lti/identity.js';
+
+const HOME = 'https://moodle.example.com';
+const PARTNER = 'https://partner.example.org';
+
+describe('Platform-scoped users and courses', () => {
+  beforeAll(async () => {
+    await resetDatabase();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('records the same platform user id once per issuer', async () => {
+    for (const issuer of [HOME, PARTNER]) {
+      await ensureUser({
+        userId: platformScopedId(issuer, 'user', '2'), lmsUserId: '2', issuer, name: 'Anna', role: 'student',
+      });
+    }
+
+    const users = await User.findAll({ where: { moodleUserId: '2' } });
+    expect(users.map((u) => u.issuer).sort()).toEqual([HOME, PARTNER]);
+    await expect(User.create({ id: 'dup', moodleUserId: '2', issuer: HOME, name: 'X' })).rejects.toThrow();
+  });
+
+  it('migrates legacy raw ids to the scoped ones', async () => {
+    await User.create({ id: '17', moodleUserId: '17', name: 'Legacy' });
+    await Project.create({
+      id: 'p-legacy', name: 'Alt', courseId: '5', resourceLinkId: '9', createdBy: '17',
+    });
+    await ProjectMember.create({ projectId: 'p-legacy', userId: '17', role: 'owner' });
+    await CourseMembership.create({ courseId: '5', userId: '17', role: 'student', syncedAt: new Date() });
+    await Session.create({ id: 'sess_old', userId: '17', data: {}, expiresAt: new Date(Date.now() + 60000) });
+
+    const result = await migratePlatformIds(HOME);
+    const userId = platformScopedId(HOME, 'user', '17');
+
+    expect(result).toMatchObject({ users: 1, resourceLinks: 1, sessions: 1 });
+    expect(await User.findByPk('17')).toBeNull();
+    expect((await User.findByPk(userId)).issuer).toBe(HOME);
+    const project = await Project.findByPk('p-legacy');
+    expect(project.courseId).toBe(platformScopedId(HOME, 'context', '5'));
+    expect(project.resourceLinkId).toBe(platformScopedId(HOME, 'resource_link', '9'));
+    expect(project.createdBy).toBe(userId);
+    expect(await ProjectMember.count({ where: { projectId: 'p-legacy', userId } })).toBe(1);
+    expect(await CourseMembership.count({ where: { courseId: project.courseId, userId } })).toBe(1);
+
+    // Already scoped rows are left alone
+    expect(await migratePlatformIds(HOME)).toEqual({ users: 0, courses: 0, resourceLinks: 0, sessions: 0 });
+  });
+});
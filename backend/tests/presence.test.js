@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import * as Y from 'yjs';
+import { Awareness, applyAwarenessUpdate, encodeAwarenessUpdate } from 'y-protocols/awareness.js';
+import { User, Project, ProjectMember } from '../src/db/models.js';
+import { createSession } from '../src/lti/routes.js';
+import yjsServer from '../src/websocket/yjs-server.js';
+
+const PROJECT_ID = 'p-presence';
+
+// What was sent to the room (io.to and socket.to)
+const roomEvents = [];
+
+function fakeSocket(id) {
+  return {
+    id,
+    emitted: [],
+    emit(event, data) { this.emitted.push([event, data]); },
+    join() {},
+    leave() {},
+    to() { return { emit: (event, data) => roomEvents.push([event, data]) }; },
+  };
+}
+
+// A tab's awareness, announcing its user to the server
+function tab(user) {
+  const awareness = new Awareness(new Y.Doc());
+  awareness.setLocalState({ user, cursor: { x: 1, y: 2 } });
+  return awareness;
+}
+
+describe('Presence in a project room', () => {
+  const sockets = {};
+  const tabs = {};
+
+  beforeAll(async () => {
+    await resetDatabase();
+    await User.bulkCreate([
+      { id: 'anna', moodleUserId: '1', name: 'Anna' },
+      { id: 'ben', moodleUserId: '2', name: 'Ben' },
+    ]);
+    await Project.create({ id: PROJECT_ID, name: 'Anwesenheit', createdBy: 'anna' });
+    await ProjectMember.bulkCreate([
+      { projectId: PROJECT_ID, userId: 'anna', role: 'owner' },
+      { projectId: PROJECT_ID, userId: 'ben', role: 'editor' },
+    ]);
+    yjsServer.io = { to: () => ({ emit: (event, data) => roomEvents.push([event, data]) }) };
+
+    for (const userId of ['anna', 'ben']) {
+      const sessionId = await createSession({ userId, name: userId, ltiClaims: { role: 'student' } });
+      sockets[userId] = fakeSocket(`socket-${userId}`);
+      tabs[userId] = tab({ userId, name: userId });
+      await yjsServer.handleJoinProject(sockets[userId], { projectId: PROJECT_ID, sessionId });
+      yjsServer.handleAwarenessUpdate(sockets[userId], {
+        projectId: PROJECT_ID,
+        update: encodeAwarenessUpdate(tabs[userId], [tabs[userId].clientID]),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    Object.values(tabs).forEach((awareness) => awareness.destroy());
+    await yjsServer.shutdown();
+    yjsServer.io = null;
+    await sequelize.close();
+  });
+
+  it('lists the room\'s users with their status', () => {
+    expect(yjsServer.getRoomUsers(PROJECT_ID)).toEqual([
+      expect.objectContaining({ socketId: 'socket-anna', userId: 'anna', status: 'active' }),
+      expect.objectContaining({ socketId: 'socket-ben', userId: 'ben', status: 'active' }),
+    ]);
+    expect(yjsServer.getRoomUsers('elsewhere')).toEqual([]);
+  });
+
+  it('keeps each tab\'s state for late joiners', () => {
+    const states = yjsServer.awareness.get(PROJECT_ID).getStates();
+
+    expect(states.get(tabs.anna.clientID)).toEqual({ user: { userId: 'anna', name: 'anna' }, cursor: { x: 1, y: 2 } });
+    expect([...yjsServer.awarenessClients.get('socket-ben')]).toEqual([tabs.ben.clientID]);
+  });
+
+  it('removes the cursor of a socket that disconnects and tells the room', () => {
+    roomEvents.length = 0;
+
+    yjsServer.handleDisconnect(sockets.ben);
+
+    expect(yjsServer.getRoomUsers(PROJECT_ID).map((u) => u.userId)).toEqual(['anna']);
+    expect(yjsServer.awareness.get(PROJECT_ID).getStates().has(tabs.ben.clientID)).toBe(false);
+    expect(yjsServer.awarenessClients.has('socket-ben')).toBe(false);
+    expect(roomEvents.map(([event]) => event)).toEqual(['awareness-update', 'user-left']);
+    expect(roomEvents[1][1]).toEqual({ socketId: 'socket-ben', userId: 'ben' });
+
+    // Anna's tab, which was shown Ben's cursor, applies the removal
+    applyAwarenessUpdate(tabs.anna, encodeAwarenessUpdate(tabs.ben, [tabs.ben.clientID]), 'remote');
+    applyAwarenessUpdate(tabs.anna, new Uint8Array(roomEvents[0][1].update), 'remote');
+    expect(tabs.anna.getStates().has(tabs.ben.clientID)).toBe(false);
+  });
+});
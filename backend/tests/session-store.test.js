@@ -0,0 +1,250 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import request from 'supertest';
+import { Session } from '../src/db/models.js';
+import {
+  MemorySessionStore,
+  DatabaseSessionStore,
+  RedisSessionStore,
+} from '../src/lti/session-store.js';
+import { createSession, getSession, setSessionStore, requireLTISession } from '../src/lti/routes.js';
+import rosterApi from '../src/api/roster.js';
+import ltiHandler from '../src/lti/handler.js';
+import nrps from '../src/lti/nrps.js';
+import { platformScopedId } from '../src/lti/identity.js';
+
+const HOUR = 60 * 60 * 1000;
+const ISSUER = 'https://moodle.example.com';
+
+beforeAll(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+/**
+ * The subset of ioredis the store uses, with real expiry
+ */
+class FakeRedis {
+  constructor() {
+    this.values = new Map();
+    this.expiry = new Map();
+  }
+
+  _alive(key) {
+    if (this.expiry.has(key) && this.expiry.get(key) <= Date.now()) {
+      this.values.delete(key);
+      this.expiry.delete(key);
+    }
+    return this.values.has(key);
+  }
+
+  pttl(key) {
+    return this._alive(key) && this.expiry.has(key) ? this.expiry.get(key) - Date.now() : -1;
+  }
+
+  async get(key) {
+    return this._alive(key) ? this.values.get(key) : null;
+  }
+
+  async set(key, value, ...args) {
+    if (args.includes('XX') && !this._alive(key)) return null;
+    this.values.set(key, value);
+    const px = args.indexOf('PX');
+    if (px >= 0) this.expiry.set(key, Date.now() + args[px + 1]);
+    else this.expiry.delete(key);
+    return 'OK';
+  }
+
+  async del(...keys) {
+    for (const key of keys) {
+      this.values.delete(key);
+      this.expiry.delete(key);
+    }
+  }
+
+  async sadd(key, member) {
+    if (!this._alive(key)) this.values.set(key, new Set());
+    this.values.get(key).add(member);
+  }
+
+  async smembers(key) {
+    return this._alive(key) ? [...this.values.get(key)] : [];
+  }
+
+  async srem(key, member) {
+    if (this._alive(key)) this.values.get(key).delete(member);
+  }
+
+  async pexpire(key, ms) {
+    if (this._alive(key)) this.expiry.set(key, Date.now() + ms);
+  }
+}
+
+function storeContract(name, makeStore) {
+  describe(name, () => {
+    let store;
+    beforeAll(() => {
+      store = makeStore();
+    });
+
+    it('returns sessions until they expire', async () => {
+      await store.create('sess_live', { userId: 'u1', name: 'Anna' }, HOUR);
+      await store.create('sess_gone', { userId: 'u1' }, -1);
+
+      const session = await store.get('sess_live');
+      expect(session).toMatchObject({ userId: 'u1', name: 'Anna' });
+      expect(session.expiresAt).toBeGreaterThan(Date.now() + HOUR - 5000);
+      expect(await store.get('sess_gone')).toBeNull();
+      expect(await store.get('sess_unknown')).toBeNull();
+    });
+
+    it('extends a session on touch, but never revives one', async () => {
+      await store.create('sess_short', { userId: 'u2' }, 1000);
+      await store.touch('sess_short', HOUR);
+      expect((await store.get('sess_short')).expiresAt).toBeGreaterThan(Date.now() + HOUR - 5000);
+
+      await store.create('sess_expired', { userId: 'u2' }, -1);
+      await store.touch('sess_expired', HOUR);
+      expect(await store.get('sess_expired')).toBeNull();
+    });
+
+    it('destroys one session or all of a user', async () => {
+      await store.create('sess_a', { userId: 'u3' }, HOUR);
+      await store.create('sess_b', { userId: 'u3' }, HOUR);
+      await store.create('sess_c', { userId: 'u4' }, HOUR);
+
+      await store.destroy('sess_a');
+      expect(await store.get('sess_a')).toBeNull();
+      expect(await store.get('sess_b')).not.toBeNull();
+
+      await store.destroyUser('u3');
+      expect(await store.get('sess_b')).toBeNull();
+      expect(await store.get('sess_c')).not.toBeNull();
+    });
+
+    it('destroys only the sessions of a user in scope', async () => {
+      await store.create('sess_c1', { userId: 'u7', issuer: ISSUER, courseId: 'c1' }, HOUR);
+      await store.create('sess_c2', { userId: 'u7', issuer: ISSUER, courseId: 'c2' }, HOUR);
+      await store.create('sess_other', { userId: 'u7', issuer: 'https://other.example.org', courseId: 'c1' }, HOUR);
+
+      await store.destroyUser('u7', { issuer: ISSUER, courseId: 'c1' });
+
+      expect(await store.get('sess_c1')).toBeNull();
+      expect(await store.get('sess_c2')).not.toBeNull();
+      expect(await store.get('sess_other')).not.toBeNull();
+    });
+  });
+}
+
+describe('Session stores', () => {
+  storeContract('MemorySessionStore', () => new MemorySessionStore());
+  storeContract('DatabaseSessionStore', () => new DatabaseSessionStore());
+  storeContract('RedisSessionStore', () => new RedisSessionStore(new FakeRedis()));
+
+  it('purges expired rows from the database', async () => {
+    const store = new DatabaseSessionStore();
+    await store.create('sess_old', { userId: 'u5' }, -1);
+    await store.create('sess_new', { userId: 'u5' }, HOUR);
+
+    expect(await store.cleanup()).toBeGreaterThanOrEqual(1);
+    expect(await Session.findByPk('sess_old')).toBeNull();
+    expect(await store.count()).toBeGreaterThanOrEqual(1);
+  });
+
+  it('lets Redis expire sessions and the per-user index', async () => {
+    const client = new FakeRedis();
+    const store = new RedisSessionStore(client, 'test:');
+    await store.create('sess_r', { userId: 'u6' }, HOUR);
+
+    expect(client.pttl('test:session:sess_r')).toBeGreaterThan(HOUR - 5000);
+    expect(client.pttl('test:user-sessions:u6')).toBeGreaterThan(HOUR - 5000);
+
+    await store.touch('sess_r', 2 * HOUR);
+    expect(client.pttl('test:session:sess_r')).toBeGreaterThan(2 * HOUR - 5000);
+    expect(client.pttl('test:user-sessions:u6')).toBeGreaterThan(2 * HOUR - 5000);
+
+    await store.destroy('sess_r');
+    expect(await client.smembers('test:user-sessions:u6')).toEqual([]);
+  });
+});
+
+describe('Session renewal and revocation', () => {
+  let store;
+
+  beforeAll(() => {
+    store = new MemorySessionStore();
+    setSessionStore(store);
+  });
+
+  afterAll(() => {
+    setSessionStore(new MemorySessionStore());
+  });
+
+  const app = express();
+  app.use(cookieParser());
+  app.use(express.json());
+  app.get('/whoami', requireLTISession, (req, res) => res.json({ userId: req.session.userId }));
+  app.use('/api', rosterApi);
+
+  it('extends sessions that are past half their lifetime', async () => {
+    const sessionId = await createSession({ userId: 'u1', ltiClaims: { role: 'student' } });
+    store.sessions.get(sessionId).expiresAt = Date.now() + HOUR;
+
+    const res = await request(app).get('/whoami').set('Cookie', `session_id=${sessionId}`);
+
+    expect(res.status).toBe(200);
+    expect((await getSession(sessionId)).expiresAt).toBeGreaterThan(Date.now() + 23 * HOUR);
+    expect(res.headers['set-cookie'][0]).toMatch(/^session_id=/);
+  });
+
+  it('does not write on every request', async () => {
+    const sessionId = await createSession({ userId: 'u1', ltiClaims: { role: 'student' } });
+    const touch = jest.spyOn(store, 'touch');
+
+    await request(app).get('/whoami').query({ session: sessionId });
+
+    expect(touch).not.toHaveBeenCalled();
+    touch.mockRestore();
+  });
+
+  it('signs out members the roster sync removes from the course, there only', async () => {
+    const teacher = await createSession({
+      userId: platformScopedId(ISSUER, 'user', 't1'),
+      ltiClaims: { role: 'instructor', courseId: 'c1', issuer: ISSUER },
+      services: { nrps: { context_memberships_url: `${ISSUER}/nrps` } },
+    });
+    const student = await createSession({
+      userId: platformScopedId(ISSUER, 'user', 's1'),
+      ltiClaims: { role: 'student', courseId: 'c1', issuer: ISSUER },
+    });
+    const otherCourse = await createSession({
+      userId: platformScopedId(ISSUER, 'user', 's1'),
+      ltiClaims: { role: 'student', courseId: 'c2', issuer: ISSUER },
+    });
+    const findPlatform = jest.spyOn(ltiHandler, 'findPlatform').mockResolvedValue({});
+    const getMembers = jest.spyOn(nrps, 'getMembers');
+
+    // First sync: the student is in the course
+    getMembers.mockResolvedValueOnce([
+      { user_id: 't1', roles: ['Instructor'], name: 'Teacher' },
+      { user_id: 's1', roles: ['Learner'], name: 'Student' },
+    ]);
+    await request(app).post('/api/course/roster/sync').query({ session: teacher }).expect(200);
+    expect(await getSession(student)).not.toBeNull();
+
+    // Second sync: they have left it
+    getMembers.mockResolvedValueOnce([{ user_id: 't1', roles: ['Instructor'], name: 'Teacher' }]);
+    await request(app).post('/api/course/roster/sync').query({ session: teacher }).expect(200);
+
+    expect(await getSession(student)).toBeNull();
+    expect(await getSession(otherCourse)).not.toBeNull();
+    expect(await getSession(teacher)).not.toBeNull();
+    findPlatform.mockRestore();
+    getMembers.mockRestore();
+  });
+});
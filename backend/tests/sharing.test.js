@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import express from 'express';
+import request from 'supertest';
+import { User, Project, ProjectMember } from '../src/db/models.js';
+import projectsApi from '../src/api/projects.js';
+import { createSession } from '../src/lti/routes.js';
+
+const PROJECT_ID = 'p-share';
+const ISSUER = 'https://moodle.example.com';
+
+const app = express();
+app.use(express.json());
+app.use('/api', projectsApi);
+
+describe('Sharing and members', () => {
+  const sessions = {};
+
+  async function login(userId, role = 'student') {
+    sessions[userId] = await createSession({ userId, name: userId, ltiClaims: { role, issuer: ISSUER } });
+  }
+
+  const share = (as, body) => request(app)
+    .post(`/api/projects/${PROJECT_ID}/share`).query({ session: sessions[as] }).send(body);
+  const setRole = (as, userId, role) => request(app)
+    .put(`/api/projects/${PROJECT_ID}/members/${userId}`).query({ session: sessions[as] }).send({ role });
+  const revoke = (as, userId) => request(app)
+    .delete(`/api/projects/${PROJECT_ID}/members/${userId}`).query({ session: sessions[as] });
+  const members = async () => (await ProjectMember.findAll({ where: { projectId: PROJECT_ID } }))
+    .map((m) => [m.userId, m.role]).sort();
+
+  beforeAll(async () => {
+    await resetDatabase();
+    await User.bulkCreate([
+      { id: 'owner', moodleUserId: '1', issuer: ISSUER, name: 'Olga', email: 'olga@example.com' },
+      { id: 'anna', moodleUserId: '2', issuer: ISSUER, name: 'Anna', email: 'Anna@Example.com' },
+      { id: 'ben', moodleUserId: '3', issuer: ISSUER, name: 'Ben', email: 'ben@example.com' },
+      { id: 'elsewhere', moodleUserId: '4', issuer: 'https://other.example.org', name: 'Eve', email: 'eve@example.org' },
+    ]);
+    await Project.create({ id: PROJECT_ID, name: 'Geteilt', createdBy: 'owner' });
+    await ProjectMember.create({ projectId: PROJECT_ID, userId: 'owner', role: 'owner' });
+    await Promise.all(['owner', 'anna', 'ben', 'elsewhere'].map((id) => login(id)));
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('POST /share', () => {
+    it('validates the request', async () => {
+      expect((await share('owner', { moodleUserId: '2', role: 'admin' })).status).toBe(400);
+      expect((await share('owner', { role: 'viewer' })).status).toBe(400);
+      expect((await share('owner', { moodleUserId: '1' })).status).toBe(400); // yourself
+      expect((await share('owner', { moodleUserId: '99' })).status).toBe(404);
+    });
+
+    it('only finds users of the sharer\'s platform', async () => {
+      expect((await share('owner', { moodleUserId: '4' })).status).toBe(404);
+      expect((await share('owner', { userEmail: 'eve@example.org' })).status).toBe(404);
+    });
+
+    it('adds a member by Moodle id or email (case-insensitive)', async () => {
+      const byId = await share('owner', { moodleUserId: '2', role: 'editor' });
+      const byEmail = await share('owner', { userEmail: ' BEN@example.com ' });
+
+      expect(byId.status).toBe(201);
+      expect(byId.body).toMatchObject({ userId: 'anna', role: 'editor', name: 'Anna' });
+      expect(byEmail.status).toBe(201);
+      expect(byEmail.body).toMatchObject({ userId: 'ben', role: 'viewer' });
+    });
+
+    it('does not duplicate a share, but updates its role', async () => {
+      const again = await share('owner', { moodleUserId: '2', role: 'editor' });
+      const changed = await share('owner', { moodleUserId: '3', role: 'editor' });
+
+      expect(again.status).toBe(200);
+      expect(changed.status).toBe(200);
+      expect(await members()).toEqual([['anna', 'editor'], ['ben', 'editor'], ['owner', 'owner']]);
+    });
+
+    it('is for owners only', async () => {
+      const res = await share('anna', { moodleUserId: '3', role: 'owner' });
+
+      expect(res.status).toBe(403);
+      expect(await members()).toContainEqual(['ben', 'editor']);
+    });
+  });
+
+  describe('GET /members', () => {
+    it('lists members to anyone with access', async () => {
+      const res = await request(app).get(`/api/projects/${PROJECT_ID}/members`).query({ session: sessions.ben });
+
+      expect(res.status).toBe(200);
+      expect(res.body.map((m) => m.userId)).toEqual(['owner', 'anna', 'ben']);
+    });
+
+    it('hides them from everyone else', async () => {
+      const res = await request(app).get(`/api/projects/${PROJECT_ID}/members`).query({ session: sessions.elsewhere });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('PUT /members/:userId', () => {
+    it('is for owners only', async () => {
+      expect((await setRole('anna', 'ben', 'viewer')).status).toBe(403);
+      expect((await setRole('anna', 'anna', 'owner')).status).toBe(403);
+    });
+
+    it('changes roles', async () => {
+      const res = await setRole('owner', 'ben', 'viewer');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ userId: 'ben', role: 'viewer' });
+      expect((await setRole('owner', 'ben', 'admin')).status).toBe(400);
+      expect((await setRole('owner', 'nobody', 'viewer')).status).toBe(404);
+    });
+
+    it('never demotes the last owner', async () => {
+      expect((await setRole('owner', 'owner', 'editor')).status).toBe(400);
+
+      // With a second owner it is fine
+      expect((await setRole('owner', 'anna', 'owner')).status).toBe(200);
+      expect((await setRole('anna', 'owner', 'editor')).status).toBe(200);
+      expect(await members()).toEqual([['anna', 'owner'], ['ben', 'viewer'], ['owner', 'editor']]);
+    });
+  });
+
+  describe('DELETE /members/:userId', () => {
+    it('lets members leave, but not remove others', async () => {
+      expect((await revoke('owner', 'ben')).status).toBe(403); // "owner" is an editor now
+      expect((await revoke('ben', 'ben')).status).toBe(200);
+      expect((await revoke('ben', 'ben')).status).toBe(404);
+    });
+
+    it('never removes the last owner', async () => {
+      expect((await revoke('anna', 'anna')).status).toBe(400);
+
+      expect((await revoke('anna', 'owner')).status).toBe(200);
+      expect(await members()).toEqual([['anna', 'owner']]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from '@jest/globals';
+import * as Y from 'yjs';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import { readSyncMessage } from 'y-protocols/sync.js';
+import {
+  encodeSyncStep1,
+  encodeSyncStep2,
+  encodeUpdateMessage,
+  decodeSyncMessage,
+  isEmptyUpdate,
+} from '../src/websocket/sync.js';
+
+// What the browser does with a server message; returns its reply, if any
+function clientReceive(doc, message) {
+  const encoder = encoding.createEncoder();
+  readSyncMessage(decoding.createDecoder(message), encoder, doc, 'remote');
+  return encoding.length(encoder) > 0 ? encoding.toUint8Array(encoder) : null;
+}
+
+function nodes(doc) {
+  return doc.getMap('mindmap-nodes');
+}
+
+describe('Sync handshake', () => {
+  it('exchanges only missing updates in both directions after a reconnect', () => {
+    const server = new Y.Doc();
+    nodes(server).set('root', JSON.stringify({ id: 'root', text: 'Thema' }));
+
+    // First join: the client has nothing yet
+    const client = new Y.Doc();
+    const step1 = decodeSyncMessage(encodeSyncStep1(client));
+    clientReceive(client, encodeSyncStep2(server, step1.stateVector));
+    expect(nodes(client).get('root')).toBe(nodes(server).get('root'));
+
+    // Offline: both sides change
+    nodes(client).set('offline', JSON.stringify({ id: 'offline', text: 'Offline', parentId: 'root' }));
+    nodes(server).set('online', JSON.stringify({ id: 'online', text: 'Online', parentId: 'root' }));
+    const fullSize = Y.encodeStateAsUpdate(server).length;
+
+    // Reconnect: the server's step 1 is answered with the offline edit only
+    const reply = decodeSyncMessage(clientReceive(client, encodeSyncStep1(server)));
+    expect(reply.type).toBe('update');
+    Y.applyUpdate(server, reply.update);
+    expect(JSON.parse(nodes(server).get('offline')).text).toBe('Offline');
+
+    // ...and the client's step 1 with what the server got meanwhile
+    const missing = encodeSyncStep2(server, decodeSyncMessage(encodeSyncStep1(client)).stateVector);
+    expect(missing.length).toBeLessThan(fullSize);
+    clientReceive(client, missing);
+    expect(nodes(client).toJSON()).toEqual(nodes(server).toJSON());
+
+    // Up to date: step 2 carries nothing
+    const again = decodeSyncMessage(clientReceive(client, encodeSyncStep1(server)));
+    expect(isEmptyUpdate(again.update)).toBe(true);
+  });
+
+  it('round-trips update messages', () => {
+    const doc = new Y.Doc();
+    let update;
+    doc.on('update', (u) => { update = u; });
+    doc.getArray('whiteboard-shapes').push([{ id: 's1' }]);
+
+    const decoded = decodeSyncMessage(Buffer.from(encodeUpdateMessage(update)));
+    expect(decoded).toEqual({ type: 'update', update });
+    expect(isEmptyUpdate(decoded.update)).toBe(false);
+    expect(() => decodeSyncMessage(new Uint8Array([7]))).toThrow(/Unknown sync message/);
+  });
+});
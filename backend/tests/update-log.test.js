@@ -0,0 +1,32 @@
+import { describe, it, expect } from '@jest/globals';
+import * as Y from 'yjs';
+import { stateChecksum, replayDocument } from '../src/websocket/update-log.js';
+
+describe('Update log', () => {
+  it('rebuilds the document from snapshot and logged updates', () => {
+    const doc = new Y.Doc();
+    const log = [];
+    doc.on('update', (update) => log.push(update));
+
+    doc.getMap('mindmap-nodes').set('root', JSON.stringify({ id: 'root', text: 'Thema' }));
+    const snapshot = Y.encodeStateAsUpdate(doc);
+    doc.getMap('mindmap-nodes').set('a', JSON.stringify({ id: 'a', text: 'Idee', parentId: 'root' }));
+
+    // Updates already in the snapshot may be replayed again (crash during compaction)
+    const replayed = replayDocument(snapshot, log);
+    expect(replayed.getMap('mindmap-nodes').toJSON()).toEqual(doc.getMap('mindmap-nodes').toJSON());
+
+    expect(replayDocument(null, log).getMap('mindmap-nodes').size).toBe(2);
+  });
+
+  it('gives unchanged documents the same checksum', () => {
+    const doc = new Y.Doc();
+    doc.getArray('whiteboard-shapes').push([{ id: 's1' }]);
+    const first = stateChecksum(Y.encodeStateAsUpdate(doc));
+
+    expect(stateChecksum(Y.encodeStateAsUpdate(replayDocument(Y.encodeStateAsUpdate(doc))))).toBe(first);
+
+    doc.getArray('whiteboard-shapes').push([{ id: 's2' }]);
+    expect(stateChecksum(Y.encodeStateAsUpdate(doc))).not.toBe(first);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from '@jest/globals';
+import * as Y from 'yjs';
+import { restoreContent } from '../src/versions/restore.js';
+import { diffMindMap } from '../src/versions/diff.js';
+
+function snapshot(doc) {
+  const copy = new Y.Doc();
+  Y.applyUpdate(copy, Y.encodeStateAsUpdate(doc));
+  return copy;
+}
+
+describe('Version restore', () => {
+  it('brings the live document back to an old version and syncs other clients', () => {
+    const server = new Y.Doc();
+    const nodes = server.getMap('mindmap-nodes');
+    server.getMap('mindmap-meta').set('rootId', 'root');
+    nodes.set('root', JSON.stringify({ id: 'root', text: 'Thema' }));
+    nodes.set('a', JSON.stringify({ id: 'a', text: 'Idee', parentId: 'root' }));
+    server.getArray('whiteboard-shapes').push([{ id: 's1', text: 'Notiz' }]);
+
+    const v1 = snapshot(server);
+    const client = snapshot(server);
+
+    // Later edits
+    nodes.delete('a');
+    nodes.set('b', JSON.stringify({ id: 'b', text: 'Neu', parentId: 'root' }));
+    nodes.set('root', JSON.stringify({ id: 'root', text: 'Umbenannt' }));
+    server.getArray('whiteboard-shapes').push([{ id: 's2' }]);
+    Y.applyUpdate(client, Y.encodeStateAsUpdate(server, Y.encodeStateVector(client)));
+
+    const update = restoreContent(server, v1);
+    Y.applyUpdate(client, update);
+
+    for (const doc of [server, client]) {
+      expect(doc.getMap('mindmap-nodes').toJSON()).toEqual(v1.getMap('mindmap-nodes').toJSON());
+      expect(doc.getArray('whiteboard-shapes').toJSON()).toEqual([{ id: 's1', text: 'Notiz' }]);
+      expect(doc.getMap('mindmap-meta').get('rootId')).toBe('root');
+    }
+  });
+
+  it('returns null when the document already matches', () => {
+    const doc = new Y.Doc();
+    doc.getMap('tldraw-records').set('shape:1', { id: 'shape:1', typeName: 'shape' });
+    expect(restoreContent(doc, snapshot(doc))).toBeNull();
+  });
+});
+
+describe('Mind map diff', () => {
+  const before = {
+    root: { id: 'root', text: 'Thema', color: '#4A90D9', x: 0 },
+    a: { id: 'a', text: 'Idee', parentId: 'root', color: '#4A90D9' },
+    b: { id: 'b', text: 'Frage', parentId: 'root', shape: 'rounded' },
+    c: { id: 'c', text: 'Detail', parentId: 'a' },
+  };
+
+  it('reports added, removed, re-parented, retitled and restyled nodes', () => {
+    const after = {
+      root: { id: 'root', text: 'Thema', color: '#4A90D9', x: 250 },
+      a: { id: 'a', text: 'Hauptidee', parentId: 'root', color: '#E74C3C' },
+      c: { id: 'c', text: 'Detail', parentId: 'root' },
+      d: { id: 'd', text: 'Neu', parentId: 'a' },
+    };
+
+    expect(diffMindMap(before, after)).toEqual({
+      added: [{ id: 'd', text: 'Neu' }],
+      removed: [{ id: 'b', text: 'Frage', parentId: 'root' }],
+      reparented: [{ id: 'c', text: 'Detail', from: 'a', to: 'root' }],
+      retitled: [{ id: 'a', from: 'Idee', to: 'Hauptidee' }],
+      restyled: [{ id: 'a', text: 'Hauptidee', fields: ['color'] }],
+    });
+  });
+
+  it('is empty for identical maps', () => {
+    const diff = diffMindMap(before, before);
+    expect(Object.values(diff).every((list) => list.length === 0)).toBe(true);
+  });
+});
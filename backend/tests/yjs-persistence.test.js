@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import * as Y from 'yjs';
+import { Project, ProjectState, ProjectUpdate } from '../src/db/models.js';
+import yjsServer from '../src/websocket/yjs-server.js';
+
+const PROJECT_ID = 'p-persist';
+
+// Nodes in the project's latest snapshot (not counting the update log)
+async function snapshotNodes(projectId) {
+  const latest = await ProjectState.findOne({ where: { projectId }, order: [['version', 'DESC']] });
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, new Uint8Array(latest.yjsState));
+  const nodes = [...doc.getMap('mindmap-nodes').keys()].sort();
+  doc.destroy();
+  return nodes;
+}
+
+function edit(doc, id, text) {
+  let update;
+  const capture = (u) => { update = u; };
+  doc.on('update', capture);
+  doc.getMap('mindmap-nodes').set(id, JSON.stringify({ id, text }));
+  doc.off('update', capture);
+  return update;
+}
+
+describe('Yjs persistence through the models', () => {
+  beforeAll(async () => {
+    await resetDatabase();
+    await Project.create({ id: PROJECT_ID, name: 'Persist', createdBy: 'u1' });
+  });
+
+  afterAll(async () => {
+    await yjsServer.shutdown();
+    yjsServer.io = null;
+    await sequelize.close();
+  });
+
+  it('replays logged updates and keeps them through compaction', async () => {
+    const client = new Y.Doc();
+    await yjsServer.appendUpdate(PROJECT_ID, Buffer.from(edit(client, 'root', 'Thema')), 'u1');
+    await yjsServer.appendUpdate(PROJECT_ID, Buffer.from(edit(client, 'a', 'Idee')), 'u1');
+
+    const loaded = await yjsServer.loadYjsDocument(PROJECT_ID);
+    expect(loaded.getMap('mindmap-nodes').size).toBe(2);
+
+    await yjsServer.compact(PROJECT_ID, loaded);
+    expect(await ProjectUpdate.count({ where: { projectId: PROJECT_ID } })).toBe(0);
+    expect(await ProjectState.count({ where: { projectId: PROJECT_ID } })).toBe(1);
+
+    const reloaded = await yjsServer.loadYjsDocument(PROJECT_ID);
+    expect(reloaded.getMap('mindmap-nodes').toJSON()).toEqual(client.getMap('mindmap-nodes').toJSON());
+  });
+
+  it('does not open a stand-in document when the database fails', async () => {
+    const findAll = jest.spyOn(ProjectUpdate, 'findAll').mockRejectedValueOnce(new Error('db down'));
+    const compact = jest.spyOn(yjsServer, 'compact');
+
+    await expect(yjsServer.getDocument(PROJECT_ID)).rejects.toThrow('db down');
+    expect(yjsServer.docs.has(PROJECT_ID)).toBe(false);
+    expect(yjsServer.loading.has(PROJECT_ID)).toBe(false);
+    expect(compact).not.toHaveBeenCalled();
+
+    findAll.mockRestore();
+    compact.mockRestore();
+  });
+
+  it('restores into a document that is still loading for a join', async () => {
+    const old = new Y.Doc();
+    old.getMap('mindmap-nodes').set('root', JSON.stringify({ id: 'root', text: 'Alt' }));
+    const emitted = [];
+    yjsServer.io = { to: () => ({ emit: (event) => emitted.push(event) }) };
+
+    // A join starts loading the board, the restore comes in before it is done
+    const joining = yjsServer.getDocument(PROJECT_ID);
+    await yjsServer.restoreVersion(PROJECT_ID, Y.encodeStateAsUpdate(old), { version: 1, userId: 'u1', name: 'U' });
+    const live = await joining;
+
+    expect(live.getMap('mindmap-nodes').toJSON()).toEqual(old.getMap('mindmap-nodes').toJSON());
+    expect(emitted).toContain('version-restored');
+  });
+
+  describe('unloading', () => {
+    beforeAll(async () => {
+      await Project.bulkCreate([
+        { id: 'p-idle', name: 'Idle', createdBy: 'u1' },
+        { id: 'p-open', name: 'Open', createdBy: 'u1' },
+      ]);
+    });
+
+    it('saves an idle document before evicting it', async () => {
+      const live = await yjsServer.getDocument('p-idle');
+      edit(live, 'root', 'Nur im Speicher');
+      // Still in memory (and served) while its last state is written
+      const saveSnapshot = yjsServer.saveSnapshot.bind(yjsServer);
+      const heldWhileSaving = [];
+      const save = jest.spyOn(yjsServer, 'saveSnapshot').mockImplementation((projectId, ydoc) => {
+        if (projectId === 'p-idle') heldWhileSaving.push(yjsServer.docs.get(projectId) === ydoc);
+        return saveSnapshot(projectId, ydoc);
+      });
+
+      // Nobody is in the room when the cleanup comes round
+      jest.useFakeTimers();
+      yjsServer.cleanupUnusedDocuments({ sockets: { adapter: { rooms: new Map() } } });
+      jest.advanceTimersByTime(60 * 1000);
+      jest.useRealTimers();
+      clearInterval(yjsServer.cleanupTimer);
+      yjsServer.cleanupTimer = null;
+
+      expect(yjsServer.unloading.has('p-idle')).toBe(true);
+      expect(yjsServer.docs.get('p-idle')).toBe(live);
+      await yjsServer.unloading.get('p-idle');
+
+      expect(save).toHaveBeenCalledWith('p-idle', live);
+      expect(heldWhileSaving).toEqual([true]);
+      expect(yjsServer.docs.has('p-idle')).toBe(false);
+      expect(await snapshotNodes('p-idle')).toEqual(['root']);
+      save.mockRestore();
+    });
+
+    it('saves open documents and waits for logged updates on shutdown', async () => {
+      const live = await yjsServer.getDocument('p-open');
+      edit(live, 'root', 'Nur im Speicher');
+      // An edit whose update log write is still in flight
+      const create = ProjectUpdate.create.bind(ProjectUpdate);
+      const slowWrite = jest.spyOn(ProjectUpdate, 'create').mockImplementationOnce(async (values) => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        return create(values);
+      });
+      const update = edit(live, 'a', 'Unterwegs');
+      const logged = yjsServer.appendUpdate('p-open', Buffer.from(update), 'u1');
+
+      await yjsServer.shutdown();
+      await logged;
+      slowWrite.mockRestore();
+
+      expect(yjsServer.docs.size).toBe(0);
+      expect(await snapshotNodes('p-open')).toEqual(['a', 'root']);
+      // The log was trimmed after the write landed, not before
+      expect(await ProjectUpdate.count({ where: { projectId: 'p-open' } })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { resetDatabase, sequelize } from './helpers/db.js';
+import express from 'express';
+import request from 'supertest';
+import * as Y from 'yjs';
+import { User, Project, ProjectMember } from '../src/db/models.js';
+import projectsApi from '../src/api/projects.js';
+import { createSession } from '../src/lti/routes.js';
+import yjsServer from '../src/websocket/yjs-server.js';
+import { encodeUpdateMessage } from '../src/websocket/sync.js';
+
+const PROJECT_ID = 'p-roles';
+
+const app = express();
+app.use(express.json());
+app.use('/api', projectsApi);
+
+// Records what the server emits to a socket
+function fakeSocket(id) {
+  return {
+    id,
+    emitted: [],
+    emit(event, data) { this.emitted.push([event, data]); },
+    last(event) { return this.emitted.filter(([e]) => e === event).pop()?.[1]; },
+    join() {},
+    leave() {},
+    to() { return { emit() {} }; },
+  };
+}
+
+function someUpdate() {
+  const doc = new Y.Doc();
+  let update;
+  doc.on('update', (u) => { update = u; });
+  doc.getMap('mindmap-nodes').set('n1', JSON.stringify({ id: 'n1', text: 'Neu' }));
+  return encodeUpdateMessage(update);
+}
+
+// Waits for the refresh the endpoint started in the background
+async function settleRefresh(spy) {
+  await Promise.all(spy.mock.results.map((r) => r.value));
+  spy.mockClear();
+}
+
+describe('Role changes on open boards', () => {
+  let ownerSession;
+  let editorSession;
+  let socket;
+  let refresh;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    await User.bulkCreate([
+      { id: 'owner', moodleUserId: 'owner', name: 'Owner' },
+      { id: 'anna', moodleUserId: 'anna', name: 'Anna' },
+    ]);
+    await Project.create({ id: PROJECT_ID, name: 'Rollen', createdBy: 'owner' });
+    await ProjectMember.bulkCreate([
+      { projectId: PROJECT_ID, userId: 'owner', role: 'owner' },
+      { projectId: PROJECT_ID, userId: 'anna', role: 'editor' },
+    ]);
+    ownerSession = await createSession({ userId: 'owner', name: 'Owner', ltiClaims: { role: 'instructor' } });
+    editorSession = await createSession({ userId: 'anna', name: 'Anna', ltiClaims: { role: 'student' } });
+
+    socket = fakeSocket('socket-anna');
+    yjsServer.io = {
+      sockets: { sockets: new Map([[socket.id, socket]]) },
+      to: () => ({ emit() {} }),
+    };
+    refresh = jest.spyOn(yjsServer, 'refreshRoles');
+
+    await yjsServer.handleJoinProject(socket, { projectId: PROJECT_ID, sessionId: editorSession });
+  });
+
+  afterAll(async () => {
+    refresh.mockRestore();
+    await yjsServer.shutdown();
+    yjsServer.io = null;
+    await sequelize.close();
+  });
+
+  it('joins as editor and may edit', () => {
+    expect(socket.last('project-joined')).toMatchObject({ role: 'editor', readOnly: false });
+
+    yjsServer.handleSyncMessage(socket, { projectId: PROJECT_ID, message: someUpdate() });
+
+    expect(socket.last('edit-rejected')).toBeUndefined();
+    expect(yjsServer.docs.get(PROJECT_ID).getMap('mindmap-nodes').has('n1')).toBe(true);
+  });
+
+  it('makes a demoted member read-only straight away', async () => {
+    await request(app)
+      .put(`/api/projects/${PROJECT_ID}/members/anna`)
+      .query({ session: ownerSession })
+      .send({ role: 'viewer' })
+      .expect(200);
+    await settleRefresh(refresh);
+
+    expect(socket.last('role-changed')).toEqual({ projectId: PROJECT_ID, role: 'viewer', readOnly: true });
+
+    yjsServer.handleSyncMessage(socket, { projectId: PROJECT_ID, message: someUpdate() });
+    expect(socket.last('edit-rejected')).toMatchObject({ role: 'viewer' });
+  });
+
+  it('removes a member from the room when their access is revoked', async () => {
+    await request(app)
+      .delete(`/api/projects/${PROJECT_ID}/members/anna`)
+      .query({ session: ownerSession })
+      .expect(200);
+    await settleRefresh(refresh);
+
+    expect(socket.last('access-revoked')).toMatchObject({ projectId: PROJECT_ID });
+    expect(yjsServer.users.has(socket.id)).toBe(false);
+
+    const emitted = socket.emitted.length;
+    yjsServer.handleSyncMessage(socket, { projectId: PROJECT_ID, message: someUpdate() });
+    expect(socket.emitted.length).toBe(emitted);
+  });
+});
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import Dashboard from './components/Dashboard.jsx';
 import MindMapEditor from './components/MindMapEditor.jsx';
 import WhiteboardEditor from './components/WhiteboardEditor.jsx';
+import DeepLinkPicker from './components/DeepLinkPicker.jsx';
+import APIService from './utils/api.js';
 import './App.css';
 
 function App() {
@@ -46,7 +48,24 @@ function App() {
 
       // 1. Session from URL (LTI launch redirect)
       if (urlSession) {
+        // Deep Linking launch: teacher picks a board for a new Moodle activity
+        if (params.get('mode') === 'deep-link') {
+          setView('deep-link');
+        }
         setSessionId(urlSession);
+
+        // Resource link launch: open the activity's board directly
+        const launchProject = params.get('project');
+        if (launchProject) {
+          try {
+            // Same shape as a dashboard entry: the project plus the user's role
+            const { project, role } = await APIService.getProject(launchProject);
+            handleOpenBoard({ ...project, role });
+          } catch (error) {
+            console.warn('Could not open launch board:', error.message);
+          }
+        }
+
         setSessionReady(true);
         setLoading(false);
         // Clean up URL
@@ -136,6 +155,8 @@ function App() {
 
   return (
     <div className="app">
+      {view === 'deep-link' && <DeepLinkPicker />}
+
       {view === 'dashboard' && (
         <Dashboard
           onOpenBoard={handleOpenBoard}
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import APIService from '../utils/api.js';
+import ShareDialog, { VISIBILITY_OPTIONS } from './ShareDialog.jsx';
+import GradingDialog from './GradingDialog.jsx';
 import './Dashboard.css';
 
 function Dashboard({ onOpenBoard, sessionId, userName }) {
@@ -10,7 +12,11 @@ function Dashboard({ onOpenBoard, sessionId, userName }) {
   const [showCreate, setShowCreate] = useState(false);
   const [newName, setNewName] = useState('');
   const [newType, setNewType] = useState('mindmap');
+  const [newVisibility, setNewVisibility] = useState('private');
+  const [newStudentRole, setNewStudentRole] = useState('viewer');
   const [creating, setCreating] = useState(false);
+  const [sharingBoard, setSharingBoard] = useState(null);
+  const [gradingBoard, setGradingBoard] = useState(null);
 
   useEffect(() => { loadBoards(); }, []);
 
@@ -32,11 +38,16 @@ function Dashboard({ onOpenBoard, sessionId, userName }) {
     if (!newName.trim()) return;
     try {
       setCreating(true);
-      const board = await APIService.createProject(newName.trim(), newType);
+      const board = await APIService.createProject(newName.trim(), newType, '', {
+        visibility: newVisibility,
+        studentRole: newStudentRole,
+      });
       setBoards([board, ...boards]);
       setShowCreate(false);
       setNewName('');
       setNewType('mindmap');
+      setNewVisibility('private');
+      setNewStudentRole('viewer');
       onOpenBoard(board);
     } catch (err) {
       setError(err.message);
@@ -60,6 +71,9 @@ function Dashboard({ onOpenBoard, sessionId, userName }) {
     ? boards
     : boards.filter((b) => b.boardType === filter);
 
+  const ownBoards = filtered.filter((b) => !b.shared);
+  const sharedBoards = filtered.filter((b) => b.shared);
+
   const formatDate = (date) => {
     const d = new Date(date);
     const now = new Date();
@@ -74,6 +88,55 @@ function Dashboard({ onOpenBoard, sessionId, userName }) {
     return d.toLocaleDateString();
   };
 
+  const renderBoardCard = (board) => (
+    <div
+      key={board.id}
+      className="board-card"
+      onClick={() => onOpenBoard(board)}
+    >
+      <div className="board-card-header">
+        <div className={`board-type-icon ${board.boardType || 'mindmap'}`}>
+          {board.boardType === 'whiteboard' ? '🎨' : '🧠'}
+        </div>
+        <div>
+          <div className="board-card-title">{board.name}</div>
+          <div className="board-card-type">
+            {board.boardType || 'mindmap'}
+            {board.shared && <span className="board-card-role">{board.role}</span>}
+          </div>
+        </div>
+      </div>
+      <div className="board-card-meta">
+        Modified {formatDate(board.updatedAt || board.createdAt)}
+      </div>
+      {board.role === 'owner' && (
+        <div className="board-card-actions">
+          <button
+            className="board-card-share"
+            onClick={(e) => { e.stopPropagation(); setSharingBoard(board); }}
+            title="Share board"
+          >
+            👥
+          </button>
+          <button
+            className="board-card-share"
+            onClick={(e) => { e.stopPropagation(); setGradingBoard(board); }}
+            title="Grade board"
+          >
+            📝
+          </button>
+          <button
+            className="board-card-delete"
+            onClick={(e) => handleDelete(e, board.id)}
+            title="Delete board"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+    </div>
+  );
+
   return (
     <div className="dashboard">
       {/* Nav */}
@@ -104,7 +167,7 @@ function Dashboard({ onOpenBoard, sessionId, userName }) {
       <div className="dashboard-content">
         <div className="dashboard-inner">
           <div className="dashboard-header">
-            <h1>My Boards</h1>
+            <h1>Boards</h1>
             <button className="btn btn-primary" onClick={() => setShowCreate(true)}>
               + New Board
             </button>
@@ -140,41 +203,37 @@ function Dashboard({ onOpenBoard, sessionId, userName }) {
               </button>
             </div>
           ) : (
-            <div className="boards-grid">
-              {filtered.map((board) => (
-                <div
-                  key={board.id}
-                  className="board-card"
-                  onClick={() => onOpenBoard(board)}
-                >
-                  <div className="board-card-header">
-                    <div className={`board-type-icon ${board.boardType || 'mindmap'}`}>
-                      {board.boardType === 'whiteboard' ? '🎨' : '🧠'}
-                    </div>
-                    <div>
-                      <div className="board-card-title">{board.name}</div>
-                      <div className="board-card-type">{board.boardType || 'mindmap'}</div>
-                    </div>
+            <>
+              {[
+                { title: 'My boards', list: ownBoards },
+                { title: 'Shared with me', list: sharedBoards },
+              ].filter((section) => section.list.length > 0).map((section) => (
+                <section key={section.title} className="board-section">
+                  <h2 className="board-section-title">{section.title}</h2>
+                  <div className="boards-grid">
+                    {section.list.map(renderBoardCard)}
                   </div>
-                  <div className="board-card-meta">
-                    Modified {formatDate(board.updatedAt || board.createdAt)}
-                  </div>
-                  <div className="board-card-actions">
-                    <button
-                      className="board-card-delete"
-                      onClick={(e) => handleDelete(e, board.id)}
-                      title="Delete board"
-                    >
-                      ✕
-                    </button>
-                  </div>
-                </div>
+                </section>
               ))}
-            </div>
+            </>
           )}
         </div>
       </div>
 
+      {/* Share Modal */}
+      {sharingBoard && (
+        <ShareDialog
+          board={sharingBoard}
+          onClose={() => setSharingBoard(null)}
+          onBoardUpdated={(updated) => setBoards(boards.map((b) => (b.id === updated.id ? { ...b, ...updated } : b)))}
+        />
+      )}
+
+      {/* Grading Modal */}
+      {gradingBoard && (
+        <GradingDialog board={gradingBoard} onClose={() => setGradingBoard(null)} />
+      )}
+
       {/* Create Modal */}
       {showCreate && (
         <div className="modal-overlay" onClick={() => setShowCreate(false)}>
@@ -212,6 +271,21 @@ function Dashboard({ onOpenBoard, sessionId, userName }) {
                   </div>
                 </div>
               </div>
+              <div className="form-group">
+                <label>Access</label>
+                <select value={newVisibility} onChange={(e) => setNewVisibility(e.target.value)}>
+                  {VISIBILITY_OPTIONS.map((v) => <option key={v.id} value={v.id}>{v.label}</option>)}
+                </select>
+              </div>
+              {newVisibility !== 'private' && (
+                <div className="form-group">
+                  <label>Students can</label>
+                  <select value={newStudentRole} onChange={(e) => setNewStudentRole(e.target.value)}>
+                    <option value="viewer">View</option>
+                    <option value="editor">Edit</option>
+                  </select>
+                </div>
+              )}
               <div className="modal-actions">
                 <button type="button" className="btn btn-secondary" onClick={() => setShowCreate(false)}>
                   Cancel
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import APIService from '../utils/api.js';
+import './Dashboard.css';
+
+/**
+ * Boards that can become an activity of the course: its students must be
+ * able to open them (same check as POST /api/deep-link)
+ */
+function canAddToCourse(board, courseId) {
+  if (board.visibility === 'course' && board.courseId === courseId) {
+    return board.role === 'owner' || board.role === 'editor';
+  }
+  return board.role === 'owner' && (!board.courseId || board.courseId === courseId);
+}
+
+/**
+ * Board picker for LTI Deep Linking: the teacher adds an existing
+ * or a new board as a Moodle activity
+ */
+function DeepLinkPicker() {
+  const [settings, setSettings] = useState(null);
+  const [boards, setBoards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newType, setNewType] = useState('mindmap');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [dlSettings, projects] = await Promise.all([
+          APIService.getDeepLinkSettings(),
+          APIService.getProjects(),
+        ]);
+        setSettings(dlSettings);
+        setBoards(projects.filter((b) => canAddToCourse(b, dlSettings.courseId)));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  // Moodle expects the signed response as a form POST with a JWT field
+  const returnToMoodle = ({ returnUrl, jwt }) => {
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = returnUrl;
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = 'JWT';
+    input.value = jwt;
+    form.appendChild(input);
+    document.body.appendChild(form);
+    form.submit();
+  };
+
+  const pick = async (choice) => {
+    try {
+      setSubmitting(true);
+      returnToMoodle(await APIService.createDeepLink(choice));
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    pick({ name: newName.trim(), boardType: newType });
+  };
+
+  return (
+    <div className="dashboard">
+      <div className="dashboard-content">
+        <div className="dashboard-inner">
+          <div className="dashboard-header">
+            <h1>Add a board{settings?.courseName ? ` to ${settings.courseName}` : ''}</h1>
+          </div>
+
+          {error && <div className="alert alert-error">{error}</div>}
+
+          {loading ? (
+            <div className="loading-state">Loading...</div>
+          ) : settings && (
+            <>
+              <section className="board-section">
+                <h2 className="board-section-title">Create a new board</h2>
+                <form className="create-form" onSubmit={handleCreate}>
+                  <div className="form-group">
+                    <input
+                      type="text"
+                      placeholder="Board name"
+                      value={newName}
+                      onChange={(e) => setNewName(e.target.value)}
+                      autoFocus
+                    />
+                  </div>
+                  <div className="board-type-selector">
+                    <div
+                      className={`type-option ${newType === 'mindmap' ? 'selected' : ''}`}
+                      onClick={() => setNewType('mindmap')}
+                    >
+                      <div className="type-option-icon">🧠</div>
+                      <div className="type-option-label">Mindmap</div>
+                    </div>
+                    <div
+                      className={`type-option ${newType === 'whiteboard' ? 'selected' : ''}`}
+                      onClick={() => setNewType('whiteboard')}
+                    >
+                      <div className="type-option-icon">🎨</div>
+                      <div className="type-option-label">Whiteboard</div>
+                    </div>
+                  </div>
+                  <div className="modal-actions">
+                    <button type="submit" className="btn btn-primary" disabled={!newName.trim() || submitting}>
+                      {submitting ? 'Adding...' : 'Create and add'}
+                    </button>
+                  </div>
+                </form>
+              </section>
+
+              {boards.length > 0 && (
+                <section className="board-section">
+                  <h2 className="board-section-title">Or add an existing board</h2>
+                  <div className="boards-grid">
+                    {boards.map((board) => (
+                      <div
+                        key={board.id}
+                        className="board-card"
+                        onClick={() => !submitting && pick({ projectId: board.id })}
+                      >
+                        <div className="board-card-header">
+                          <div className={`board-type-icon ${board.boardType || 'mindmap'}`}>
+                            {board.boardType === 'whiteboard' ? '🎨' : '🧠'}
+                          </div>
+                          <div>
+                            <div className="board-card-title">{board.name}</div>
+                            <div className="board-card-type">{board.boardType || 'mindmap'}</div>
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DeepLinkPicker;
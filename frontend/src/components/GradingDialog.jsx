@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import APIService from '../utils/api.js';
+import ParticipationPanel from './ParticipationPanel.jsx';
+
+const STATUS_LABELS = {
+  draft: 'Not sent',
+  posted: 'In gradebook',
+  failed: 'Failed',
+};
+
+function GradingDialog({ board, onClose }) {
+  const [grading, setGrading] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [label, setLabel] = useState(board.name);
+  const [scoreMaximum, setScoreMaximum] = useState(100);
+  const [busy, setBusy] = useState(false);
+  const [view, setView] = useState('grades');
+
+  useEffect(() => { loadGrading(); }, [board.id]);
+
+  const loadGrading = async () => {
+    try {
+      setLoading(true);
+      const data = await APIService.getGrading(board.id);
+      setGrading(data);
+      setDrafts(Object.fromEntries(data.students.map((s) => [
+        s.userId,
+        { score: s.grade?.score ?? '', comment: s.grade?.comment || '' },
+      ])));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      await action();
+      await loadGrading();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreateLineItem = (e) => {
+    e.preventDefault();
+    run(() => APIService.createLineItem(board.id, label.trim() || board.name, Number(scoreMaximum)));
+  };
+
+  const updateDraft = (userId, changes) => {
+    setDrafts({ ...drafts, [userId]: { ...drafts[userId], ...changes } });
+  };
+
+  const handleSave = (userId, publish) => {
+    const draft = drafts[userId];
+    if (draft.score === '') return;
+    run(() => APIService.saveGrade(board.id, userId, {
+      score: Number(draft.score),
+      comment: draft.comment,
+      publish,
+    }));
+  };
+
+  const formatActivity = (date) => (date ? new Date(date).toLocaleString() : 'Never opened');
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal grading-modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Grade “{board.name}”</h2>
+
+        <div className="grading-tabs">
+          <button
+            className={`btn ${view === 'grades' ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setView('grades')}
+          >
+            Grades
+          </button>
+          <button
+            className={`btn ${view === 'participation' ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setView('participation')}
+          >
+            Participation
+          </button>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {view === 'participation' ? (
+          <ParticipationPanel
+            board={board}
+            canApply={Boolean(grading?.lineItem)}
+            onApplied={() => { loadGrading(); setView('grades'); }}
+          />
+        ) : loading && !grading ? (
+          <div className="loading-state">Loading...</div>
+        ) : grading && !grading.lineItem ? (
+          grading.canCreateLineItem ? (
+            <form className="share-form" onSubmit={handleCreateLineItem}>
+              <input
+                type="text"
+                placeholder="Gradebook column"
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+              />
+              <input
+                type="number"
+                min="1"
+                className="grading-score"
+                value={scoreMaximum}
+                onChange={(e) => setScoreMaximum(e.target.value)}
+                title="Maximum points"
+              />
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                Make graded
+              </button>
+            </form>
+          ) : (
+            <p className="grading-hint">
+              Open this board from a Moodle activity with grading enabled to send grades to the gradebook.
+            </p>
+          )
+        ) : grading && (
+          <>
+            <div className="grading-summary">
+              {grading.lineItem.label} · max. {grading.lineItem.scoreMaximum} points
+            </div>
+
+            <div className="share-members">
+              {grading.students.length === 0 && (
+                <div className="loading-state">No students have worked on this board yet.</div>
+              )}
+              {grading.students.map((s) => (
+                <div key={s.userId} className="grading-row">
+                  <div className="share-member">
+                    <div className="nav-user-avatar">{(s.name || '?').charAt(0).toUpperCase()}</div>
+                    <div className="share-member-info">
+                      <div className="share-member-name">{s.name || s.userId}</div>
+                      <div className="share-member-email">
+                        {s.edits} edits · {s.joins} visits · {formatActivity(s.lastActivityAt)}
+                      </div>
+                    </div>
+                    {s.grade && (
+                      <span className={`grading-status ${s.grade.status}`} title={s.grade.error || ''}>
+                        {STATUS_LABELS[s.grade.status]}
+                      </span>
+                    )}
+                  </div>
+                  <div className="share-form">
+                    <input
+                      type="number"
+                      min="0"
+                      max={grading.lineItem.scoreMaximum}
+                      className="grading-score"
+                      placeholder="Score"
+                      value={drafts[s.userId]?.score ?? ''}
+                      onChange={(e) => updateDraft(s.userId, { score: e.target.value })}
+                    />
+                    <input
+                      type="text"
+                      placeholder="Comment"
+                      value={drafts[s.userId]?.comment || ''}
+                      onChange={(e) => updateDraft(s.userId, { comment: e.target.value })}
+                    />
+                    <button
+                      className="btn btn-secondary"
+                      disabled={busy || drafts[s.userId]?.score === ''}
+                      onClick={() => handleSave(s.userId, false)}
+                    >
+                      Save
+                    </button>
+                    <button
+                      className="btn btn-primary"
+                      disabled={busy || drafts[s.userId]?.score === ''}
+                      onClick={() => handleSave(s.userId, true)}
+                    >
+                      Send
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        <div className="modal-actions">
+          {view === 'grades' && grading?.lineItem && (
+            <button
+              className="btn btn-secondary"
+              disabled={busy}
+              onClick={() => run(() => APIService.publishGrades(board.id))}
+            >
+              Send all unsent
+            </button>
+          )}
+          <button type="button" className="btn btn-secondary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GradingDialog;
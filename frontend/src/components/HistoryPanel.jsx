@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import APIService from '../utils/api.js';
+import './HistoryPanel.css';
+
+const LABELS = {
+  de: {
+    title: 'Versionen',
+    empty: 'Noch keine gespeicherten Versionen.',
+    loading: 'Lädt...',
+    version: 'Version',
+    restore: 'Wiederherstellen',
+    compare: 'Änderungen seitdem zeigen',
+    confirm: (v) => `Board auf Version ${v} zurücksetzen? Der aktuelle Stand bleibt als Version erhalten.`,
+    restored: (v, user) => `Version ${v} wiederhergestellt${user ? ` von ${user}` : ''}`,
+    close: 'Schließen',
+  },
+  en: {
+    title: 'History',
+    empty: 'No saved versions yet.',
+    loading: 'Loading...',
+    version: 'Version',
+    restore: 'Restore',
+    compare: 'Show changes since',
+    confirm: (v) => `Restore version ${v}? The current board stays available as a version.`,
+    restored: (v, user) => `Version ${v} restored${user ? ` by ${user}` : ''}`,
+    close: 'Close',
+  },
+};
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function HistoryPanel({ projectId, lang = 'en', readOnly, restoredVersion, onCompare, onClose }) {
+  const t = LABELS[lang] || LABELS.en;
+  const [versions, setVersions] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Reload when the panel opens and whenever someone restores a version
+  useEffect(() => { loadVersions(); }, [projectId, restoredVersion]);
+
+  useEffect(() => {
+    if (!selected) return;
+    let cancelled = false;
+    setPreview(null);
+    APIService.getVersionPreview(projectId, selected)
+      .then((svg) => { if (!cancelled) setPreview(svg); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [projectId, selected]);
+
+  const loadVersions = async () => {
+    try {
+      const data = await APIService.getVersions(projectId);
+      setVersions(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!window.confirm(t.confirm(selected))) return;
+    try {
+      setBusy(true);
+      await APIService.restoreVersion(projectId, selected);
+      setSelected(null);
+      await loadVersions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="history-panel">
+      <div className="history-head">
+        <span className="history-title">{t.title}</span>
+        <button className="history-close" onClick={onClose} title={t.close}>✕</button>
+      </div>
+
+      {restoredVersion && (
+        <div className="history-notice">{t.restored(restoredVersion.version, restoredVersion.userName)}</div>
+      )}
+      {error && <div className="history-error">{error}</div>}
+
+      {selected && (
+        <div className="history-preview">
+          {preview
+            ? <img src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(preview)}`} alt={`${t.version} ${selected}`} />
+            : <div className="history-empty">{t.loading}</div>}
+          <div className="history-actions">
+            {onCompare && (
+              <button className="btn btn-sm btn-secondary" onClick={() => onCompare(selected)}>
+                {t.compare}
+              </button>
+            )}
+            {!readOnly && (
+              <button className="btn btn-sm btn-primary" disabled={busy || !preview} onClick={handleRestore}>
+                {t.restore}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="history-list">
+        {versions === null && <div className="history-empty">{t.loading}</div>}
+        {versions?.length === 0 && <div className="history-empty">{t.empty}</div>}
+        {versions?.map((v) => (
+          <button
+            key={v.version}
+            className={`history-item ${selected === v.version ? 'active' : ''}`}
+            onClick={() => setSelected(v.version)}
+          >
+            <span className="history-item-name">{t.version} {v.version}</span>
+            <span className="history-item-meta">
+              {new Date(v.createdAt).toLocaleString(lang)} · {formatSize(v.size)}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default HistoryPanel;
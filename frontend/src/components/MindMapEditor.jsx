@@ -1,5 +1,11 @@
 import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { useYjsCollaboration } from '../hooks/useYjsCollaboration.js';
+import { useRemoteStates, useCursorBroadcast } from '../hooks/useAwareness.js';
+import { useUndoManager, undoShortcut } from '../hooks/useUndoManager.js';
+import HistoryPanel from './HistoryPanel.jsx';
+import PresenceAvatars from './PresenceAvatars.jsx';
+import APIService from '../utils/api.js';
+import { MINDMAP_ORIGIN, mindMapTypes, writeMindMap } from '../utils/mindmap-sync.js';
 import './MindMapEditor.css';
 
 // ─── Constants ────────────────────────────────────────────
@@ -25,6 +31,14 @@ const V_GAP = 16;
 const MIN_W = 110;
 const DRAG_THRESHOLD = 5;
 
+// Version diff overlays (first matching kind wins when a node changed in several ways)
+const DIFF_KINDS = [
+  ['added', '#22C55E', 'neu'],
+  ['reparented', '#3B82F6', 'verschoben'],
+  ['retitled', '#F59E0B', 'umbenannt'],
+  ['restyled', '#A855F7', 'umgestaltet'],
+];
+
 function uid() {
   return 'n' + Math.random().toString(36).slice(2, 10);
 }
@@ -198,11 +212,28 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
   const nodesRef = useRef(nodes);
   const localUpdate = useRef(false);
 
-  const { yjsDoc, connected } = useYjsCollaboration(projectId, sessionId);
+  const {
+    yjsDoc, awareness, connected, pending, users, selfId, readOnly, editError, restoredVersion,
+  } = useYjsCollaboration(projectId, sessionId);
+  const remoteStates = useRemoteStates(awareness);
+  const { undo, redo, canUndo, canRedo } = useUndoManager(yjsDoc, mindMapTypes, MINDMAP_ORIGIN, readOnly);
+  const broadcastCursor = useCursorBroadcast(awareness);
+  const [showHistory, setShowHistory] = useState(false);
+  const [diff, setDiff] = useState(null);
 
   // Keep nodesRef in sync
   useEffect(() => { nodesRef.current = nodes; }, [nodes]);
 
+  // Drop the selection when its node disappears (undo, collaborator)
+  useEffect(() => {
+    if (selected && !nodes[selected]) setSelected(null);
+  }, [nodes, selected]);
+
+  // Share the selected node with collaborators
+  useEffect(() => {
+    awareness?.setLocalStateField('selection', selected ? [selected] : []);
+  }, [awareness, selected]);
+
   // ── Yjs Sync ──────────────────────────────────────────
   useEffect(() => {
     if (!yjsDoc) return;
@@ -214,7 +245,7 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
       try { loaded[key] = normalizeNode(typeof val === 'string' ? JSON.parse(val) : val); } catch {}
     });
 
-    if (Object.keys(loaded).length === 0) {
+    if (Object.keys(loaded).length === 0 && !readOnly) {
       const def = createDefaultNodes();
       localUpdate.current = true;
       yjsDoc.transact(() => {
@@ -242,23 +273,15 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
     yNodes.observe(observer);
     yMeta.observe(observer);
     return () => { yNodes.unobserve(observer); yMeta.unobserve(observer); };
-  }, [yjsDoc]);
+  }, [yjsDoc, readOnly]);
 
   // ── Sync to Yjs ───────────────────────────────────────
   const syncToYjs = useCallback((newNodes, newRootId) => {
-    if (!yjsDoc) return;
-    const yNodes = yjsDoc.getMap('mindmap-nodes');
-    const yMeta = yjsDoc.getMap('mindmap-meta');
+    if (!yjsDoc || readOnly) return;
     localUpdate.current = true;
-    yjsDoc.transact(() => {
-      const keys = [];
-      yNodes.forEach((_, k) => keys.push(k));
-      keys.forEach((k) => { if (!newNodes[k]) yNodes.delete(k); });
-      Object.entries(newNodes).forEach(([k, v]) => yNodes.set(k, JSON.stringify(v)));
-      if (newRootId) yMeta.set('rootId', newRootId);
-    });
+    writeMindMap(yjsDoc, newNodes, newRootId);
     localUpdate.current = false;
-  }, [yjsDoc]);
+  }, [yjsDoc, readOnly]);
 
   // ── Layout positions ──────────────────────────────────
   const layoutPositions = useMemo(() => layoutTree(nodes, rootId), [nodes, rootId]);
@@ -286,15 +309,15 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
 
   // ── Node Operations ───────────────────────────────────
   const updateNode = useCallback((id, updates) => {
-    if (!nodes[id]) return;
+    if (readOnly || !nodes[id]) return;
     const updated = { ...nodes, [id]: { ...nodes[id], ...updates } };
     setNodes(updated);
     syncToYjs(updated, rootId);
-  }, [nodes, rootId, syncToYjs]);
+  }, [nodes, rootId, syncToYjs, readOnly]);
 
   const addChild = useCallback((parentId = null) => {
     const pid = parentId || selected || rootId;
-    if (!pid || !nodes[pid]) return;
+    if (readOnly || !pid || !nodes[pid]) return;
     const id = uid();
     const colorIdx = Object.keys(nodes).length % COLORS.length;
     const newNode = normalizeNode({ id, text: 'Neues Thema', parentId: pid, color: COLORS[colorIdx] });
@@ -304,10 +327,10 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
     setSelected(id);
     syncToYjs(updated, rootId);
     setTimeout(() => { setEditing(id); setEditText('Neues Thema'); }, 60);
-  }, [selected, rootId, nodes, syncToYjs]);
+  }, [selected, rootId, nodes, syncToYjs, readOnly]);
 
   const addSibling = useCallback(() => {
-    if (!selected || !nodes[selected]) return;
+    if (readOnly || !selected || !nodes[selected]) return;
     const parentId = nodes[selected].parentId;
     if (!parentId) return;
     const id = uid();
@@ -318,11 +341,11 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
     setSelected(id);
     syncToYjs(updated, rootId);
     setTimeout(() => { setEditing(id); setEditText('Neues Thema'); }, 60);
-  }, [selected, nodes, rootId, syncToYjs]);
+  }, [selected, nodes, rootId, syncToYjs, readOnly]);
 
   const deleteNode = useCallback((nodeId = null) => {
     const target = nodeId || selected;
-    if (!target || target === rootId) return;
+    if (readOnly || !target || target === rootId) return;
     const toDelete = new Set();
     const collect = (id) => { toDelete.add(id); Object.values(nodes).filter((n) => n.parentId === id).forEach((n) => collect(n.id)); };
     collect(target);
@@ -332,7 +355,7 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
     if (selected === target) setSelected(null);
     setEditing(null);
     syncToYjs(updated, rootId);
-  }, [selected, nodes, rootId, syncToYjs]);
+  }, [selected, nodes, rootId, syncToYjs, readOnly]);
 
   const toggleCollapse = useCallback((id) => {
     if (!nodes[id]) return;
@@ -347,6 +370,7 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
   }, [editing, editText, updateNode]);
 
   const autoLayout = useCallback(() => {
+    if (readOnly) return;
     const updated = {};
     Object.entries(nodes).forEach(([k, v]) => {
       const { x, y, ...rest } = v;
@@ -354,12 +378,13 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
     });
     setNodes(updated);
     syncToYjs(updated, rootId);
-  }, [nodes, rootId, syncToYjs]);
+  }, [nodes, rootId, syncToYjs, readOnly]);
 
   // ── Drag & Drop ───────────────────────────────────────
   const handleNodeMouseDown = useCallback((e, nodeId) => {
     if (e.button !== 0) return;
     e.stopPropagation();
+    if (readOnly) { setSelected(nodeId); return; }
     const subtreeIds = getSubtreeIds(nodeId, nodes);
     const startPositions = {};
     subtreeIds.forEach(id => {
@@ -367,7 +392,7 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
       if (pos) startPositions[id] = { x: pos.x, y: pos.y };
     });
     dragRef.current = { nodeId, subtreeIds, startPositions, originX: e.clientX, originY: e.clientY, moved: false };
-  }, [nodes, getNodePos]);
+  }, [nodes, getNodePos, readOnly]);
 
   // ── Pan / Zoom / Mouse ────────────────────────────────
   const handleMouseDown = useCallback((e) => {
@@ -380,6 +405,13 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
   }, [offset]);
 
   const handleMouseMove = useCallback((e) => {
+    // Cursor in board coordinates, so every viewer can apply their own pan/zoom
+    const rect = wrapRef.current.getBoundingClientRect();
+    broadcastCursor({
+      x: (e.clientX - rect.left - offset.x) / scale,
+      y: (e.clientY - rect.top - offset.y) / scale,
+    });
+
     const drag = dragRef.current;
     if (drag) {
       const dx = (e.clientX - drag.originX) / scale;
@@ -403,7 +435,7 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
     if (isPanning.current) {
       setOffset({ x: e.clientX - panStart.current.x, y: e.clientY - panStart.current.y });
     }
-  }, [scale]);
+  }, [scale, offset, broadcastCursor]);
 
   const handleMouseUp = useCallback(() => {
     if (dragRef.current) {
@@ -423,9 +455,10 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
   const handleContextMenu = useCallback((e, nodeId = null) => {
     e.preventDefault();
     e.stopPropagation();
-    setContextMenu({ x: e.clientX, y: e.clientY, nodeId });
     if (nodeId) setSelected(nodeId);
-  }, []);
+    if (readOnly) return;
+    setContextMenu({ x: e.clientX, y: e.clientY, nodeId });
+  }, [readOnly]);
 
   useEffect(() => {
     if (!contextMenu) return;
@@ -437,8 +470,13 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
   // ── Keyboard ──────────────────────────────────────────
   useEffect(() => {
     const handler = (e) => {
-      if (editing) return;
-      if (e.key === 'Tab') { e.preventDefault(); addChild(); }
+      if (editing || readOnly) return;
+      const shortcut = undoShortcut(e);
+      if (shortcut) {
+        e.preventDefault();
+        if (shortcut === 'undo') undo(); else redo();
+      }
+      else if (e.key === 'Tab') { e.preventDefault(); addChild(); }
       else if (e.key === 'Enter' && selected && nodes[selected]) {
         e.preventDefault(); setEditing(selected); setEditText(nodes[selected].text);
       }
@@ -449,7 +487,7 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
     };
     window.addEventListener('keydown', handler);
     return () => window.removeEventListener('keydown', handler);
-  }, [editing, selected, addChild, deleteNode, nodes, rootId]);
+  }, [editing, selected, addChild, deleteNode, nodes, rootId, readOnly, undo, redo]);
 
   // ── Wheel Zoom ────────────────────────────────────────
   const handleWheel = useCallback((e) => {
@@ -516,6 +554,24 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
 
   const selectedNode = selected ? nodes[selected] : null;
 
+  // ── Version Diff ──────────────────────────────────────
+  const handleCompare = async (version) => {
+    try {
+      setDiff(await APIService.getVersionDiff(projectId, version));
+    } catch (err) {
+      console.error('Version diff failed:', err);
+    }
+  };
+
+  const diffColors = useMemo(() => {
+    const colors = new Map();
+    if (!diff) return colors;
+    DIFF_KINDS.forEach(([kind, color]) => {
+      diff[kind].forEach(({ id }) => { if (!colors.has(id)) colors.set(id, color); });
+    });
+    return colors;
+  }, [diff]);
+
   // ═════════════════════════════════════════════════════
   // RENDER
   // ═════════════════════════════════════════════════════
@@ -531,14 +587,32 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
           placeholder="Board-Name"
         />
         <div className="mm-header-right">
-          <button className="mm-header-btn" onClick={autoLayout} title="Automatisches Layout wiederherstellen">
-            ⚡ Auto-Layout
-          </button>
+          <PresenceAvatars users={users} selfId={selfId} lang="de" />
+          {!readOnly && (
+            <button className="mm-header-btn" onClick={autoLayout} title="Automatisches Layout wiederherstellen">
+              ⚡ Auto-Layout
+            </button>
+          )}
+          {readOnly && (
+            <div className="mm-readonly" title={editError || 'Du kannst dieses Board nur ansehen'}>
+              👁 Nur lesen
+            </div>
+          )}
           <div className={`mm-status ${connected ? 'online' : 'offline'}`}>
             <span className="mm-status-dot" />
-            {connected ? 'Verbunden' : 'Offline'}
+            {connected
+              ? 'Verbunden'
+              : pending > 0
+                ? `Offline – ${pending} ${pending === 1 ? 'Änderung' : 'Änderungen'} ausstehend`
+                : 'Offline'}
           </div>
           <button className="btn btn-sm btn-secondary" onClick={handleExport}>📥 Export</button>
+          <button
+            className={`mm-header-btn ${showHistory ? 'active' : ''}`}
+            onClick={() => setShowHistory(!showHistory)}
+          >
+            🕘 Verlauf
+          </button>
           <button
             className={`mm-header-btn ${showPanel && selectedNode ? 'active' : ''}`}
             onClick={() => setShowPanel(!showPanel)}
@@ -551,26 +625,39 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
       <div className="mm-body">
         {/* ── Toolbar ────────────────────────────────────── */}
         <div className="mm-toolbar">
-          <span className="mm-tool-label">Knoten</span>
-          <button className="mm-tool" onClick={() => addChild()} title="Kind hinzufügen (Tab)">
-            <svg width="18" height="18" viewBox="0 0 18 18"><line x1="9" y1="3" x2="9" y2="15" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/><line x1="3" y1="9" x2="15" y2="9" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/></svg>
-          </button>
-          <button className="mm-tool" onClick={addSibling} title="Geschwister hinzufügen" disabled={!selected || selected === rootId}>
-            <svg width="18" height="18" viewBox="0 0 18 18"><path d="M4 9h10M14 9l-3-3M14 9l-3 3" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/></svg>
-          </button>
-          <button className="mm-tool" onClick={() => { if (selected) { setEditing(selected); setEditText(nodes[selected]?.text || ''); }}} title="Bearbeiten (Enter)" disabled={!selected}>
-            <svg width="18" height="18" viewBox="0 0 18 18"><path d="M13.5 2.5l2 2-9 9H4.5v-2z" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/><line x1="4" y1="15" x2="14" y2="15" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/></svg>
-          </button>
-          <button className="mm-tool" onClick={() => deleteNode()} title="Löschen (Entf)" disabled={!selected || selected === rootId}>
-            <svg width="18" height="18" viewBox="0 0 18 18"><path d="M5 5l8 8M13 5l-8 8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/></svg>
-          </button>
+          {!readOnly && (
+            <>
+              <span className="mm-tool-label">Knoten</span>
+              <button className="mm-tool" onClick={() => addChild()} title="Kind hinzufügen (Tab)">
+                <svg width="18" height="18" viewBox="0 0 18 18"><line x1="9" y1="3" x2="9" y2="15" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/><line x1="3" y1="9" x2="15" y2="9" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/></svg>
+              </button>
+              <button className="mm-tool" onClick={addSibling} title="Geschwister hinzufügen" disabled={!selected || selected === rootId}>
+                <svg width="18" height="18" viewBox="0 0 18 18"><path d="M4 9h10M14 9l-3-3M14 9l-3 3" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/></svg>
+              </button>
+              <button className="mm-tool" onClick={() => { if (selected) { setEditing(selected); setEditText(nodes[selected]?.text || ''); }}} title="Bearbeiten (Enter)" disabled={!selected}>
+                <svg width="18" height="18" viewBox="0 0 18 18"><path d="M13.5 2.5l2 2-9 9H4.5v-2z" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/><line x1="4" y1="15" x2="14" y2="15" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/></svg>
+              </button>
+              <button className="mm-tool" onClick={() => deleteNode()} title="Löschen (Entf)" disabled={!selected || selected === rootId}>
+                <svg width="18" height="18" viewBox="0 0 18 18"><path d="M5 5l8 8M13 5l-8 8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/></svg>
+              </button>
 
-          <div className="mm-tool-divider" />
+              <div className="mm-tool-divider" />
+              <span className="mm-tool-label">Bearbeiten</span>
+              <button className="mm-tool" onClick={undo} title="Rückgängig (Strg+Z)" disabled={!canUndo}>
+                <svg width="18" height="18" viewBox="0 0 18 18"><path d="M6 4L3 7l3 3M3 7h8a4 4 0 010 8H8" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/></svg>
+              </button>
+              <button className="mm-tool" onClick={redo} title="Wiederholen (Strg+Umschalt+Z)" disabled={!canRedo}>
+                <svg width="18" height="18" viewBox="0 0 18 18"><path d="M12 4l3 3-3 3M15 7H7a4 4 0 000 8h3" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/></svg>
+              </button>
+
+              <div className="mm-tool-divider" />
+            </>
+          )}
           <span className="mm-tool-label">Ansicht</span>
-          <button className="mm-tool" onClick={() => selected && toggleCollapse(selected)} title="Auf-/Zuklappen" disabled={!selected || !childCount[selected]}>
+          <button className="mm-tool" onClick={() => selected && toggleCollapse(selected)} title="Auf-/Zuklappen" disabled={readOnly || !selected || !childCount[selected]}>
             <svg width="18" height="18" viewBox="0 0 18 18"><rect x="2" y="4" width="14" height="10" rx="2" fill="none" stroke="currentColor" strokeWidth="1.5"/><line x1="6" y1="9" x2="12" y2="9" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/></svg>
           </button>
-          <button className="mm-tool" onClick={autoLayout} title="Auto-Layout">
+          <button className="mm-tool" onClick={autoLayout} title="Auto-Layout" disabled={readOnly}>
             <svg width="18" height="18" viewBox="0 0 18 18"><path d="M3 3h5v5H3zM10 3h5v5h-5zM6.5 10v3h5v-3M9 8v2" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/></svg>
           </button>
         </div>
@@ -582,7 +669,7 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
           onMouseDown={handleMouseDown}
           onMouseMove={handleMouseMove}
           onMouseUp={handleMouseUp}
-          onMouseLeave={handleMouseUp}
+          onMouseLeave={() => { handleMouseUp(); broadcastCursor(null); }}
           onContextMenu={(e) => handleContextMenu(e)}
           onClick={(e) => {
             if (e.target === wrapRef.current || e.target.tagName === 'svg' || e.target.classList.contains('mm-bg'))
@@ -629,11 +716,19 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
                     className={`mm-node ${isSelected ? 'mm-node-selected' : ''}`}
                     transform={`translate(${pos.x}, ${pos.y})`}
                     onMouseDown={(e) => handleNodeMouseDown(e, node.id)}
-                    onDoubleClick={(e) => { e.stopPropagation(); setEditing(node.id); setEditText(node.text); }}
+                    onDoubleClick={(e) => { e.stopPropagation(); if (readOnly) return; setEditing(node.id); setEditText(node.text); }}
                     onContextMenu={(e) => handleContextMenu(e, node.id)}
-                    style={{ cursor: isBeingDragged ? 'grabbing' : 'grab' }}
+                    style={{ cursor: readOnly ? 'pointer' : isBeingDragged ? 'grabbing' : 'grab' }}
                     filter={isSelected ? 'url(#nodeshadow)' : undefined}
                   >
+                    {/* Version diff highlight */}
+                    {diffColors.has(node.id) && (
+                      <rect
+                        width={w + 12} height={NODE_H + 12} x={-6} y={-6}
+                        rx={16} fill="none" stroke={diffColors.get(node.id)} strokeWidth={3} opacity={0.85}
+                      />
+                    )}
+
                     {/* Selection ring */}
                     {isSelected && (
                       <rect
@@ -683,6 +778,30 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
                   </g>
                 );
               })}
+
+              {/* Collaborators' selections and cursors */}
+              {remoteStates.map(({ clientId, user, cursor, selection }) => (
+                <g key={clientId} pointerEvents="none">
+                  {(selection || []).map((id) => {
+                    const pos = visibleIds.has(id) && getNodePos(id);
+                    if (!pos) return null;
+                    return (
+                      <rect
+                        key={id}
+                        width={pos.w + 10} height={NODE_H + 10} x={pos.x - 5} y={pos.y - 5}
+                        rx={15} fill="none" stroke={user.color} strokeWidth={2} strokeDasharray="5 3"
+                      />
+                    );
+                  })}
+                  {cursor && (
+                    <g transform={`translate(${cursor.x}, ${cursor.y}) scale(${1 / scale})`}>
+                      <path d="M0 0 L0 16 L4.5 12 L8 19 L10.5 18 L7 11 L13 11 Z" fill={user.color} stroke="#fff" strokeWidth={1.2} />
+                      <rect x={12} y={16} rx={4} height={18} width={(user.name || '?').length * 6.5 + 12} fill={user.color} />
+                      <text x={18} y={25} fontSize={11} fill="#fff" dominantBaseline="central">{user.name || '?'}</text>
+                    </g>
+                  )}
+                </g>
+              ))}
             </g>
           </svg>
 
@@ -773,6 +892,27 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
             </div>
           )}
 
+          {/* ── Version Diff Legend ──────────────────────── */}
+          {diff && (
+            <div className="mm-diff-bar">
+              <span className="mm-diff-title">Änderungen seit Version {diff.from}</span>
+              {DIFF_KINDS.map(([kind, color, label]) => (
+                <span key={kind} className="mm-diff-item">
+                  <span className="mm-diff-dot" style={{ background: color }} />
+                  {diff[kind].length} {label}
+                </span>
+              ))}
+              <span
+                className="mm-diff-item"
+                title={diff.removed.map((n) => n.text).join(', ')}
+              >
+                <span className="mm-diff-dot mm-diff-removed" />
+                {diff.removed.length} entfernt
+              </span>
+              <button className="mm-diff-close" onClick={() => setDiff(null)} title="Vergleich beenden">✕</button>
+            </div>
+          )}
+
           {/* ── Zoom Controls ────────────────────────────── */}
           <div className="mm-zoom-controls">
             <button className="mm-zoom-btn" onClick={zoomIn} title="Vergrößern">+</button>
@@ -788,7 +928,7 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
         </div>
 
         {/* ── Properties Panel ───────────────────────────── */}
-        {showPanel && selectedNode && (
+        {showPanel && selectedNode && !readOnly && (
           <div className="mm-panel">
             <div className="mm-panel-head">
               <span className="mm-panel-title">Eigenschaften</span>
@@ -910,6 +1050,18 @@ export default function MindMapEditor({ projectId, projectName, sessionId, onBac
             </div>
           </div>
         )}
+
+        {/* ── Version History ────────────────────────────── */}
+        {showHistory && (
+          <HistoryPanel
+            projectId={projectId}
+            lang="de"
+            readOnly={readOnly}
+            restoredVersion={restoredVersion}
+            onCompare={handleCompare}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
       </div>
     </div>
   );
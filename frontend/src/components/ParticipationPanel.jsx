@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import APIService from '../utils/api.js';
+
+// Columns shown in the table; the CSV export has all metrics
+const COLUMNS = ['itemsCreated', 'textChars', 'activeMinutes', 'sessions'];
+
+function ParticipationPanel({ board, canApply, onApplied }) {
+  const [participation, setParticipation] = useState(null);
+  const [criteria, setCriteria] = useState([]);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [overwrite, setOverwrite] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => { loadParticipation(); }, [board.id]);
+
+  const loadParticipation = async () => {
+    try {
+      const data = await APIService.getParticipation(board.id);
+      setParticipation(data);
+      setCriteria(data.rubric.criteria);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      await action();
+      await loadParticipation();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateCriterion = (index, changes) => {
+    setCriteria(criteria.map((c, i) => (i === index ? { ...c, ...changes } : c)));
+  };
+
+  const handleSaveRubric = (e) => {
+    e.preventDefault();
+    run(() => APIService.saveParticipationRubric(board.id, { criteria }));
+  };
+
+  const handleApply = (publish) => {
+    run(async () => {
+      const { skipped } = await APIService.applyParticipationGrades(board.id, publish, overwrite);
+      setNotice(skipped > 0
+        ? `${skipped} grade${skipped === 1 ? ' was' : 's were'} kept because ${skipped === 1 ? 'it was' : 'they were'} set by hand or already sent.`
+        : null);
+      onApplied?.();
+    });
+  };
+
+  if (!participation) {
+    return error
+      ? <div className="alert alert-error">{error}</div>
+      : <div className="loading-state">Loading...</div>;
+  }
+
+  const { metrics, scoreMaximum, students } = participation;
+
+  return (
+    <div className="participation">
+      {error && <div className="alert alert-error">{error}</div>}
+      {notice && <div className="alert alert-success">{notice}</div>}
+
+      <form className="participation-rubric" onSubmit={handleSaveRubric}>
+        <div className="share-member-email">Full credit when a student reaches every target:</div>
+        {criteria.map((c, index) => (
+          <div key={index} className="share-form">
+            <select value={c.metric} onChange={(e) => updateCriterion(index, { metric: e.target.value })}>
+              {Object.entries(metrics).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              className="grading-score"
+              value={c.target}
+              onChange={(e) => updateCriterion(index, { target: e.target.value })}
+              title="Target"
+            />
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              className="grading-score"
+              value={c.weight ?? 1}
+              onChange={(e) => updateCriterion(index, { weight: e.target.value })}
+              title="Weight"
+            />
+            <button
+              type="button"
+              className="btn btn-secondary"
+              disabled={criteria.length === 1}
+              onClick={() => setCriteria(criteria.filter((_, i) => i !== index))}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <div className="share-form">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setCriteria([...criteria, { metric: 'textChars', target: 200, weight: 1 }])}
+          >
+            Add criterion
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={busy}>Save rubric</button>
+        </div>
+      </form>
+
+      <table className="participation-table">
+        <thead>
+          <tr>
+            <th>Student</th>
+            {COLUMNS.map((key) => <th key={key}>{metrics[key]}</th>)}
+            <th>Score / {scoreMaximum}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {students.map((s) => (
+            <tr key={s.userId}>
+              <td>{s.name || s.userId}</td>
+              {COLUMNS.map((key) => <td key={key}>{s.metrics[key]}</td>)}
+              <td><strong>{s.score}</strong></td>
+            </tr>
+          ))}
+          {students.length === 0 && (
+            <tr><td colSpan={COLUMNS.length + 2}>No students have worked on this board yet.</td></tr>
+          )}
+        </tbody>
+      </table>
+
+      <div className="share-form">
+        <a className="btn btn-secondary" href={APIService.participationCsvUrl(board.id)}>
+          Export CSV
+        </a>
+        {canApply && (
+          <>
+            <label title="Also replace grades set by hand or already sent to Moodle">
+              <input type="checkbox" checked={overwrite} onChange={(e) => setOverwrite(e.target.checked)} />
+              {' '}Overwrite existing grades
+            </label>
+            <button className="btn btn-secondary" disabled={busy} onClick={() => handleApply(false)}>
+              Use as grades
+            </button>
+            <button className="btn btn-primary" disabled={busy} onClick={() => handleApply(true)}>
+              Use and send
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ParticipationPanel;
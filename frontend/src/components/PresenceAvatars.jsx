@@ -0,0 +1,59 @@
+import React from 'react';
+import { userColor, presentPeople } from '../utils/presence.js';
+import './PresenceAvatars.css';
+
+const MAX_AVATARS = 5;
+
+const LABELS = {
+  de: { active: 'aktiv', idle: 'inaktiv', away: 'abwesend', you: 'du' },
+  en: { active: 'active', idle: 'idle', away: 'away', you: 'you' },
+};
+
+function initials(name) {
+  const parts = (name || '?').trim().split(/\s+/);
+  return (parts[0][0] + (parts.length > 1 ? parts[parts.length - 1][0] : '')).toUpperCase();
+}
+
+/**
+ * Who is on the board right now: one avatar per person (several tabs
+ * collapse into one, showing the most present status)
+ */
+function PresenceAvatars({ users, selfId, lang = 'en' }) {
+  const t = LABELS[lang] || LABELS.en;
+  const selfUserId = users.find((u) => u.socketId === selfId)?.userId;
+
+  const list = presentPeople(users);
+  const shown = list.slice(0, MAX_AVATARS);
+  const hidden = list.slice(MAX_AVATARS);
+
+  if (list.length === 0) return null;
+
+  return (
+    <div className="presence-avatars">
+      {shown.map((user) => {
+        const isSelf = user.userId === selfUserId;
+        return (
+          <div
+            key={user.userId}
+            className={`presence-avatar presence-${user.status}`}
+            style={{ background: userColor(user.userId) }}
+            title={`${user.name || '?'}${isSelf ? ` (${t.you})` : ''} – ${t[user.status]}`}
+          >
+            {initials(user.name)}
+            <span className="presence-dot" />
+          </div>
+        );
+      })}
+      {hidden.length > 0 && (
+        <div
+          className="presence-avatar presence-more"
+          title={hidden.map((u) => `${u.name || '?'} – ${t[u.status]}`).join('\n')}
+        >
+          +{hidden.length}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PresenceAvatars;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import APIService from '../utils/api.js';
+
+export const VISIBILITY_OPTIONS = [
+  { id: 'private', label: 'Only people I share it with' },
+  { id: 'course', label: 'Everyone in this Moodle course' },
+  { id: 'resource_link', label: 'Everyone in this Moodle activity' },
+];
+
+const ROLES = [
+  { id: 'viewer', label: 'Viewer' },
+  { id: 'editor', label: 'Editor' },
+  { id: 'owner', label: 'Owner' },
+];
+
+function ShareDialog({ board, onClose, onBoardUpdated }) {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [target, setTarget] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [sharing, setSharing] = useState(false);
+  const [visibility, setVisibility] = useState(board.visibility || 'private');
+  const [studentRole, setStudentRole] = useState(board.studentRole || 'viewer');
+  const [roster, setRoster] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+
+  useEffect(() => { loadMembers(); loadRoster(); }, [board.id]);
+
+  const loadMembers = async () => {
+    try {
+      setLoading(true);
+      setMembers(await APIService.getMembers(board.id));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Course roster is only available to instructors launched from a course
+  const loadRoster = async () => {
+    try {
+      setRoster(await APIService.getProjectRoster(board.id));
+    } catch {
+      setRoster(null);
+    }
+  };
+
+  const handleSyncRoster = async () => {
+    try {
+      setSyncing(true);
+      await APIService.syncRoster();
+      await loadRoster();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handlePickFromRoster = async (moodleUserId) => {
+    if (!moodleUserId) return;
+    try {
+      setSharing(true);
+      await APIService.shareProject(board.id, { moodleUserId }, role);
+      await Promise.all([loadMembers(), loadRoster()]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    const value = target.trim();
+    if (!value) return;
+    try {
+      setSharing(true);
+      // Anything with an @ is an email, everything else a Moodle user id
+      await APIService.shareProject(
+        board.id,
+        value.includes('@') ? { userEmail: value } : { moodleUserId: value },
+        role,
+      );
+      setTarget('');
+      await Promise.all([loadMembers(), loadRoster()]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  const handleRoleChange = async (userId, newRole) => {
+    try {
+      await APIService.updateMemberRole(board.id, userId, newRole);
+      await loadMembers();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAccessChange = async (changes) => {
+    try {
+      const updated = await APIService.updateProject(board.id, changes);
+      setVisibility(updated.visibility);
+      setStudentRole(updated.studentRole);
+      setError(null);
+      onBoardUpdated?.(updated);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = async (userId) => {
+    if (!window.confirm('Revoke access to this board?')) return;
+    try {
+      await APIService.removeMember(board.id, userId);
+      await loadMembers();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Share “{board.name}”</h2>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        <div className="form-group">
+          <label>Course access</label>
+          <div className="share-form">
+            <select value={visibility} onChange={(e) => handleAccessChange({ visibility: e.target.value })}>
+              {VISIBILITY_OPTIONS.map((v) => <option key={v.id} value={v.id}>{v.label}</option>)}
+            </select>
+            {visibility !== 'private' && (
+              <select value={studentRole} onChange={(e) => handleAccessChange({ studentRole: e.target.value })}>
+                <option value="viewer">Students can view</option>
+                <option value="editor">Students can edit</option>
+              </select>
+            )}
+          </div>
+        </div>
+
+        <form className="share-form" onSubmit={handleShare}>
+          <input
+            type="text"
+            placeholder="Email or Moodle user ID"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            autoFocus
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            {ROLES.map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+          </select>
+          <button type="submit" className="btn btn-primary" disabled={!target.trim() || sharing}>
+            {sharing ? 'Sharing...' : 'Share'}
+          </button>
+        </form>
+
+        {roster && (
+          <div className="form-group">
+            <label>Course members</label>
+            <div className="share-form">
+              <select
+                value=""
+                disabled={sharing}
+                onChange={(e) => handlePickFromRoster(e.target.value)}
+              >
+                <option value="">Add someone from the course...</option>
+                {roster
+                  .filter((p) => !members.some((m) => m.userId === p.userId))
+                  .map((p) => (
+                    <option key={p.userId} value={p.moodleUserId}>
+                      {p.name || p.userId}{p.role !== 'student' ? ` (${p.role})` : ''}
+                    </option>
+                  ))}
+              </select>
+              <button type="button" className="btn btn-secondary" onClick={handleSyncRoster} disabled={syncing}>
+                {syncing ? 'Syncing...' : 'Sync from Moodle'}
+              </button>
+            </div>
+            {roster.some((p) => p.projectRole && !p.opened) && (
+              <div className="share-not-opened">
+                Not opened yet: {roster.filter((p) => p.projectRole && !p.opened).map((p) => p.name || p.userId).join(', ')}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="share-members">
+          {loading ? (
+            <div className="loading-state">Loading members...</div>
+          ) : members.map((m) => (
+            <div key={m.userId} className="share-member">
+              <div className="nav-user-avatar">{(m.name || '?').charAt(0).toUpperCase()}</div>
+              <div className="share-member-info">
+                <div className="share-member-name">{m.name || m.userId}</div>
+                <div className="share-member-email">{m.email || `Moodle ID ${m.moodleUserId}`}</div>
+              </div>
+              <select value={m.role} onChange={(e) => handleRoleChange(m.userId, e.target.value)}>
+                {ROLES.map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+              </select>
+              <button
+                className="board-card-delete"
+                onClick={() => handleRemove(m.userId)}
+                title="Revoke access"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShareDialog;
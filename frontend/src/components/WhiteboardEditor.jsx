@@ -1,20 +1,45 @@
 import React, { useState, useCallback, useEffect, useRef, lazy, Suspense } from 'react';
 import { useYjsCollaboration } from '../hooks/useYjsCollaboration.js';
+import HistoryPanel from './HistoryPanel.jsx';
+import PresenceAvatars from './PresenceAvatars.jsx';
+import { useUndoManager, undoShortcut } from '../hooks/useUndoManager.js';
+import {
+  CANVAS_ORIGIN, canvasTypes, STICKY_W, STICKY_H,
+  addCanvasShape, eraseCanvasShapes, clearCanvasShapes, withoutErased,
+} from '../utils/canvas-sync.js';
 import './WhiteboardEditor.css';
 
 // Lazy-load tldraw; falls back to custom canvas if unavailable
 const TldrawWrapper = lazy(() =>
-  import('tldraw').then((mod) => {
+  Promise.all([
+    import('tldraw'),
+    import('../hooks/useTldrawYjsStore.js'),
+    import('../hooks/useTldrawAwareness.js'),
+  ]).then(([mod, { useTldrawYjsStore }, { useTldrawAwareness }]) => {
     // Also import its CSS
     import('tldraw/tldraw.css');
-    return { default: ({ projectId }) => <mod.Tldraw persistenceKey={`wb-${projectId}`} /> };
+    return {
+      default: ({ yjsDoc, awareness, connected, readOnly }) => {
+        const store = useTldrawYjsStore(yjsDoc, connected);
+        const [editor, setEditor] = useState(null);
+        useTldrawAwareness(editor, awareness);
+        useEffect(() => {
+          editor?.updateInstanceState({ isReadonly: readOnly });
+        }, [editor, readOnly]);
+        return <mod.Tldraw store={store} onMount={setEditor} />;
+      },
+    };
   }).catch(() => {
     return { default: () => null }; // will trigger fallback
   })
 );
 
 // ─── Fallback Canvas Whiteboard ───────────────────────────
-function FallbackCanvas({ yjsDoc }) {
+function shapeId() {
+  return 's' + Math.random().toString(36).slice(2, 10);
+}
+
+function FallbackCanvas({ yjsDoc, readOnly }) {
   const canvasRef = useRef(null);
   const ctxRef = useRef(null);
   const isDrawing = useRef(false);
@@ -23,7 +48,43 @@ function FallbackCanvas({ yjsDoc }) {
   const [color, setColor] = useState('#1e293b');
   const [lineWidth, setLineWidth] = useState(2);
   const [shapes, setShapes] = useState([]);
+  const shapesRef = useRef(shapes);
   const currentPath = useRef([]);
+  const { undo, redo, canUndo, canRedo } = useUndoManager(yjsDoc, canvasTypes, CANVAS_ORIGIN, readOnly);
+
+  // Shapes live in the `whiteboard-shapes` Y.Array of the project doc
+  useEffect(() => {
+    if (!yjsDoc) return;
+    const yShapes = yjsDoc.getArray('whiteboard-shapes');
+    const load = () => setShapes(yShapes.toArray());
+    load();
+    yShapes.observe(load);
+    return () => yShapes.unobserve(load);
+  }, [yjsDoc]);
+
+  const addShape = (shape) => {
+    const withId = { id: shapeId(), ...shape };
+    if (yjsDoc) addCanvasShape(yjsDoc, withId);
+    else setShapes((prev) => [...prev, withId]);
+  };
+
+  // The eraser deletes whole shapes it touches
+  const erase = (from, to) => {
+    if (yjsDoc) eraseCanvasShapes(yjsDoc, from, to);
+    else setShapes((prev) => withoutErased(prev, from, to));
+  };
+
+  useEffect(() => {
+    if (readOnly) return;
+    const handler = (e) => {
+      const shortcut = undoShortcut(e);
+      if (!shortcut) return;
+      e.preventDefault();
+      if (shortcut === 'undo') undo(); else redo();
+    };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [undo, redo, readOnly]);
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -45,6 +106,7 @@ function FallbackCanvas({ yjsDoc }) {
   }, []);
 
   useEffect(() => {
+    shapesRef.current = shapes;
     const ctx = ctxRef.current;
     const canvas = canvasRef.current;
     if (ctx && canvas) redraw(ctx, canvas);
@@ -65,7 +127,7 @@ function FallbackCanvas({ yjsDoc }) {
     }
 
     // Draw shapes
-    shapes.forEach((shape) => {
+    shapesRef.current.forEach((shape) => {
       ctx.strokeStyle = shape.color;
       ctx.lineWidth = shape.lineWidth;
       ctx.lineCap = 'round';
@@ -87,9 +149,9 @@ function FallbackCanvas({ yjsDoc }) {
         ctx.stroke();
       } else if (shape.type === 'sticky') {
         ctx.fillStyle = shape.color;
-        ctx.fillRect(shape.x, shape.y, 160, 120);
+        ctx.fillRect(shape.x, shape.y, STICKY_W, STICKY_H);
         ctx.strokeStyle = '#00000020';
-        ctx.strokeRect(shape.x, shape.y, 160, 120);
+        ctx.strokeRect(shape.x, shape.y, STICKY_W, STICKY_H);
         ctx.fillStyle = '#1e293b';
         ctx.font = '14px Inter, sans-serif';
         ctx.fillText(shape.text || 'Note', shape.x + 12, shape.y + 30);
@@ -103,15 +165,16 @@ function FallbackCanvas({ yjsDoc }) {
   };
 
   const handleDown = (e) => {
+    if (readOnly) return;
     const pos = getPos(e);
 
     if (tool === 'sticky') {
       const text = prompt('Sticky note text:', 'Note');
       if (text) {
-        setShapes([...shapes, {
+        addShape({
           type: 'sticky', x: pos.x, y: pos.y,
           color: '#fef3c7', text, lineWidth: 1,
-        }]);
+        });
       }
       return;
     }
@@ -119,6 +182,7 @@ function FallbackCanvas({ yjsDoc }) {
     isDrawing.current = true;
     lastPos.current = pos;
     currentPath.current = [pos];
+    if (tool === 'eraser') erase(pos);
   };
 
   const handleMove = (e) => {
@@ -126,9 +190,11 @@ function FallbackCanvas({ yjsDoc }) {
     const pos = getPos(e);
     const ctx = ctxRef.current;
 
-    if (tool === 'pen' || tool === 'eraser') {
-      ctx.strokeStyle = tool === 'eraser' ? '#ffffff' : color;
-      ctx.lineWidth = tool === 'eraser' ? 20 : lineWidth;
+    if (tool === 'eraser') {
+      erase(lastPos.current, pos);
+    } else if (tool === 'pen') {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
       ctx.lineCap = 'round';
       ctx.beginPath();
       ctx.moveTo(lastPos.current.x, lastPos.current.y);
@@ -145,28 +211,24 @@ function FallbackCanvas({ yjsDoc }) {
     isDrawing.current = false;
 
     if (tool === 'pen' && currentPath.current.length > 1) {
-      setShapes([...shapes, {
-        type: 'path', points: currentPath.current,
-        color, lineWidth,
-      }]);
+      addShape({ type: 'path', points: currentPath.current, color, lineWidth });
     } else if (tool === 'rect' || tool === 'circle') {
       const start = currentPath.current[0];
       const end = lastPos.current;
-      setShapes([...shapes, {
+      addShape({
         type: tool, x: Math.min(start.x, end.x), y: Math.min(start.y, end.y),
         w: Math.abs(end.x - start.x), h: Math.abs(end.y - start.y),
         color, lineWidth,
-      }]);
+      });
     }
 
     currentPath.current = [];
   };
 
   const clearCanvas = () => {
-    setShapes([]);
-    const ctx = ctxRef.current;
-    const canvas = canvasRef.current;
-    if (ctx && canvas) redraw(ctx, canvas);
+    if (readOnly) return;
+    if (yjsDoc) clearCanvasShapes(yjsDoc);
+    else setShapes([]);
   };
 
   const TOOLS = [
@@ -182,7 +244,7 @@ function FallbackCanvas({ yjsDoc }) {
   return (
     <div style={{ flex: 1, display: 'flex', flexDirection: 'column' }}>
       {/* Tool bar */}
-      <div style={{
+      {!readOnly && <div style={{
         display: 'flex', alignItems: 'center', gap: 8, padding: '8px 16px',
         borderBottom: '1px solid var(--color-border)', background: '#fff',
       }}>
@@ -229,6 +291,27 @@ function FallbackCanvas({ yjsDoc }) {
           <option value={8}>Bold</option>
         </select>
 
+        <span style={{ width: 1, height: 24, background: 'var(--color-border)', margin: '0 4px' }} />
+
+        {[
+          { label: '↶', title: 'Undo (Ctrl+Z)', onClick: undo, disabled: !canUndo },
+          { label: '↷', title: 'Redo (Ctrl+Shift+Z)', onClick: redo, disabled: !canRedo },
+        ].map((b) => (
+          <button
+            key={b.title}
+            onClick={b.onClick}
+            disabled={b.disabled}
+            title={b.title}
+            style={{
+              padding: '4px 10px', border: 'none', borderRadius: 6, background: 'transparent',
+              cursor: b.disabled ? 'not-allowed' : 'pointer', opacity: b.disabled ? 0.3 : 1,
+              fontSize: 16, color: 'var(--color-text-secondary)',
+            }}
+          >
+            {b.label}
+          </button>
+        ))}
+
         <button
           onClick={clearCanvas}
           style={{
@@ -239,13 +322,13 @@ function FallbackCanvas({ yjsDoc }) {
         >
           Clear
         </button>
-      </div>
+      </div>}
 
       {/* Canvas */}
       <div style={{ flex: 1, position: 'relative', overflow: 'hidden' }}>
         <canvas
           ref={canvasRef}
-          style={{ position: 'absolute', inset: 0, cursor: tool === 'sticky' ? 'crosshair' : 'default' }}
+          style={{ position: 'absolute', inset: 0, cursor: !readOnly && (tool === 'sticky' || tool === 'eraser') ? 'crosshair' : 'default' }}
           onMouseDown={handleDown}
           onMouseMove={handleMove}
           onMouseUp={handleUp}
@@ -267,7 +350,10 @@ class TldrawErrorBoundary extends React.Component {
 // ─── Main Whiteboard Component ────────────────────────────
 export default function WhiteboardEditor({ projectId, projectName, sessionId, onBack }) {
   const [name, setName] = useState(projectName || 'Untitled');
-  const { yjsDoc, connected } = useYjsCollaboration(projectId, sessionId);
+  const {
+    yjsDoc, awareness, connected, pending, users, selfId, readOnly, editError, restoredVersion,
+  } = useYjsCollaboration(projectId, sessionId);
+  const [showHistory, setShowHistory] = useState(false);
 
   return (
     <div className="whiteboard-editor">
@@ -281,20 +367,47 @@ export default function WhiteboardEditor({ projectId, projectName, sessionId, on
           placeholder="Board name"
         />
         <div className="wb-header-right">
+          <PresenceAvatars users={users} selfId={selfId} />
+          {readOnly && (
+            <div className="wb-readonly" title={editError || 'You can only view this board'}>
+              👁 Read only
+            </div>
+          )}
           <div className={`wb-status ${connected ? 'online' : 'offline'}`}>
             <span className="wb-status-dot" />
-            {connected ? 'Connected' : 'Offline'}
+            {connected
+              ? 'Connected'
+              : pending > 0
+                ? `Offline – ${pending} ${pending === 1 ? 'change' : 'changes'} pending`
+                : 'Offline'}
           </div>
+          <button
+            className={`wb-header-btn ${showHistory ? 'active' : ''}`}
+            onClick={() => setShowHistory(!showHistory)}
+          >
+            🕘 History
+          </button>
         </div>
       </div>
 
-      {/* Canvas */}
-      <div className="wb-canvas-container">
-        <Suspense fallback={<FallbackCanvas yjsDoc={yjsDoc} />}>
-          <TldrawErrorBoundary fallback={<FallbackCanvas yjsDoc={yjsDoc} />}>
-            <TldrawWrapper projectId={projectId} />
-          </TldrawErrorBoundary>
-        </Suspense>
+      <div className="wb-body">
+        {/* Canvas */}
+        <div className="wb-canvas-container">
+          <Suspense fallback={<FallbackCanvas yjsDoc={yjsDoc} readOnly={readOnly} />}>
+            <TldrawErrorBoundary fallback={<FallbackCanvas yjsDoc={yjsDoc} readOnly={readOnly} />}>
+              <TldrawWrapper yjsDoc={yjsDoc} awareness={awareness} connected={connected} readOnly={readOnly} />
+            </TldrawErrorBoundary>
+          </Suspense>
+        </div>
+
+        {showHistory && (
+          <HistoryPanel
+            projectId={projectId}
+            readOnly={readOnly}
+            restoredVersion={restoredVersion}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,89 @@
+import { useEffect, useState, useCallback, useMemo } from 'react';
+import { removeAwarenessStates } from 'y-protocols/awareness.js';
+
+/**
+ * Collaborators' awareness states (everyone but this client):
+ * [{ clientId, user: { userId, name, color }, cursor, selection, lastUpdated }]
+ */
+export function readRemoteStates(awareness) {
+  const remote = [];
+  awareness.getStates().forEach((state, clientId) => {
+    if (clientId !== awareness.clientID && state?.user) {
+      remote.push({ clientId, ...state, lastUpdated: awareness.meta.get(clientId)?.lastUpdated || Date.now() });
+    }
+  });
+  return remote;
+}
+
+/**
+ * Forget every collaborator's state (connection lost): their cursors would
+ * stay frozen on the board otherwise. The server sends the current states
+ * again on the next join.
+ */
+export function clearRemoteStates(awareness, origin = 'disconnect') {
+  const remote = [...awareness.getStates().keys()].filter((clientId) => clientId !== awareness.clientID);
+  if (remote.length > 0) removeAwarenessStates(awareness, remote, origin);
+}
+
+export function useRemoteStates(awareness) {
+  const [states, setStates] = useState([]);
+
+  useEffect(() => {
+    if (!awareness) {
+      setStates([]);
+      return;
+    }
+
+    const update = () => setStates(readRemoteStates(awareness));
+
+    update();
+    awareness.on('change', update);
+    return () => awareness.off('change', update);
+  }, [awareness]);
+
+  return states;
+}
+
+/**
+ * Throttled setter for the local cursor (board coordinates, or null when
+ * the pointer left the board). The last position is always sent, unless
+ * cancel() drops it first.
+ */
+export function createCursorBroadcaster(awareness, interval = 50) {
+  let lastSent = 0;
+  let pending = null;
+  let timer = null;
+
+  const send = () => {
+    lastSent = Date.now();
+    timer = null;
+    awareness.setLocalStateField('cursor', pending);
+  };
+
+  return {
+    update(cursor) {
+      pending = cursor;
+      if (timer) return;
+
+      const wait = interval - (Date.now() - lastSent);
+      if (wait <= 0 || cursor === null) send();
+      else timer = setTimeout(send, wait);
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+export function useCursorBroadcast(awareness, interval = 50) {
+  const broadcaster = useMemo(
+    () => (awareness ? createCursorBroadcaster(awareness, interval) : null),
+    [awareness, interval],
+  );
+
+  // No late cursor for a board that is gone
+  useEffect(() => () => broadcaster?.cancel(), [broadcaster]);
+
+  return useCallback((cursor) => broadcaster?.update(cursor), [broadcaster]);
+}
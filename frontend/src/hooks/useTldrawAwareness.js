@@ -0,0 +1,93 @@
+import { useEffect } from 'react';
+import { InstancePresenceRecordType } from 'tldraw';
+import { useRemoteStates, useCursorBroadcast } from './useAwareness.js';
+
+/**
+ * One `instance_presence` record per collaborator (awareness client);
+ * without a cursor they only show their selection
+ */
+export function presenceRecords(remoteStates, { pageId, hasShape }) {
+  return remoteStates.map(({ clientId, user, cursor, selection, lastUpdated }) => (
+    InstancePresenceRecordType.create({
+      id: InstancePresenceRecordType.createId(String(clientId)),
+      userId: String(clientId), // one peer per tab
+      userName: user.name || '?',
+      color: user.color,
+      currentPageId: cursor?.pageId || pageId,
+      cursor: { x: cursor?.x ?? 0, y: cursor?.y ?? 0, type: 'default', rotation: 0 },
+      selectedShapeIds: (selection || []).filter(hasShape),
+      lastActivityTimestamp: cursor ? lastUpdated : 0,
+    })
+  ));
+}
+
+/**
+ * Replace the store's presence records with `records`; collaborators who
+ * left (or all of them, after a disconnect) disappear
+ */
+export function syncPresence(store, records) {
+  const current = new Set(records.map((r) => r.id));
+  const stale = store.allRecords()
+    .filter((r) => r.typeName === 'instance_presence' && !current.has(r.id))
+    .map((r) => r.id);
+
+  store.mergeRemoteChanges(() => {
+    if (stale.length) store.remove(stale);
+    if (records.length) store.put(records);
+  });
+}
+
+/**
+ * Bridges Yjs awareness and tldraw presence: the local pointer (page
+ * coordinates) and selection go out as awareness state, collaborators come
+ * back as `instance_presence` records, which tldraw draws as cursors and
+ * selection outlines in each viewer's own camera.
+ */
+export function useTldrawAwareness(editor, awareness) {
+  const remoteStates = useRemoteStates(awareness);
+  const broadcastCursor = useCursorBroadcast(awareness);
+
+  // Local pointer and selection → awareness
+  useEffect(() => {
+    if (!editor || !awareness) return;
+
+    const onEvent = (info) => {
+      if (info.type !== 'pointer' || info.name !== 'pointer_move') return;
+      const { x, y } = editor.inputs.currentPagePoint;
+      broadcastCursor({ x, y, pageId: editor.getCurrentPageId() });
+    };
+    const onLeave = () => broadcastCursor(null);
+
+    let lastSelection = null;
+    const updateSelection = () => {
+      const selection = editor.getSelectedShapeIds();
+      const key = selection.join(',');
+      if (key === lastSelection) return;
+      lastSelection = key;
+      awareness.setLocalStateField('selection', selection);
+    };
+
+    editor.on('event', onEvent);
+    editor.getContainer().addEventListener('pointerleave', onLeave);
+    const unlisten = editor.store.listen(updateSelection, { scope: 'session' });
+    updateSelection();
+
+    return () => {
+      editor.off('event', onEvent);
+      editor.getContainer().removeEventListener('pointerleave', onLeave);
+      unlisten();
+    };
+  }, [editor, awareness, broadcastCursor]);
+
+  // Collaborators → tldraw presence records
+  useEffect(() => {
+    if (!editor) return;
+    const { store } = editor;
+
+    const records = presenceRecords(remoteStates, {
+      pageId: editor.getCurrentPageId(),
+      hasShape: (id) => store.has(id),
+    });
+    syncPresence(store, records);
+  }, [editor, remoteStates]);
+}
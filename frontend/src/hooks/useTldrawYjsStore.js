@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { createTLStore, defaultShapeUtils, defaultBindingUtils } from 'tldraw';
+import { bindTldrawStore } from '../utils/tldraw-sync.js';
+
+/**
+ * tldraw store bound to the project document (see utils/tldraw-sync.js)
+ */
+export function useTldrawYjsStore(yjsDoc, connected) {
+  const [storeWithStatus, setStoreWithStatus] = useState({ status: 'loading' });
+
+  useEffect(() => {
+    if (!yjsDoc) {
+      setStoreWithStatus({ status: 'loading' });
+      return;
+    }
+
+    const store = createTLStore({ shapeUtils: defaultShapeUtils, bindingUtils: defaultBindingUtils });
+    let unbind;
+    try {
+      unbind = bindTldrawStore(yjsDoc, store);
+    } catch (error) {
+      console.error('Could not load whiteboard:', error);
+      store.dispose();
+      setStoreWithStatus({ status: 'error', error });
+      return;
+    }
+
+    setStoreWithStatus({ status: 'synced-remote', connectionStatus: 'online', store });
+
+    return () => {
+      unbind();
+      store.dispose();
+    };
+  }, [yjsDoc]);
+
+  // Reflect socket state without rebuilding the store
+  useEffect(() => {
+    setStoreWithStatus((prev) => (prev.status === 'synced-remote'
+      ? { ...prev, connectionStatus: connected ? 'online' : 'offline' }
+      : prev));
+  }, [connected]);
+
+  return storeWithStatus;
+}
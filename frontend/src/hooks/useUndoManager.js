@@ -0,0 +1,69 @@
+import { useEffect, useState, useCallback } from 'react';
+import * as Y from 'yjs';
+
+// Edits within this window form one undo step (e.g. typing a note)
+const CAPTURE_TIMEOUT = 500;
+
+/**
+ * Y.UndoManager over `types` that only tracks transactions with `origin`
+ * Collaborators' changes (origin 'remote'), restores and the offline cache
+ * are never undone.
+ */
+export function createUndoManager(types, origin) {
+  return new Y.UndoManager(types, {
+    trackedOrigins: new Set([origin]),
+    captureTimeout: CAPTURE_TIMEOUT,
+  });
+}
+
+/**
+ * Undo/redo for the local user only (see createUndoManager)
+ */
+export function useUndoManager(yjsDoc, getTypes, origin, readOnly = false) {
+  const [undoManager, setUndoManager] = useState(null);
+  const [canUndo, setCanUndo] = useState(false);
+  const [canRedo, setCanRedo] = useState(false);
+
+  useEffect(() => {
+    if (!yjsDoc || readOnly) return;
+
+    const manager = createUndoManager(getTypes(yjsDoc), origin);
+    const refresh = () => {
+      setCanUndo(manager.canUndo());
+      setCanRedo(manager.canRedo());
+    };
+    manager.on('stack-item-added', refresh);
+    manager.on('stack-item-popped', refresh);
+    manager.on('stack-cleared', refresh);
+    setUndoManager(manager);
+
+    return () => {
+      manager.destroy();
+      setUndoManager(null);
+      setCanUndo(false);
+      setCanRedo(false);
+    };
+    // getTypes is expected to be a module-level function
+  }, [yjsDoc, origin, readOnly]);
+
+  const undo = useCallback(() => { undoManager?.undo(); }, [undoManager]);
+  const redo = useCallback(() => { undoManager?.redo(); }, [undoManager]);
+
+  return { undo, redo, canUndo, canRedo };
+}
+
+/**
+ * Ctrl/Cmd+Z → undo, Ctrl/Cmd+Shift+Z or Ctrl+Y → redo
+ * Returns 'undo', 'redo' or null; text fields keep their native undo
+ */
+export function undoShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  const target = e.target;
+  if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+    return null;
+  }
+  const key = e.key.toLowerCase();
+  if (key === 'z') return e.shiftKey ? 'redo' : 'undo';
+  if (key === 'y' && !e.shiftKey) return 'redo';
+  return null;
+}
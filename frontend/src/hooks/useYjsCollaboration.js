@@ -1,19 +1,101 @@
 import { useEffect, useState, useRef, useCallback } from 'react';
 import * as Y from 'yjs';
+import {
+  Awareness,
+  applyAwarenessUpdate,
+  encodeAwarenessUpdate,
+} from 'y-protocols/awareness.js';
+import {
+  readSyncMessage,
+  writeSyncStep1,
+  writeUpdate,
+  messageYjsSyncStep2,
+} from 'y-protocols/sync.js';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import { IndexeddbPersistence } from 'y-indexeddb';
 import io from 'socket.io-client';
+import { userColor } from '../utils/presence.js';
+import { clearRemoteStates } from './useAwareness.js';
+
+// No input for this long → idle; hidden tab → away
+const IDLE_AFTER = 2 * 60 * 1000;
+const ACTIVITY_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel'];
+// Don't wait longer than this for the offline copy before joining
+const STORAGE_TIMEOUT = 2000;
+// Join errors after which the offline copy must not be shown again
+const DENIED_ERRORS = ['Access denied', 'Project not found'];
+
+function syncMessage(write) {
+  const encoder = encoding.createEncoder();
+  write(encoder);
+  return encoding.toUint8Array(encoder);
+}
 
 export function useYjsCollaboration(projectId, sessionId) {
   const [yjsDoc, setYjsDoc] = useState(null);
+  const [awareness, setAwareness] = useState(null);
   const [connected, setConnected] = useState(false);
   const [users, setUsers] = useState([]);
+  const [selfId, setSelfId] = useState(null);
+  const [role, setRole] = useState(null);
+  const [editError, setEditError] = useState(null);
+  const [restoredVersion, setRestoredVersion] = useState(null);
+  const [pending, setPending] = useState(0);
   const socketRef = useRef(null);
   const docRef = useRef(null);
+  const readOnlyRef = useRef(false);
 
   useEffect(() => {
     if (!projectId || !sessionId) return;
 
+    // The doc outlives reconnects and is kept in IndexedDB: edits made while
+    // offline (even across reloads) are sent in the next sync handshake
     const doc = new Y.Doc();
     docRef.current = doc;
+    let joined = false;
+    let synced = false;
+    let denied = false;
+
+    const persistence = new IndexeddbPersistence(`moodboard-${projectId}`, doc);
+    let pendingCount = 0;
+    const updatePending = (count) => {
+      pendingCount = count;
+      setPending(count);
+      persistence.set('pending', count).catch(() => {});
+    };
+
+    // Join only after the cached copy is loaded, so the handshake includes it
+    const storageReady = Promise.race([
+      persistence.whenSynced,
+      new Promise((resolve) => setTimeout(resolve, STORAGE_TIMEOUT)),
+    ]);
+
+    // Offline start: show the cached board with the last known role
+    persistence.whenSynced.then(async () => {
+      const [cachedRole, cachedPending] = await Promise.all([
+        persistence.get('role'),
+        persistence.get('pending'),
+      ]);
+      if (docRef.current !== doc || synced || denied) return;
+
+      if (cachedPending) updatePending(pendingCount + cachedPending);
+      if (!joined && cachedRole) {
+        readOnlyRef.current = cachedRole !== 'owner' && cachedRole !== 'editor';
+        setRole(cachedRole);
+      }
+      if (doc.store.clients.size > 0) setYjsDoc(doc);
+    }).catch((err) => console.warn('Offline storage unavailable:', err));
+
+    // Cursors and selections: { user, cursor, selection } per client
+    const docAwareness = new Awareness(doc);
+    const sendAwareness = (clientIds) => {
+      if (!socket.connected) return;
+      socket.emit('awareness-update', {
+        projectId,
+        update: encodeAwarenessUpdate(docAwareness, clientIds),
+      });
+    };
 
     const socket = io(import.meta.env.VITE_WS_URL || 'http://localhost:3001', {
       query: { sessionId },
@@ -24,66 +106,208 @@ export function useYjsCollaboration(projectId, sessionId) {
     });
     socketRef.current = socket;
 
+    // Also fires after every automatic reconnect (socket.io v4 has no
+    // 'reconnect' event on the socket itself)
     socket.on('connect', () => {
       setConnected(true);
-      socket.emit('join-project', { projectId, sessionId });
+      storageReady.then(() => {
+        if (socket.connected) socket.emit('join-project', { projectId, sessionId });
+      });
     });
 
-    socket.on('yjs-state', (data) => {
-      if (data.state && data.state.length > 0) {
-        Y.applyUpdate(doc, new Uint8Array(data.state), 'remote');
-      }
+    socket.on('project-joined', (data) => {
+      joined = true;
       setUsers(data.users || []);
-      setYjsDoc(doc);
+      setSelfId(data.clientID || null);
+
+      // (Re)announce ourselves to the room
+      const self = (data.users || []).find((u) => u.socketId === data.clientID);
+      if (self) {
+        docAwareness.setLocalStateField('user', { userId: self.userId, name: self.name, color: userColor(self.userId) });
+      }
+      sendAwareness([doc.clientID]);
+      setAwareness(docAwareness);
+      readOnlyRef.current = !!data.readOnly;
+      setRole(data.role || null);
+      persistence.set('role', data.role || null).catch(() => {});
+
+      // Sync step 1: the server answers with what changed since our state
+      socket.emit('yjs-sync', { projectId, message: syncMessage((e) => writeSyncStep1(e, doc)) });
     });
 
-    socket.on('yjs-update', (data) => {
-      if (data.update && data.update.length > 0) {
-        Y.applyUpdate(doc, new Uint8Array(data.update), 'remote');
+    socket.on('yjs-sync', (data) => {
+      const encoder = encoding.createEncoder();
+      const messageType = readSyncMessage(
+        decoding.createDecoder(new Uint8Array(data.message)),
+        encoder,
+        doc,
+        'remote',
+      );
+
+      // Answer to the server's step 1: our offline edits
+      if (encoding.length(encoder) > 0) {
+        socket.emit('yjs-sync', { projectId, message: encoding.toUint8Array(encoder) });
+        synced = true;
+        if (pendingCount > 0) updatePending(0);
       }
+
+      // Show the board once it has the server's content
+      if (messageType === messageYjsSyncStep2) setYjsDoc(doc);
+    });
+
+    socket.on('awareness-update', (data) => {
+      if (data.update) applyAwarenessUpdate(docAwareness, new Uint8Array(data.update), 'remote');
     });
 
     socket.on('user-joined', (data) => {
-      setUsers((prev) => [...prev.filter(u => u.userId !== data.userId), {
+      setUsers((prev) => [...prev.filter(u => u.socketId !== data.socketId), {
         userId: data.userId,
         name: data.name,
         socketId: data.socketId,
+        status: data.status || 'active',
       }]);
     });
 
+    socket.on('user-left', (data) => {
+      setUsers((prev) => prev.filter(u => u.socketId !== data.socketId));
+    });
+
+    socket.on('presence-update', (data) => {
+      setUsers((prev) => prev.map(u => (u.socketId === data.socketId ? { ...u, status: data.status } : u)));
+    });
+
+    // Someone restored an older version; the content itself arrives as a sync update
+    socket.on('version-restored', (data) => {
+      setRestoredVersion({ version: data.version, userName: data.userName, at: Date.now() });
+    });
+
+    // Server refused a local edit (viewer, or role was lowered meanwhile)
+    socket.on('edit-rejected', (data) => {
+      console.warn('Edit rejected:', data.message);
+      readOnlyRef.current = true;
+      if (data.role) setRole(data.role);
+      setEditError(data.message);
+    });
+
+    // The owner changed our role while the board is open
+    socket.on('role-changed', (data) => {
+      readOnlyRef.current = !!data.readOnly;
+      setRole(data.role);
+      persistence.set('role', data.role).catch(() => {});
+      if (!data.readOnly) setEditError(null);
+    });
+
+    // Drop the offline copy (and what it remembers about our role), so a
+    // board we may no longer see is not opened from IndexedDB later
+    const forgetBoard = () => {
+      persistence.clearData().catch((err) => console.warn('Could not clear offline copy:', err));
+    };
+
+    // Removed from the board: keep showing it, locked, until the user leaves
+    socket.on('access-revoked', (data) => {
+      joined = false;
+      readOnlyRef.current = true;
+      setRole('viewer');
+      setEditError(data.message);
+      forgetBoard();
+    });
+
     socket.on('error', (data) => {
       console.error('WS error:', data.message);
       setConnected(false);
+      if (DENIED_ERRORS.includes(data.message)) {
+        // Hide the cached board that may have been shown while joining
+        denied = true;
+        readOnlyRef.current = true;
+        setYjsDoc(null);
+        setRole(null);
+        forgetBoard();
+      }
     });
 
-    socket.on('disconnect', () => setConnected(false));
-    socket.on('reconnect', () => setConnected(true));
+    socket.on('disconnect', () => {
+      joined = false;
+      synced = false;
+      setConnected(false);
+      clearRemoteStates(docAwareness);
+    });
+
+    // Reconnection attempts may have run out during a long offline phase
+    const onOnline = () => {
+      if (!socket.connected) socket.connect();
+    };
+    window.addEventListener('online', onOnline);
 
-    // Send local updates to server
+    // Send local updates to server; until (re)joined they are counted as
+    // pending and go with the next handshake
     const updateHandler = (update, origin) => {
-      if (origin !== 'remote' && socket.connected) {
-        socket.emit('yjs-update', {
+      if (origin === 'remote' || origin === persistence || readOnlyRef.current) return;
+
+      if (joined && socket.connected) {
+        socket.emit('yjs-sync', {
           projectId,
-          update: Array.from(update),
+          message: syncMessage((e) => writeUpdate(e, update)),
         });
+      } else {
+        updatePending(pendingCount + 1);
       }
     };
     doc.on('update', updateHandler);
 
+    const awarenessHandler = ({ added, updated, removed }, origin) => {
+      if (origin === 'local') sendAwareness([...added, ...updated, ...removed]);
+    };
+    docAwareness.on('update', awarenessHandler);
+
+    // Presence: report idle / away so others see who is really there
+    let status = 'active';
+    let idleTimer = null;
+    const setStatus = (next) => {
+      if (next === status) return;
+      status = next;
+      if (socket.connected) socket.emit('presence', { projectId, status });
+    };
+    const onActivity = () => {
+      clearTimeout(idleTimer);
+      if (!document.hidden) setStatus('active');
+      idleTimer = setTimeout(() => setStatus('idle'), IDLE_AFTER);
+    };
+    const onVisibility = () => (document.hidden ? setStatus('away') : onActivity());
+
+    ACTIVITY_EVENTS.forEach((e) => window.addEventListener(e, onActivity, { passive: true }));
+    document.addEventListener('visibilitychange', onVisibility);
+    onActivity();
+
     return () => {
+      clearTimeout(idleTimer);
+      ACTIVITY_EVENTS.forEach((e) => window.removeEventListener(e, onActivity));
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('online', onOnline);
       doc.off('update', updateHandler);
+      docAwareness.off('update', awarenessHandler);
+      docAwareness.destroy();
       // Stop reconnection attempts before disconnecting
       socket.io.opts.reconnection = false;
       socket.removeAllListeners();
       socket.disconnect();
       socketRef.current = null;
+      persistence.destroy();
       doc.destroy();
       docRef.current = null;
       setConnected(false);
       setYjsDoc(null);
+      setAwareness(null);
       setUsers([]);
+      setSelfId(null);
+      setRole(null);
+      setEditError(null);
+      setRestoredVersion(null);
+      setPending(0);
+      readOnlyRef.current = false;
     };
   }, [projectId, sessionId]);
 
-  return { yjsDoc, connected, users };
+  const readOnly = role !== null && role !== 'owner' && role !== 'editor';
+
+  return { yjsDoc, awareness, connected, pending, users, selfId, role, readOnly, editError, restoredVersion };
 }
@@ -10,14 +10,18 @@ class APIService {
     return res.json();
   }
 
-  static async createProject(name, boardType = 'mindmap', description = '') {
+  // access: { visibility, studentRole } for course / activity boards
+  static async createProject(name, boardType = 'mindmap', description = '', access = {}) {
     const res = await fetch(`${API_URL}/api/projects`, {
       method: 'POST',
       credentials: 'include',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name, boardType, description }),
+      body: JSON.stringify({ name, boardType, description, ...access }),
     });
-    if (!res.ok) throw new Error(`Failed to create board: ${res.statusText}`);
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to create board: ${res.statusText}`);
+    }
     return res.json();
   }
 
@@ -37,7 +41,10 @@ class APIService {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
     });
-    if (!res.ok) throw new Error(`Failed to update board: ${res.statusText}`);
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to update board: ${res.statusText}`);
+    }
     return res.json();
   }
 
@@ -50,6 +57,257 @@ class APIService {
     if (!res.ok) throw new Error(`Failed to delete board: ${res.statusText}`);
     return res.json();
   }
+
+  static async getMembers(projectId) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/members`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) throw new Error(`Failed to fetch members: ${res.statusText}`);
+    return res.json();
+  }
+
+  // target: { userEmail } or { moodleUserId }
+  static async shareProject(projectId, target, role = 'viewer') {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/share`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...target, role }),
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to share board: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async updateMemberRole(projectId, userId, role) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/members/${encodeURIComponent(userId)}`, {
+      method: 'PUT',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ role }),
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to change role: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async removeMember(projectId, userId) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/members/${encodeURIComponent(userId)}`, {
+      method: 'DELETE',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to revoke access: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async getProjectRoster(projectId) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/roster`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to fetch roster: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async syncRoster() {
+    const res = await fetch(`${API_URL}/api/course/roster/sync`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to sync roster: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async getGrading(projectId) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/grading`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to fetch grading: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async createLineItem(projectId, label, scoreMaximum) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/grading/line-item`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ label, scoreMaximum }),
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to create grade item: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async saveGrade(projectId, userId, { score, comment, publish = false }) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/grades/${encodeURIComponent(userId)}`, {
+      method: 'PUT',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ score, comment, publish }),
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to save grade: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async publishGrades(projectId) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/grades/publish`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to publish grades: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async getParticipation(projectId) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/participation`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to fetch participation: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static participationCsvUrl(projectId) {
+    return `${API_URL}/api/projects/${projectId}/participation?format=csv`;
+  }
+
+  static async saveParticipationRubric(projectId, rubric) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/participation/rubric`, {
+      method: 'PUT',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(rubric),
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to save rubric: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async applyParticipationGrades(projectId, publish = false, overwrite = false) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/participation/apply`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ publish, overwrite }),
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to apply participation grades: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async getVersions(projectId) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/versions`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to fetch versions: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  // Returns the version rendered as SVG markup
+  static async getVersionPreview(projectId, version) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/versions/${version}/preview`, {
+      credentials: 'include',
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to load version: ${res.statusText}`);
+    }
+    return res.text();
+  }
+
+  // Mind map changes from `version` to `to` (default: latest saved version)
+  static async getVersionDiff(projectId, version, to) {
+    const query = to ? `?to=${to}` : '';
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/versions/${version}/diff${query}`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to compare versions: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async restoreVersion(projectId, version) {
+    const res = await fetch(`${API_URL}/api/projects/${projectId}/versions/${version}/restore`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to restore version: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  static async getDeepLinkSettings() {
+    const res = await fetch(`${API_URL}/api/deep-link`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to load Deep Linking request: ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  // choice: { projectId } for an existing board or { name, boardType } for a new one
+  static async createDeepLink(choice) {
+    const res = await fetch(`${API_URL}/api/deep-link`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(choice),
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to link board: ${res.statusText}`);
+    }
+    return res.json();
+  }
 }
 
 export default APIService;
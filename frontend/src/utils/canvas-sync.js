@@ -0,0 +1,97 @@
+/**
+ * Fallback canvas ↔ Yjs
+ * Shapes (path, rect, circle, sticky) are plain objects in the
+ * `whiteboard-shapes` Y.Array, drawn in array order.
+ */
+
+// Transaction origin of the user's own drawing (tracked by undo)
+export const CANVAS_ORIGIN = 'canvas';
+
+export const canvasTypes = (doc) => [doc.getArray('whiteboard-shapes')];
+
+export const STICKY_W = 160;
+export const STICKY_H = 120;
+export const ERASER_RADIUS = 10;
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Whether a circle of `radius` around `point` touches the shape's stroke
+ * (sticky notes are filled, so anywhere on them counts)
+ */
+export function hitShape(shape, point, radius = ERASER_RADIUS) {
+  const reach = radius + (shape.lineWidth || 0) / 2;
+
+  switch (shape.type) {
+    case 'path': {
+      const points = shape.points || [];
+      if (points.length === 1) return Math.hypot(point.x - points[0].x, point.y - points[0].y) <= reach;
+      return points.slice(1).some((p, i) => distanceToSegment(point, points[i], p) <= reach);
+    }
+    case 'rect': {
+      const { x, y, w, h } = shape;
+      const corners = [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+      return corners.some((c, i) => distanceToSegment(point, c, corners[(i + 1) % 4]) <= reach);
+    }
+    case 'circle': {
+      const r = Math.sqrt(shape.w * shape.w + shape.h * shape.h) / 2;
+      const d = Math.hypot(point.x - (shape.x + shape.w / 2), point.y - (shape.y + shape.h / 2));
+      return Math.abs(d - r) <= reach;
+    }
+    case 'sticky':
+      return point.x >= shape.x - radius && point.x <= shape.x + STICKY_W + radius &&
+        point.y >= shape.y - radius && point.y <= shape.y + STICKY_H + radius;
+    default:
+      return false;
+  }
+}
+
+// Points every `step` px from `from` to `to`, so fast strokes leave no gaps
+function pointsAlong(from, to, step) {
+  const count = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / step));
+  return Array.from({ length: count + 1 }, (_, i) => ({
+    x: from.x + ((to.x - from.x) * i) / count,
+    y: from.y + ((to.y - from.y) * i) / count,
+  }));
+}
+
+const touched = (shape, points, radius) => points.some((p) => hitShape(shape, p, radius));
+
+/**
+ * Shapes the eraser misses when moved from `from` to `to`
+ */
+export function withoutErased(shapes, from, to = from, radius = ERASER_RADIUS) {
+  const points = pointsAlong(from, to, radius);
+  return shapes.filter((shape) => !touched(shape, points, radius));
+}
+
+export function addCanvasShape(doc, shape) {
+  doc.transact(() => doc.getArray('whiteboard-shapes').push([shape]), CANVAS_ORIGIN);
+}
+
+/**
+ * Delete every shape the eraser touches on its way from `from` to `to`
+ * Returns the number of shapes removed
+ */
+export function eraseCanvasShapes(doc, from, to = from, radius = ERASER_RADIUS) {
+  const yShapes = doc.getArray('whiteboard-shapes');
+  const points = pointsAlong(from, to, radius);
+  const erased = [];
+  yShapes.forEach((shape, index) => { if (touched(shape, points, radius)) erased.push(index); });
+  if (erased.length === 0) return 0;
+
+  // From the end, so the remaining indices stay valid
+  doc.transact(() => erased.reverse().forEach((index) => yShapes.delete(index, 1)), CANVAS_ORIGIN);
+  return erased.length;
+}
+
+export function clearCanvasShapes(doc) {
+  const yShapes = doc.getArray('whiteboard-shapes');
+  doc.transact(() => yShapes.delete(0, yShapes.length), CANVAS_ORIGIN);
+}
@@ -0,0 +1,30 @@
+/**
+ * Mind map ↔ Yjs
+ * Nodes live as JSON strings in the `mindmap-nodes` Y.Map, the root id in
+ * `mindmap-meta`.
+ */
+
+// Transaction origin of the user's own edits (tracked by undo)
+export const MINDMAP_ORIGIN = 'mindmap';
+
+export const mindMapTypes = (doc) => [doc.getMap('mindmap-nodes'), doc.getMap('mindmap-meta')];
+
+/**
+ * Write the local node state into the doc as one undoable transaction
+ * Only changed nodes are written, so undo never touches collaborators' nodes
+ */
+export function writeMindMap(doc, nodes, rootId) {
+  const yNodes = doc.getMap('mindmap-nodes');
+  const yMeta = doc.getMap('mindmap-meta');
+
+  doc.transact(() => {
+    const keys = [];
+    yNodes.forEach((_, k) => keys.push(k));
+    keys.forEach((k) => { if (!nodes[k]) yNodes.delete(k); });
+    Object.entries(nodes).forEach(([k, v]) => {
+      const json = JSON.stringify(v);
+      if (yNodes.get(k) !== json) yNodes.set(k, json);
+    });
+    if (rootId && yMeta.get('rootId') !== rootId) yMeta.set('rootId', rootId);
+  }, MINDMAP_ORIGIN);
+}
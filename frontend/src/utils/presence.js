@@ -0,0 +1,28 @@
+const USER_COLORS = ['#6366F1', '#0EA5E9', '#10B981', '#F59E0B', '#EF4444', '#EC4899', '#8B5CF6', '#14B8A6'];
+
+/**
+ * Stable color per user, shared by avatars, cursors and selection outlines
+ */
+export function userColor(userId) {
+  let hash = 0;
+  for (const char of String(userId)) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return USER_COLORS[Math.abs(hash) % USER_COLORS.length];
+}
+
+const STATUS_RANK = { active: 0, idle: 1, away: 2 };
+
+/**
+ * One entry per person on the board, most present first; several tabs
+ * (sockets) of a person collapse into one with their most present status
+ */
+export function presentPeople(users) {
+  const people = new Map();
+  for (const user of users) {
+    const current = people.get(user.userId);
+    const status = user.status || 'active';
+    if (!current || STATUS_RANK[status] < STATUS_RANK[current.status]) {
+      people.set(user.userId, { ...user, status });
+    }
+  }
+  return [...people.values()].sort((a, b) => STATUS_RANK[a.status] - STATUS_RANK[b.status]);
+}
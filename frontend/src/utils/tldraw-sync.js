@@ -0,0 +1,109 @@
+/**
+ * tldraw ↔ Yjs
+ * Document-scoped records (pages, shapes, bindings, assets) live in the
+ * `tldraw-records` Y.Map, keyed by id; camera and selection stay per-user.
+ * `tldraw-meta` holds the serialized schema the records were written with,
+ * so a client on another tldraw version migrates them before use.
+ */
+
+// Transaction origin for changes coming from the local tldraw store
+export const TLDRAW_ORIGIN = 'tldraw';
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Boards saved before the schema was stored were written by this tldraw version
+function storedSchema(yMeta, store) {
+  return yMeta.get('schema') || store.schema.serialize();
+}
+
+/**
+ * Records of the doc migrated to the store's schema, by id
+ * Throws if they cannot be migrated (e.g. saved by a newer tldraw)
+ */
+export function readTldrawRecords(doc, store) {
+  const result = store.schema.migrateStoreSnapshot({
+    schema: storedSchema(doc.getMap('tldraw-meta'), store),
+    store: Object.fromEntries(doc.getMap('tldraw-records').entries()),
+  });
+  if (result.type === 'error') {
+    throw new Error(`The board's tldraw records cannot be migrated: ${result.reason}`);
+  }
+  return result.value;
+}
+
+/**
+ * Load the doc into the store and keep both in sync until the returned
+ * function is called. An empty doc gets the store's initial records (the
+ * default page); records of an older schema are migrated and written back,
+ * so every client reads the current version.
+ */
+export function bindTldrawStore(doc, store) {
+  const yRecords = doc.getMap('tldraw-records');
+  const yMeta = doc.getMap('tldraw-meta');
+  const schema = store.schema.serialize();
+
+  if (yRecords.size > 0) {
+    const records = readTldrawRecords(doc, store);
+    store.mergeRemoteChanges(() => {
+      store.clear();
+      store.put(Object.values(records));
+    });
+
+    if (!sameValue(storedSchema(yMeta, store), schema)) {
+      doc.transact(() => {
+        for (const id of [...yRecords.keys()]) {
+          if (!records[id]) yRecords.delete(id);
+        }
+        Object.values(records).forEach((record) => {
+          if (!sameValue(yRecords.get(record.id), record)) yRecords.set(record.id, record);
+        });
+        yMeta.set('schema', schema);
+      }, TLDRAW_ORIGIN);
+    }
+  } else {
+    doc.transact(() => {
+      for (const record of store.allRecords()) {
+        if (store.scopedTypes.document.has(record.typeName)) yRecords.set(record.id, record);
+      }
+      yMeta.set('schema', schema);
+    }, TLDRAW_ORIGIN);
+  }
+
+  // Local tldraw changes → Yjs
+  const unlisten = store.listen(({ changes }) => {
+    doc.transact(() => {
+      Object.values(changes.added).forEach((record) => yRecords.set(record.id, record));
+      Object.values(changes.updated).forEach(([, record]) => yRecords.set(record.id, record));
+      Object.values(changes.removed).forEach((record) => yRecords.delete(record.id));
+    }, TLDRAW_ORIGIN);
+  }, { source: 'user', scope: 'document' });
+
+  // Yjs changes (collaborators, server) → tldraw, migrated like on load
+  const observer = (event, transaction) => {
+    if (transaction.origin === TLDRAW_ORIGIN) return;
+    const persisted = storedSchema(yMeta, store);
+    const toPut = [];
+    const toRemove = [];
+    event.changes.keys.forEach((change, id) => {
+      if (change.action === 'delete') {
+        toRemove.push(id);
+        return;
+      }
+      const result = store.schema.migratePersistedRecord(yRecords.get(id), persisted);
+      if (result.type === 'success') toPut.push(result.value);
+      else console.warn(`Skipping tldraw record ${id}: ${result.reason}`);
+    });
+    store.mergeRemoteChanges(() => {
+      if (toRemove.length) store.remove(toRemove.filter((id) => store.has(id)));
+      if (toPut.length) store.put(toPut);
+    });
+  };
+  yRecords.observe(observer);
+
+  return () => {
+    unlisten();
+    yRecords.unobserve(observer);
+  };
+}
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as Y from 'yjs';
+import { Awareness, applyAwarenessUpdate, encodeAwarenessUpdate } from 'y-protocols/awareness.js';
+import { createTLStore, defaultShapeUtils } from 'tldraw';
+import { readRemoteStates, clearRemoteStates, createCursorBroadcaster } from '../src/hooks/useAwareness.js';
+import { presenceRecords, syncPresence } from '../src/hooks/useTldrawAwareness.js';
+import { presentPeople } from '../src/utils/presence.js';
+
+const created = [];
+
+// Two tabs whose awareness updates are relayed like the server does
+function connectedAwareness() {
+  const [a, b] = [new Awareness(new Y.Doc()), new Awareness(new Y.Doc())];
+  const relay = (from, to) => from.on('update', ({ added, updated, removed }, origin) => {
+    if (origin === 'local') {
+      applyAwarenessUpdate(to, encodeAwarenessUpdate(from, [...added, ...updated, ...removed]), 'remote');
+    }
+  });
+  relay(a, b);
+  relay(b, a);
+  created.push(a, b);
+  return [a, b];
+}
+
+const anna = { userId: 'anna', name: 'Anna', color: '#6366F1' };
+const ben = { userId: 'ben', name: 'Ben', color: '#0EA5E9' };
+
+afterEach(() => {
+  created.splice(0).forEach((awareness) => awareness.destroy());
+  vi.useRealTimers();
+});
+
+describe('Awareness states', () => {
+  it('lists collaborators with user, cursor and selection, but not this tab', () => {
+    const [annaTab, benTab] = connectedAwareness();
+    annaTab.setLocalState({ user: anna, cursor: { x: 10, y: 20 }, selection: ['n1'] });
+    benTab.setLocalStateField('user', ben);
+
+    const states = readRemoteStates(benTab);
+
+    expect(states).toEqual([{
+      clientId: annaTab.clientID,
+      user: anna,
+      cursor: { x: 10, y: 20 },
+      selection: ['n1'],
+      lastUpdated: expect.any(Number),
+    }]);
+    expect(readRemoteStates(annaTab).map((s) => s.user.name)).toEqual(['Ben']);
+  });
+
+  it('skips clients that have not announced a user yet', () => {
+    const [annaTab, benTab] = connectedAwareness();
+    annaTab.setLocalStateField('cursor', { x: 1, y: 1 });
+
+    expect(readRemoteStates(benTab)).toEqual([]);
+  });
+
+  it('drops a collaborator whose tab closes', () => {
+    const [annaTab, benTab] = connectedAwareness();
+    annaTab.setLocalStateField('user', anna);
+    expect(readRemoteStates(benTab)).toHaveLength(1);
+
+    // Unmounting the board destroys the awareness, which removes the local state
+    annaTab.destroy();
+
+    expect(readRemoteStates(benTab)).toEqual([]);
+  });
+
+  it('forgets everyone else, but not itself, when the connection is lost', () => {
+    const [annaTab, benTab] = connectedAwareness();
+    annaTab.setLocalStateField('user', anna);
+    benTab.setLocalStateField('user', ben);
+    const changes = [];
+    benTab.on('change', (change, origin) => changes.push({ removed: change.removed, origin }));
+
+    clearRemoteStates(benTab);
+
+    expect(readRemoteStates(benTab)).toEqual([]);
+    expect(benTab.getLocalState()).toEqual({ user: ben });
+    expect(changes).toEqual([{ removed: [annaTab.clientID], origin: 'disconnect' }]);
+    // Nothing to send: the other tab still sees Ben
+    expect(readRemoteStates(annaTab)).toHaveLength(1);
+  });
+});
+
+describe('Cursor broadcast', () => {
+  it('throttles moves but always sends the last position', () => {
+    vi.useFakeTimers();
+    const [annaTab] = connectedAwareness();
+    const cursor = createCursorBroadcaster(annaTab, 50);
+
+    cursor.update({ x: 1, y: 1 });
+    cursor.update({ x: 2, y: 2 });
+    cursor.update({ x: 3, y: 3 });
+    expect(annaTab.getLocalState().cursor).toEqual({ x: 1, y: 1 });
+
+    vi.advanceTimersByTime(50);
+    expect(annaTab.getLocalState().cursor).toEqual({ x: 3, y: 3 });
+
+    // Leaving the board is sent right away
+    vi.advanceTimersByTime(50);
+    cursor.update(null);
+    expect(annaTab.getLocalState().cursor).toBeNull();
+  });
+
+  it('sends nothing after it was cancelled (unmount)', () => {
+    vi.useFakeTimers();
+    const [annaTab] = connectedAwareness();
+    const cursor = createCursorBroadcaster(annaTab, 50);
+
+    cursor.update({ x: 1, y: 1 });
+    cursor.update({ x: 2, y: 2 });
+    cursor.cancel();
+    vi.advanceTimersByTime(100);
+
+    expect(annaTab.getLocalState().cursor).toEqual({ x: 1, y: 1 });
+  });
+});
+
+describe('tldraw presence', () => {
+  const pageId = 'page:page';
+
+  it('turns awareness states into instance_presence records', () => {
+    const [record, idle] = presenceRecords([
+      { clientId: 7, user: anna, cursor: { x: 5, y: 6, pageId: 'page:two' }, selection: ['shape:a', 'shape:gone'], lastUpdated: 1000 },
+      { clientId: 8, user: { ...ben, name: '' }, lastUpdated: 2000 },
+    ], { pageId, hasShape: (id) => id === 'shape:a' });
+
+    expect(record).toMatchObject({
+      id: 'instance_presence:7',
+      typeName: 'instance_presence',
+      userId: '7',
+      userName: 'Anna',
+      color: anna.color,
+      currentPageId: 'page:two',
+      cursor: { x: 5, y: 6 },
+      selectedShapeIds: ['shape:a'],
+      lastActivityTimestamp: 1000,
+    });
+    // No cursor: shown on the viewer's page, selection only
+    expect(idle).toMatchObject({ userName: '?', currentPageId: pageId, selectedShapeIds: [], lastActivityTimestamp: 0 });
+  });
+
+  it('removes the records of collaborators who left', () => {
+    const store = createTLStore({ shapeUtils: defaultShapeUtils });
+    const states = [{ clientId: 7, user: anna, lastUpdated: 1 }, { clientId: 8, user: ben, lastUpdated: 1 }];
+    const presence = () => store.allRecords().filter((r) => r.typeName === 'instance_presence').map((r) => r.id).sort();
+
+    syncPresence(store, presenceRecords(states, { pageId, hasShape: () => true }));
+    expect(presence()).toEqual(['instance_presence:7', 'instance_presence:8']);
+
+    syncPresence(store, presenceRecords(states.slice(1), { pageId, hasShape: () => true }));
+    expect(presence()).toEqual(['instance_presence:8']);
+
+    syncPresence(store, []);
+    expect(presence()).toEqual([]);
+  });
+});
+
+describe('Presence avatars', () => {
+  it('shows one entry per person with their most present tab, most present first', () => {
+    const people = presentPeople([
+      { socketId: 's1', userId: 'anna', name: 'Anna', status: 'away' },
+      { socketId: 's2', userId: 'ben', name: 'Ben', status: 'idle' },
+      { socketId: 's3', userId: 'anna', name: 'Anna', status: 'active' },
+      { socketId: 's4', userId: 'cem', name: 'Cem' },
+    ]);
+
+    expect(people.map((p) => [p.userId, p.status])).toEqual([['anna', 'active'], ['cem', 'active'], ['ben', 'idle']]);
+    expect(presentPeople([])).toEqual([]);
+  });
+});
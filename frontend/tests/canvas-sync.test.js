@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import * as Y from 'yjs';
+import { createUndoManager } from '../src/hooks/useUndoManager.js';
+import {
+  CANVAS_ORIGIN, canvasTypes, hitShape, withoutErased,
+  addCanvasShape, eraseCanvasShapes, clearCanvasShapes,
+} from '../src/utils/canvas-sync.js';
+
+// Two clients relaying updates like the server does (origin 'remote')
+function connectedDocs() {
+  const a = new Y.Doc();
+  const b = new Y.Doc();
+  a.on('update', (update, origin) => { if (origin !== 'remote') Y.applyUpdate(b, update, 'remote'); });
+  b.on('update', (update, origin) => { if (origin !== 'remote') Y.applyUpdate(a, update, 'remote'); });
+  return [a, b];
+}
+
+const ids = (doc) => doc.getArray('whiteboard-shapes').toArray().map((s) => s.id);
+
+const stroke = { id: 'stroke', type: 'path', points: [{ x: 0, y: 0 }, { x: 100, y: 0 }], color: '#1e293b', lineWidth: 2 };
+const box = { id: 'box', type: 'rect', x: 200, y: 0, w: 100, h: 50, color: '#ef4444', lineWidth: 2 };
+const ring = { id: 'ring', type: 'circle', x: 0, y: 200, w: 60, h: 80, color: '#3b82f6', lineWidth: 2 };
+const note = { id: 'note', type: 'sticky', x: 400, y: 0, color: '#fef3c7', text: 'Merken', lineWidth: 1 };
+
+describe('Fallback canvas hit test', () => {
+  it('hits strokes and outlines near their line only', () => {
+    expect(hitShape(stroke, { x: 50, y: 8 })).toBe(true);
+    expect(hitShape(stroke, { x: 50, y: 30 })).toBe(false);
+    expect(hitShape(stroke, { x: 120, y: 0 })).toBe(false);
+
+    expect(hitShape(box, { x: 250, y: 52 })).toBe(true);
+    // Rectangles are outlines: their middle is empty
+    expect(hitShape(box, { x: 250, y: 25 })).toBe(false);
+
+    // Circle through the corners of its box: radius 50 around (30, 240)
+    expect(hitShape(ring, { x: 80, y: 240 })).toBe(true);
+    expect(hitShape(ring, { x: 30, y: 240 })).toBe(false);
+  });
+
+  it('hits sticky notes anywhere on them', () => {
+    expect(hitShape(note, { x: 480, y: 60 })).toBe(true);
+    expect(hitShape(note, { x: 600, y: 60 })).toBe(false);
+  });
+
+  it('follows the eraser along fast moves', () => {
+    const shapes = [stroke, box, ring, note];
+
+    // Single moves far longer than the eraser: across the stroke, through the box
+    expect(withoutErased(shapes, { x: 50, y: 150 }, { x: 50, y: -100 }).map((s) => s.id))
+      .toEqual(['box', 'ring', 'note']);
+    expect(withoutErased(shapes, { x: 150, y: 25 }, { x: 350, y: 25 }).map((s) => s.id))
+      .toEqual(['stroke', 'ring', 'note']);
+  });
+});
+
+describe('Fallback canvas sync', () => {
+  it('shares added shapes with collaborators', () => {
+    const [anna, ben] = connectedDocs();
+
+    addCanvasShape(anna, stroke);
+    addCanvasShape(ben, box);
+
+    expect(ids(anna)).toEqual(['stroke', 'box']);
+    expect(ids(ben)).toEqual(['stroke', 'box']);
+    expect(ben.getArray('whiteboard-shapes').get(0)).toEqual(stroke);
+  });
+
+  it('erases the touched shapes for everyone instead of painting over them', () => {
+    const [anna, ben] = connectedDocs();
+    [stroke, box, ring, note].forEach((shape) => addCanvasShape(anna, shape));
+
+    expect(eraseCanvasShapes(ben, { x: 50, y: 0 })).toBe(1);
+    expect(eraseCanvasShapes(ben, { x: 480, y: 60 }, { x: 250, y: 52 })).toBe(2);
+    expect(eraseCanvasShapes(ben, { x: 900, y: 900 })).toBe(0);
+
+    expect(ids(anna)).toEqual(['ring']);
+    expect(ids(ben)).toEqual(['ring']);
+  });
+
+  it('undoes an erase like any other local edit', () => {
+    const [anna, ben] = connectedDocs();
+    const undo = createUndoManager(canvasTypes(ben), CANVAS_ORIGIN);
+    [stroke, box].forEach((shape) => addCanvasShape(anna, shape));
+
+    eraseCanvasShapes(ben, { x: 50, y: 0 });
+    undo.undo();
+
+    expect(ids(anna)).toEqual(['stroke', 'box']);
+    expect(undo.canUndo()).toBe(false);
+  });
+
+  it('clears the board for everyone', () => {
+    const [anna, ben] = connectedDocs();
+    [stroke, note].forEach((shape) => addCanvasShape(anna, shape));
+
+    clearCanvasShapes(ben);
+
+    expect(ids(anna)).toEqual([]);
+  });
+});
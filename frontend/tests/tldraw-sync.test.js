@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import * as Y from 'yjs';
+import { createTLStore, defaultShapeUtils, defaultBindingUtils, createShapeId, PageRecordType } from 'tldraw';
+import { bindTldrawStore } from '../src/utils/tldraw-sync.js';
+
+const newStore = () => createTLStore({ shapeUtils: defaultShapeUtils, bindingUtils: defaultBindingUtils });
+
+// Two clients relaying updates like the server does (origin 'remote')
+function connectedDocs() {
+  const a = new Y.Doc();
+  const b = new Y.Doc();
+  a.on('update', (update, origin) => { if (origin !== 'remote') Y.applyUpdate(b, update, 'remote'); });
+  b.on('update', (update, origin) => { if (origin !== 'remote') Y.applyUpdate(a, update, 'remote'); });
+  return [a, b];
+}
+
+const page = PageRecordType.create({ id: PageRecordType.createId('seite'), name: 'Seite 1', index: 'a1' });
+const shapeId = createShapeId('box');
+
+function box(text) {
+  return {
+    id: shapeId, typeName: 'shape', type: 'geo', parentId: page.id, index: 'a1',
+    x: 10, y: 20, rotation: 0, isLocked: false, opacity: 1, meta: {},
+    props: {
+      geo: 'rectangle', w: 100, h: 50, color: 'blue', labelColor: 'black', fill: 'none', dash: 'draw', size: 'm',
+      font: 'draw', text, align: 'middle', verticalAlign: 'middle', growY: 0, url: '', scale: 1,
+    },
+  };
+}
+
+const documentRecords = (store) => Object.fromEntries(store.allRecords()
+  .filter((r) => store.scopedTypes.document.has(r.typeName))
+  .map((r) => [r.id, r]));
+
+describe('tldraw ⇄ Yjs', () => {
+  it('round-trips records between two clients', () => {
+    const [annaDoc, benDoc] = connectedDocs();
+    const anna = newStore();
+    const ben = newStore();
+    bindTldrawStore(annaDoc, anna);
+    anna.put([page, box('Hallo')]);
+
+    // Ben opens the board later and gets Anna's records unchanged
+    bindTldrawStore(benDoc, ben);
+    expect(documentRecords(ben)).toEqual(documentRecords(anna));
+    expect(benDoc.getMap('tldraw-meta').get('schema')).toEqual(anna.schema.serialize());
+
+    ben.update(shapeId, (shape) => ({ ...shape, props: { ...shape.props, text: 'Geändert' } }));
+    expect(anna.get(shapeId).props.text).toBe('Geändert');
+
+    anna.remove([shapeId]);
+    expect(ben.has(shapeId)).toBe(false);
+    expect(benDoc.getMap('tldraw-records').has(shapeId)).toBe(false);
+  });
+
+  it('stops syncing once unbound', () => {
+    const doc = new Y.Doc();
+    const store = newStore();
+    const unbind = bindTldrawStore(doc, store);
+
+    unbind();
+    store.put([page]);
+
+    expect(doc.getMap('tldraw-records').has(page.id)).toBe(false);
+  });
+
+  it('migrates records saved by an older tldraw and writes them back', () => {
+    const current = newStore().schema;
+    // Geo shapes got their `scale` prop in version 9
+    const oldSchema = { ...current.serialize() };
+    oldSchema.sequences = { ...oldSchema.sequences, 'com.tldraw.shape.geo': 8 };
+    const oldBox = current.migratePersistedRecord(box('Alt'), oldSchema, 'down');
+    expect(oldBox.type).toBe('success');
+    expect(oldBox.value.props).not.toHaveProperty('scale');
+
+    const doc = new Y.Doc();
+    doc.transact(() => {
+      doc.getMap('tldraw-records').set(page.id, page);
+      doc.getMap('tldraw-records').set(shapeId, oldBox.value);
+      doc.getMap('tldraw-meta').set('schema', oldSchema);
+    });
+
+    const store = newStore();
+    bindTldrawStore(doc, store);
+
+    expect(store.get(shapeId)).toEqual(box('Alt'));
+    expect(doc.getMap('tldraw-records').get(shapeId)).toEqual(box('Alt'));
+    expect(doc.getMap('tldraw-meta').get('schema')).toEqual(current.serialize());
+  });
+
+  it('refuses boards saved by a newer tldraw', () => {
+    const doc = new Y.Doc();
+    const store = newStore();
+    const newer = store.schema.serialize();
+    newer.sequences = { ...newer.sequences, 'com.tldraw.shape.geo': 99 };
+    doc.getMap('tldraw-records').set(shapeId, { ...box('Neu'), props: { ...box('Neu').props, future: true } });
+    doc.getMap('tldraw-meta').set('schema', newer);
+
+    expect(() => bindTldrawStore(doc, store)).toThrow('cannot be migrated');
+    expect(store.allRecords()).toEqual([]);
+    expect(doc.getMap('tldraw-meta').get('schema')).toEqual(newer);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import * as Y from 'yjs';
+import { createUndoManager } from '../src/hooks/useUndoManager.js';
+import { MINDMAP_ORIGIN, mindMapTypes, writeMindMap } from '../src/utils/mindmap-sync.js';
+
+// Two clients relaying updates like the server does (origin 'remote')
+function connectedDocs() {
+  const a = new Y.Doc();
+  const b = new Y.Doc();
+  a.on('update', (update, origin) => { if (origin !== 'remote') Y.applyUpdate(b, update, 'remote'); });
+  b.on('update', (update, origin) => { if (origin !== 'remote') Y.applyUpdate(a, update, 'remote'); });
+  return [a, b];
+}
+
+// What the editor holds after observing the doc
+function readNodes(doc) {
+  const nodes = {};
+  doc.getMap('mindmap-nodes').forEach((json, id) => { nodes[id] = JSON.parse(json); });
+  return nodes;
+}
+
+const text = (doc, id) => JSON.parse(doc.getMap('mindmap-nodes').get(id) || 'null')?.text;
+
+describe('Per-user undo', () => {
+  it('undoes only the local user\'s mind map edits', () => {
+    const [anna, ben] = connectedDocs();
+    const undo = createUndoManager(mindMapTypes(anna), MINDMAP_ORIGIN);
+
+    writeMindMap(anna, { root: { id: 'root', text: 'Thema' }, a: { id: 'a', text: 'Idee', parentId: 'root' } }, 'root');
+    undo.stopCapturing();
+
+    // Ben renames the root; Anna's editor state now includes that
+    writeMindMap(ben, { ...readNodes(ben), root: { id: 'root', text: 'Bens Thema' } }, 'root');
+    expect(text(anna, 'root')).toBe('Bens Thema');
+
+    // Anna edits her node and writes back her whole state
+    writeMindMap(anna, { ...readNodes(anna), a: { id: 'a', text: 'Annas Idee', parentId: 'root' } }, 'root');
+    undo.stopCapturing();
+
+    undo.undo();
+    expect(text(anna, 'a')).toBe('Idee');
+    expect(text(anna, 'root')).toBe('Bens Thema');
+    expect(text(ben, 'a')).toBe('Idee');
+
+    undo.undo();
+    expect(anna.getMap('mindmap-nodes').has('a')).toBe(false);
+    expect(text(anna, 'root')).toBe('Bens Thema');
+    expect(undo.canUndo()).toBe(false);
+
+    undo.redo();
+    expect(text(anna, 'a')).toBe('Idee');
+  });
+
+  it('writes only changed nodes', () => {
+    const doc = new Y.Doc();
+    const nodes = { root: { id: 'root', text: 'Thema' }, a: { id: 'a', text: 'Idee' } };
+    writeMindMap(doc, nodes, 'root');
+
+    const changed = [];
+    doc.getMap('mindmap-nodes').observe((event) => changed.push(...event.keysChanged));
+    writeMindMap(doc, { ...nodes, a: { id: 'a', text: 'Neu' } }, 'root');
+    writeMindMap(doc, { ...nodes, a: { id: 'a', text: 'Neu' } }, 'root');
+
+    expect(changed).toEqual(['a']);
+  });
+
+  it('undoes only the local user\'s drawing on the fallback canvas', () => {
+    const [anna, ben] = connectedDocs();
+    const shapes = anna.getArray('whiteboard-shapes');
+    const undo = createUndoManager([shapes], 'canvas');
+
+    anna.transact(() => shapes.push([{ id: 's1' }]), 'canvas');
+    undo.stopCapturing();
+    ben.transact(() => ben.getArray('whiteboard-shapes').push([{ id: 's2' }]), 'canvas');
+
+    undo.undo();
+    expect(shapes.toArray().map((s) => s.id)).toEqual(['s2']);
+    expect(undo.canUndo()).toBe(false);
+  });
+});